@@ -1,27 +1,37 @@
-require('dotenv').config();
-const { initiateDeveloperControlledWalletsClient } = require('@circle-fin/developer-controlled-wallets');
+require('dotenv').config({ quiet: true });
 const config = require('./config');
 const readline = require('readline');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { parseArgs } = require('./lib/cli-args');
+const { EXIT_CODES, TransferError } = require('./lib/errors');
+const journal = require('./lib/transfer-journal');
+const { CctpTransferClient, claimPackage, mintsTo, GAS_ROLES, describeGasShortfall } = require('./lib/cctp-transfer-client');
+const { CCTP_VERSIONS, getChain, listChains, isCctpChain, getChainByDomain, isSolanaChain, getExplorerUrl } = require('./lib/chain-registry');
+const { findRouteProblems } = require('./lib/preflight');
+const { formatUsdcAmount, parseTransferAmount } = require('./lib/usdc-amount');
+const { readManifest, runGrouped, writeReport } = require('./lib/batch');
+const { parseAddress, isEvmAddress, isRecipientAddress, bytes32ToAddress } = require('./lib/addresses');
+const { decodeMessage } = require('./lib/cctp-message');
+const { FEE_LEVELS, FEE_STEPS, parseFeeSpec } = require('./lib/fees');
+const { listAllWallets, parseWalletFilters } = require('./lib/wallet-listing');
+const { withWalletTags, assertSourceAllowed, confirmSourceAllowed } = require('./lib/wallet-tags');
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-// Supported networks for USDC transfers
-const SUPPORTED_NETWORKS = {
-    'ETH': { name: 'Ethereum Mainnet', code: 'ETH', usdcContract: '0xA0b86a33E6441d7c4c5e2F4e7A1b7C4e5d6f7e8f' },
-    'MATIC': { name: 'Polygon Mainnet', code: 'MATIC', usdcContract: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174' },
-    'AVAX': { name: 'Avalanche C-Chain', code: 'AVAX', usdcContract: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E' },
-    'ETH-SEPOLIA': { name: 'Ethereum Sepolia (Testnet)', code: 'ETH-SEPOLIA', usdcContract: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238' },
-    'MATIC-AMOY': { name: 'Polygon Amoy (Testnet)', code: 'MATIC-AMOY', usdcContract: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582' }
-};
+// Readline interface for user input, only created once something is asked so
+// the non-interactive commands never touch stdin
+let rl;
 
-let client;
+let transferClient;
 
 // Helper function to prompt user input
 function askQuestion(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+
     return new Promise((resolve) => {
         rl.question(question, (answer) => {
             resolve(answer.trim());
@@ -34,13 +44,24 @@ function waitForUser() {
     return askQuestion('\nPress Enter to continue...');
 }
 
-// Initialize Circle client
-async function initializeClient() {
+// Helper function to close the readline interface if one was opened
+function closeReadline() {
+    if (rl) {
+        rl.close();
+    }
+}
+
+// Initialize Circle client. Interactive sessions are asked what to do about stuck
+// transactions; `polling` overrides the polling settings of every chain.
+async function initializeClient({ interactive = false, polling } = {}) {
     try {
-        client = initiateDeveloperControlledWalletsClient({
+        transferClient = new CctpTransferClient({
             apiKey: config.apiKey,
-            entitySecret: config.entitySecret
+            entitySecret: config.entitySecret,
+            onStuck: interactive ? askStuckTransactionAction : undefined,
+            polling
         });
+        attachProgressLogging(transferClient);
         console.log("✅ Circle SDK initialized successfully\n");
         return true;
     } catch (error) {
@@ -49,90 +70,289 @@ async function initializeClient() {
     }
 }
 
+// Ask whether to accelerate, cancel or keep waiting for a stuck transaction
+async function askStuckTransactionAction({ step }) {
+    console.log("\nWhat would you like to do?");
+    console.log("1. Keep waiting");
+    console.log("2. Accelerate (resubmit with a higher fee)");
+    console.log(`3. Cancel the ${step} transaction (resume the transfer later to submit a new one)`);
+    const choice = await askQuestion("Enter your choice (1-3) [1]: ");
+
+    return { '2': 'accelerate', '3': 'cancel' }[choice] || 'wait';
+}
+
 // Get all wallets from all wallet sets
 async function getAllWallets() {
     try {
         console.log("🔍 Fetching all your wallets...");
-        
-        const walletSetsResponse = await client.listWalletSets();
-        const walletSets = walletSetsResponse.data?.walletSets || [];
-        
-        if (walletSets.length === 0) {
-            return [];
-        }
-
-        const allWallets = [];
-        
-        for (const walletSet of walletSets) {
-            try {
-                const walletsResponse = await client.listWallets({
-                    walletSetId: walletSet.id
-                });
-                
-                const wallets = walletsResponse.data?.wallets || [];
-                
-                // Add wallet set info to each wallet
-                wallets.forEach(wallet => {
-                    wallet.walletSetName = walletSet.name;
-                    wallet.walletSetId = walletSet.id;
-                });
-                
-                allWallets.push(...wallets);
-            } catch (error) {
-                console.log(`⚠️  Warning: Could not fetch wallets from set ${walletSet.name}: ${error.message}`);
-            }
-        }
-
-        return allWallets;
+        return withWalletTags(await transferClient.listWallets());
     } catch (error) {
         console.error("❌ Error fetching wallets:", error.message);
         return [];
     }
 }
 
-// Get wallet balance
-async function getWalletBalance(walletId) {
+// Get wallet USDC balance in base units
+async function getUSDCBalance(walletId) {
     try {
         console.log(`🔍 Checking balance for wallet ${walletId}...`);
-        
-        const balanceResponse = await client.getWalletTokenBalance({
-            id: walletId
-        });
-        
-        return balanceResponse.data?.tokenBalances || [];
+        return await transferClient.getUSDCBalance(walletId);
     } catch (error) {
         console.log(`⚠️  Warning: Could not fetch balance: ${error.message}`);
-        return [];
+        return 0n;
     }
 }
 
-// Find USDC balance in token balances
-function findUSDCBalance(tokenBalances) {
-    const usdcBalance = tokenBalances.find(balance => 
-        balance.token?.symbol === 'USDC' || 
-        balance.token?.name?.includes('USD Coin')
-    );
-    
-    return usdcBalance ? parseFloat(usdcBalance.amount) : 0;
-}
-
 // Display wallet selection menu
 function displayWalletMenu(wallets, title) {
     console.log(`\n${title}:`);
     console.log("─".repeat(80));
     
     wallets.forEach((wallet, index) => {
-        const networkInfo = SUPPORTED_NETWORKS[wallet.blockchain];
+        const networkInfo = getChain(wallet.blockchain);
         const networkName = networkInfo ? networkInfo.name : wallet.blockchain;
         
         console.log(`${index + 1}. ${wallet.address}`);
         console.log(`   Network: ${networkName} (${wallet.blockchain})`);
         console.log(`   Wallet Set: ${wallet.walletSetName}`);
         console.log(`   State: ${wallet.state}`);
+        if (wallet.tags?.length > 0) {
+            console.log(`   Tags: ${wallet.tags.join(', ')}`);
+        }
         console.log('');
     });
 }
 
+// Check whether a chain supports any CCTP version
+function isSupportedChain(blockchain) {
+    return CCTP_VERSIONS.some(cctpVersion => isCctpChain(blockchain, cctpVersion));
+}
+
+// Filter wallets that are live on a supported network
+function getSupportedWallets(allWallets) {
+    return allWallets.filter(wallet => 
+        isSupportedChain(wallet.blockchain) && wallet.state === 'LIVE'
+    );
+}
+
+// Display name of a transfer's protocol, e.g. "CCTP V2 Fast Transfer"
+function protocolLabel({ cctpVersion = 1, speed }) {
+    if (cctpVersion === 1) {
+        return 'CCTP V1';
+    }
+
+    return `CCTP V2 ${speed === 'fast' ? 'Fast' : 'Standard'} Transfer`;
+}
+
+// Ask which protocol to use, offering only the ones the route is configured for
+async function selectTransferMode(sourceBlockchain, destinationBlockchain) {
+    const modes = [];
+
+    if (findRouteProblems(sourceBlockchain, destinationBlockchain, 1).length === 0) {
+        modes.push({ cctpVersion: 1 });
+    }
+
+    if (findRouteProblems(sourceBlockchain, destinationBlockchain, 2).length === 0) {
+        modes.push({ cctpVersion: 2, speed: 'standard' }, { cctpVersion: 2, speed: 'fast' });
+    }
+
+    if (modes.length <= 1) {
+        return modes[0] || { cctpVersion: 1 };
+    }
+
+    console.log("\n⚡ Select transfer type:");
+    modes.forEach((mode, index) => {
+        const note = mode.speed === 'fast' ? ' (attested in about a minute, fee applies)' : ' (waits for source chain finality)';
+        console.log(`${index + 1}. ${protocolLabel(mode)}${note}`);
+    });
+
+    const choice = await askQuestion(`Select transfer type (1-${modes.length}) [1]: `);
+    const index = choice ? parseInt(choice) - 1 : 0;
+
+    if (!(index >= 0 && index < modes.length)) {
+        return null;
+    }
+
+    return modes[index];
+}
+
+// Quote the V2 burn fee shown in the confirmation; V1 transfers have none
+async function quoteTransferFee(sourceWallet, destinationWallet, transferAmount, mode) {
+    if (mode.cctpVersion !== 2) {
+        return null;
+    }
+
+    console.log("\n💸 Fetching CCTP V2 fee quote...");
+    return transferClient.quoteBurnFee({
+        sourceBlockchain: sourceWallet.blockchain,
+        destinationBlockchain: destinationWallet.blockchain,
+        amount: formatUsdcAmount(transferAmount),
+        speed: mode.speed
+    });
+}
+
+// Estimate the gas both sides of a transfer pay and read their native balances
+async function checkGas(sourceWallet, destinationWallet, relayerWallet, transferAmount, mode, feeQuote, { approvalCap, fees } = {}) {
+    console.log("\n⛽ Checking native token balances for gas...");
+    return transferClient.checkGasBalances({
+        sourceWallet,
+        destinationWallet,
+        relayerWallet,
+        amount: formatUsdcAmount(transferAmount),
+        ...mode,
+        maxFee: feeQuote?.maxFee,
+        approvalCap,
+        fees
+    });
+}
+
+// Fee spec from --fee-level and the per-step --approval-fee, --burn-fee and --mint-fee
+// (a level, or gasLimit=…,maxFee=…,priorityFee=… in gwei), or undefined for the configured fees
+function feeOptions(options) {
+    const spec = {};
+
+    if (options.feeLevel) {
+        spec.level = options.feeLevel;
+    }
+    for (const step of FEE_STEPS) {
+        if (options[`${step}Fee`]) {
+            spec[step] = options[`${step}Fee`];
+        }
+    }
+
+    if (Object.keys(spec).length === 0) {
+        return undefined;
+    }
+
+    try {
+        return parseFeeSpec(spec);
+    } catch (error) {
+        throw new TransferError(`Invalid fee option: ${error.message}`, EXIT_CODES.USAGE);
+    }
+}
+
+// Ask for the fee level of every transaction of an interactive transfer
+async function selectFeeLevel() {
+    const level = await askQuestion(`\n⛽ Fee level (${FEE_LEVELS.join('/')}, Enter for the configured default): `);
+
+    if (!level) {
+        return undefined;
+    }
+
+    if (!FEE_LEVELS.includes(level.toUpperCase())) {
+        return null;
+    }
+
+    return { level: level.toUpperCase() };
+}
+
+// Validate the requested amount ("max" for the whole balance) against the
+// source balance and return it in base units
+function validateTransferAmount(amountInput, sourceUSDCBalance) {
+    let transferAmount;
+
+    try {
+        transferAmount = parseTransferAmount(amountInput, sourceUSDCBalance);
+    } catch (error) {
+        throw new TransferError(error.message, EXIT_CODES.VALIDATION);
+    }
+
+    if (transferAmount <= 0n) {
+        throw new TransferError("Invalid amount. Please enter a positive number.", EXIT_CODES.VALIDATION);
+    }
+
+    if (transferAmount > sourceUSDCBalance) {
+        throw new TransferError(
+            `Insufficient balance. You have ${formatUsdcAmount(sourceUSDCBalance)} USDC, but tried to transfer ${formatUsdcAmount(transferAmount)} USDC.`,
+            EXIT_CODES.INSUFFICIENT_BALANCE
+        );
+    }
+
+    return transferAmount;
+}
+
+// Print the hints shown whenever a transfer fails
+function printTroubleshootingTips() {
+    console.log("\n💡 Troubleshooting tips:");
+    console.log("• Ensure both wallets have sufficient native tokens for gas fees");
+    console.log("• Verify USDC balance in source wallet");
+    console.log("• Check that both networks are supported by Circle's CCTP");
+    console.log("• Wait a few minutes and try again if network is congested");
+    console.log("• Make sure your API key has the necessary permissions");
+}
+
+// Print a failed transfer's error and how to pick it up again
+function reportTransferFailure(transferError) {
+    if (transferError.exitCode === EXIT_CODES.STILL_PENDING) {
+        reportStillPending(transferError);
+        return;
+    }
+
+    console.error("\n❌ Cross-chain transfer failed:", transferError.message);
+    if (transferError.details.response) {
+        console.error("Details:", JSON.stringify(transferError.details.response, null, 2));
+    }
+    
+    if (transferError.step !== 'preflight') {
+        printTroubleshootingTips();
+    }
+
+    if (transferError.details.transactionState) {
+        console.log(`\n💡 Circle marked the ${transferError.step} transaction ${transferError.details.transactionState}; resuming submits a new one.`);
+    }
+
+    if (transferError.details.journalId) {
+        console.log(`\n💡 Continue from the last completed step with: node cross-chain-transfer.js resume --id ${transferError.details.journalId}`);
+    }
+}
+
+// Print why a transfer stopped waiting and how to keep waiting for it
+function reportStillPending(transferError) {
+    const { journalId, burnTxHash } = transferError.details;
+
+    // Recoveries are only journaled once the burn is attested
+    if (!journalId) {
+        console.log(`\n⏰ ${transferError.message}. The burn is not attested yet.`);
+        console.log(`💡 Try again later with: node cross-chain-transfer.js recover --burn-tx ${burnTxHash}`);
+        return;
+    }
+
+    console.log(`\n⏰ ${transferError.message}. The transfer has not failed; it is waiting in the journal.`);
+    console.log(`💡 Keep waiting with: node cross-chain-transfer.js resume --id ${journalId}`);
+}
+
+// Run `resume` with the given options in a detached process that keeps waiting with a long
+// deadline after this one exits. Its output goes to `logFile`.
+function continueInBackground(resumeArgs, logFile) {
+    const log = fs.openSync(logFile, 'a');
+    const child = spawn(process.execPath, [
+        __filename, 'resume', ...resumeArgs, '--deadline-minutes', String(BACKGROUND_DEADLINE_MINUTES)
+    ], {
+        detached: true,
+        stdio: ['ignore', log, log]
+    });
+
+    child.unref();
+    fs.closeSync(log);
+
+    console.log(`🕒 Waiting in the background (PID ${child.pid}), logging to ${logFile}`);
+    return { pid: child.pid, logFile };
+}
+
+// Offer to keep waiting in the background for a transfer whose step passed its deadline
+async function offerBackgroundWait(transferError) {
+    if (transferError.exitCode !== EXIT_CODES.STILL_PENDING || !transferError.details?.journalId) {
+        return;
+    }
+
+    const answer = await askQuestion("\nKeep waiting in the background? (yes/no): ");
+
+    if (answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y') {
+        const journalId = transferError.details.journalId;
+        continueInBackground(['--id', journalId], `resume-${journalId}.log`);
+    }
+}
+
 // Perform cross-chain USDC transfer
 async function performCrossChainTransfer() {
     try {
@@ -149,13 +369,11 @@ async function performCrossChainTransfer() {
         }
 
         // Filter wallets that are on supported networks
-        const supportedWallets = allWallets.filter(wallet => 
-            SUPPORTED_NETWORKS[wallet.blockchain] && wallet.state === 'LIVE'
-        );
+        const supportedWallets = getSupportedWallets(allWallets);
 
         if (supportedWallets.length < 2) {
             console.log("❌ You need at least 2 wallets on supported networks for cross-chain transfers.");
-            console.log("Supported networks:", Object.values(SUPPORTED_NETWORKS).map(n => n.name).join(', '));
+            console.log("Supported networks:", listChains().filter(n => isSupportedChain(n.code)).map(n => n.name).join(', '));
             return;
         }
 
@@ -167,523 +385,1747 @@ async function performCrossChainTransfer() {
         const sourceChoice = await askQuestion(`Select source wallet (1-${supportedWallets.length}): `);
         const sourceIndex = parseInt(sourceChoice) - 1;
 
-        if (sourceIndex < 0 || sourceIndex >= supportedWallets.length) {
+        if (!Number.isInteger(sourceIndex) || sourceIndex < 0 || sourceIndex >= supportedWallets.length) {
             console.log("❌ Invalid source wallet selection.");
             return;
         }
 
         const sourceWallet = supportedWallets[sourceIndex];
-        console.log(`\n✅ Selected source: ${sourceWallet.address} on ${SUPPORTED_NETWORKS[sourceWallet.blockchain].name}`);
+        let sourceAllowed;
+
+        try {
+            sourceAllowed = await confirmSourceAllowed(sourceWallet, async () => {
+                console.log("\n⚠️  This is a treasury wallet. Transfers are expected to come from hot wallets.");
+                const treasuryConfirmation = await askQuestion("Transfer from the treasury wallet anyway? (yes/no): ");
+                return treasuryConfirmation.toLowerCase() === 'yes' || treasuryConfirmation.toLowerCase() === 'y';
+            });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+
+        if (!sourceAllowed) {
+            console.log("❌ Transfer cancelled.");
+            return;
+        }
+
+        console.log(`\n✅ Selected source: ${sourceWallet.address} on ${getChain(sourceWallet.blockchain).name}`);
 
         // Check source wallet balance
         console.log("\n💰 Checking source wallet USDC balance...");
-        const sourceBalances = await getWalletBalance(sourceWallet.id);
-        const sourceUSDCBalance = findUSDCBalance(sourceBalances);
+        const sourceUSDCBalance = await getUSDCBalance(sourceWallet.id);
 
-        console.log(`💰 Source wallet USDC balance: ${sourceUSDCBalance} USDC`);
+        console.log(`💰 Source wallet USDC balance: ${formatUsdcAmount(sourceUSDCBalance)} USDC`);
 
-        if (sourceUSDCBalance <= 0) {
+        if (sourceUSDCBalance <= 0n) {
             console.log("❌ Source wallet has no USDC balance. Please add USDC to this wallet first.");
             console.log("💡 Tip: You can get testnet USDC from faucets or transfer from exchanges for mainnet.");
             return;
         }
 
-        // Select destination wallet (must be on different network)
+        // Select destination wallet (must be on a different network of the same type, mainnet or testnet)
         const destinationWallets = supportedWallets.filter(wallet => 
-            wallet.blockchain !== sourceWallet.blockchain
+            wallet.blockchain !== sourceWallet.blockchain &&
+            isSameNetworkType(wallet.blockchain, sourceWallet.blockchain)
         );
 
-        if (destinationWallets.length === 0) {
-            console.log("❌ No wallets found on different networks for cross-chain transfer.");
-            console.log("💡 Create a wallet on a different blockchain to enable cross-chain transfers.");
+        if (getDestinationChains(sourceWallet.blockchain).length === 0) {
+            console.log("❌ No other networks of the same type are configured for cross-chain transfer.");
             return;
         }
 
         displayWalletMenu(destinationWallets, "📥 Select DESTINATION wallet (where USDC will be sent TO)");
+        const externalChoice = destinationWallets.length + 1;
+        console.log(`${externalChoice}. Enter an external address (customer, exchange, ...)`);
         
-        const destChoice = await askQuestion(`Select destination wallet (1-${destinationWallets.length}): `);
+        const destChoice = await askQuestion(`Select destination wallet (1-${externalChoice}): `);
         const destIndex = parseInt(destChoice) - 1;
 
-        if (destIndex < 0 || destIndex >= destinationWallets.length) {
+        let destinationWallet;
+        let relayerWallet;
+
+        if (destIndex === destinationWallets.length) {
+            const external = await selectExternalDestination(sourceWallet, supportedWallets);
+            if (!external) {
+                return;
+            }
+            ({ destinationWallet, relayerWallet } = external);
+        } else if (destIndex >= 0 && destIndex < destinationWallets.length) {
+            destinationWallet = destinationWallets[destIndex];
+        } else {
             console.log("❌ Invalid destination wallet selection.");
             return;
         }
 
-        const destinationWallet = destinationWallets[destIndex];
-        console.log(`\n✅ Selected destination: ${destinationWallet.address} on ${SUPPORTED_NETWORKS[destinationWallet.blockchain].name}`);
+        console.log(`\n✅ Selected destination: ${destinationWallet.address} on ${getChain(destinationWallet.blockchain).name}`);
 
-        // Get transfer amount
-        const amountInput = await askQuestion(`\nEnter USDC amount to transfer (max: ${sourceUSDCBalance}): `);
-        const transferAmount = parseFloat(amountInput);
+        // Pick the protocol; only the versions the route is configured for are offered
+        const mode = await selectTransferMode(sourceWallet.blockchain, destinationWallet.blockchain);
 
-        if (isNaN(transferAmount) || transferAmount <= 0) {
-            console.log("❌ Invalid amount. Please enter a positive number.");
+        if (!mode) {
+            console.log("❌ Invalid transfer type selection.");
             return;
         }
 
-        if (transferAmount > sourceUSDCBalance) {
-            console.log(`❌ Insufficient balance. You have ${sourceUSDCBalance} USDC, but tried to transfer ${transferAmount} USDC.`);
+        // Pre-flight check of the route configuration before anything is submitted
+        const routeProblems = findRouteProblems(sourceWallet.blockchain, destinationWallet.blockchain, mode.cctpVersion);
+
+        if (routeProblems.length > 0) {
+            console.log("❌ Pre-flight check failed, refusing to submit transactions:");
+            routeProblems.forEach(problem => console.log(`   • ${problem}`));
             return;
         }
 
-        // Confirm transfer details
-        console.log("\n" + "=".repeat(60));
-        console.log("🔄 TRANSFER CONFIRMATION");
-        console.log("=".repeat(60));
-        console.log(`📤 FROM: ${sourceWallet.address}`);
-        console.log(`   Network: ${SUPPORTED_NETWORKS[sourceWallet.blockchain].name}`);
-        console.log(`📥 TO: ${destinationWallet.address}`);
-        console.log(`   Network: ${SUPPORTED_NETWORKS[destinationWallet.blockchain].name}`);
-        console.log(`💰 Amount: ${transferAmount} USDC`);
-        console.log(`💳 Source Balance: ${sourceUSDCBalance} USDC`);
-        console.log("=".repeat(60));
+        // Get transfer amount
+        const amountInput = await askQuestion(`\nEnter USDC amount to transfer (max: ${formatUsdcAmount(sourceUSDCBalance)}, or "max" for all of it): `);
+        let transferAmount;
 
-        const confirmation = await askQuestion("\nConfirm this cross-chain transfer? (yes/no): ");
-        
-        if (confirmation.toLowerCase() !== 'yes' && confirmation.toLowerCase() !== 'y') {
-            console.log("❌ Transfer cancelled.");
+        try {
+            transferAmount = validateTransferAmount(amountInput, sourceUSDCBalance);
+        } catch (validationError) {
+            console.log(`❌ ${validationError.message}`);
             return;
         }
 
-        // Initiate the transfer
-        console.log("\n🚀 Initiating cross-chain USDC transfer...");
-        console.log("⏳ This will involve multiple steps: Approval → Burn → Attestation → Mint");
-        console.log("📋 Each step will be clearly logged with progress updates\n");
-
+        let feeQuote;
         try {
-            // Step 1: Approve USDC spending by TokenMessenger contract
-            console.log("🔐 Step 1/4: Approving USDC spending...");
-            console.log(`💰 Approving ${transferAmount} USDC for TokenMessenger contract`);
-            
-            const approvalResponse = await client.createContractExecutionTransaction({
-                walletId: sourceWallet.id,
-                contractAddress: SUPPORTED_NETWORKS[sourceWallet.blockchain].usdcContract,
-                abiFunctionSignature: "approve(address,uint256)",
-                abiParameters: [
-                    "0x9f3B8679c73C2Fef8b59B4f3444d4e156fb70AA5", // TokenMessenger contract address
-                    (transferAmount * 1000000).toString() // USDC has 6 decimals
-                ],
-                fee: {
-                    type: "level",
-                    config: {
-                        feeLevel: "MEDIUM"
-                    }
-                }
-            });
-            
-            const approvalTx = approvalResponse.data?.id;
-            if (!approvalTx) {
-                throw new Error("Failed to create approval transaction");
-            }
+            feeQuote = await quoteTransferFee(sourceWallet, destinationWallet, transferAmount, mode);
+        } catch (quoteError) {
+            console.log(`❌ Could not get a fee quote: ${quoteError.message}`);
+            return;
+        }
 
-            console.log(`✅ Approval transaction created: ${approvalTx}`);
-            console.log("⏳ Waiting for approval transaction to be confirmed...");
-            
-            // Wait for approval transaction to complete
-            const approvalTxHash = await waitForTransactionCompletion(approvalTx, "Approval");
-            console.log(`✅ Approval confirmed! TX Hash: ${approvalTxHash}`);
-
-            // Step 2: Burn USDC on source chain
-            console.log("\n🔥 Step 2/4: Burning USDC on source chain...");
-            console.log(`� Source: ${SUPPORTED_NETWORKS[sourceWallet.blockchain].name}`);
-            
-            // Get destination domain ID for CCTP
-            const destinationDomain = getCCTPDomainId(destinationWallet.blockchain);
-            
-            // Encode destination address to bytes32
-            const encodedDestinationAddress = addressToBytes32(destinationWallet.address);
-            
-            const burnResponse = await client.createContractExecutionTransaction({
-                walletId: sourceWallet.id,
-                contractAddress: "0x9f3B8679c73C2Fef8b59B4f3444d4e156fb70AA5", // TokenMessenger contract
-                abiFunctionSignature: "depositForBurn(uint256,uint32,bytes32,address)",
-                abiParameters: [
-                    (transferAmount * 1000000).toString(), // Amount in USDC units (6 decimals)
-                    destinationDomain.toString(), // Destination domain
-                    encodedDestinationAddress, // Recipient address as bytes32
-                    SUPPORTED_NETWORKS[sourceWallet.blockchain].usdcContract // Source USDC contract
-                ],
-                fee: {
-                    type: "level",
-                    config: {
-                        feeLevel: "MEDIUM"
-                    }
-                }
-            });
+        const fees = await selectFeeLevel();
 
-            const burnTx = burnResponse.data?.id;
-            if (!burnTx) {
-                throw new Error("Failed to create burn transaction");
-            }
+        if (fees === null) {
+            console.log("❌ Invalid fee level.");
+            return;
+        }
 
-            console.log(`✅ Burn transaction created: ${burnTx}`);
-            console.log("⏳ Waiting for burn transaction to be confirmed...");
-            
-            // Wait for burn transaction to complete and get transaction hash
-            const burnTxHash = await waitForTransactionCompletion(burnTx, "Burn");
-            console.log(`✅ Burn confirmed! TX Hash: ${burnTxHash}`);
-
-            // Step 3: Get attestation from Circle
-            console.log("\n📋 Step 3/4: Obtaining attestation from Circle...");
-            console.log("⏳ This may take 10-20 minutes as Circle validates the burn...");
-            
-            const attestation = await waitForAttestation(burnTxHash, sourceWallet.blockchain);
-            
-            if (!attestation) {
-                throw new Error("Failed to obtain attestation from Circle");
-            }
-            
-            console.log("✅ Attestation received from Circle!");
-            console.log(`📝 Attestation signature obtained`);
+        const gasCheck = await checkGas(sourceWallet, destinationWallet, relayerWallet, transferAmount, mode, feeQuote, { fees });
 
-            // Step 4: Mint USDC on destination chain
-            console.log("\n🏭 Step 4/4: Minting USDC on destination chain...");
-            console.log(`🔗 Destination: ${SUPPORTED_NETWORKS[destinationWallet.blockchain].name}`);
-            
-            const mintResponse = await client.createContractExecutionTransaction({
-                walletId: destinationWallet.id,
-                contractAddress: getMessageTransmitterAddress(destinationWallet.blockchain), // MessageTransmitter contract
-                abiFunctionSignature: "receiveMessage(bytes,bytes)",
-                abiParameters: [
-                    attestation.message, // The original message from burn
-                    attestation.attestation // Circle's attestation signature
-                ],
-                fee: {
-                    type: "level",
-                    config: {
-                        feeLevel: "MEDIUM"
-                    }
-                }
-            });
+        // Confirm transfer details
+        printTransferConfirmation(sourceWallet, destinationWallet, transferAmount, sourceUSDCBalance, mode, feeQuote, relayerWallet, gasCheck);
 
-            const mintTx = mintResponse.data?.id;
-            if (!mintTx) {
-                throw new Error("Failed to create mint transaction");
-            }
+        const gasShortfalls = gasCheck.filter(side => side.short);
+
+        if (gasShortfalls.length > 0 && !transferClient.allowLowGas) {
+            console.log("❌ Not enough native tokens for gas, refusing to submit transactions:");
+            gasShortfalls.forEach(side => console.log(`   • ${describeGasShortfall(side)}`));
+            console.log("💡 Top up the wallets with native tokens, or set CCTP_ALLOW_LOW_GAS=true to transfer anyway.");
+            return;
+        }
 
-            console.log(`✅ Mint transaction created: ${mintTx}`);
-            console.log("⏳ Waiting for mint transaction to be confirmed...");
-            
-            const mintTxHash = await waitForTransactionCompletion(mintTx, "Mint");
-
-            // Final success message
-            console.log("\n" + "🎉".repeat(20));
-            console.log("🎉 CROSS-CHAIN TRANSFER COMPLETED SUCCESSFULLY! 🎉");
-            console.log("🎉".repeat(20));
-            console.log(`\n✅ ${transferAmount} USDC successfully transferred!`);
-            console.log(`📤 From: ${sourceWallet.address} (${SUPPORTED_NETWORKS[sourceWallet.blockchain].name})`);
-            console.log(`📥 To: ${destinationWallet.address} (${SUPPORTED_NETWORKS[destinationWallet.blockchain].name})`);
-            console.log(`\n🔗 View on explorers:`);
-            console.log(`   Source (Burn): ${getExplorerUrl(sourceWallet.blockchain, burnTxHash)}`);
-            console.log(`   Destination (Mint): ${getExplorerUrl(destinationWallet.blockchain, mintTxHash)}`);
+        const confirmation = await askQuestion("\nConfirm this cross-chain transfer? (yes/no): ");
+        
+        if (confirmation.toLowerCase() !== 'yes' && confirmation.toLowerCase() !== 'y') {
+            console.log("❌ Transfer cancelled.");
+            return;
+        }
 
+        try {
+            await startTransfer(sourceWallet, destinationWallet, transferAmount, { ...mode, maxFee: feeQuote?.maxFee, relayerWallet, fees, gasCheck });
         } catch (transferError) {
-            console.error("\n❌ Cross-chain transfer failed:", transferError.message);
-            if (transferError.response?.data) {
-                console.error("Details:", JSON.stringify(transferError.response.data, null, 2));
-            }
-            
-            console.log("\n💡 Troubleshooting tips:");
-            console.log("• Ensure both wallets have sufficient native tokens for gas fees");
-            console.log("• Verify USDC balance in source wallet");
-            console.log("• Check that both networks are supported by Circle's CCTP");
-            console.log("• Wait a few minutes and try again if network is congested");
-            console.log("• Make sure your API key has the necessary permissions");
+            reportTransferFailure(transferError);
+            await offerBackgroundWait(transferError);
         }
     } catch (error) {
         console.error("❌ Error during cross-chain transfer:", error.message);
     }
 }
 
-// Recovery function to continue from attestation step (when burn already succeeded)
-async function recoverFromBurn() {
-    console.log("\n🔄 RECOVERY MODE: Continue from Attestation Step");
-    console.log("Use this when your burn transaction succeeded but attestation/mint failed\n");
-    
-    // Get burn transaction hash from user
-    const burnTxHash = await askQuestion("Enter the burn transaction hash: ");
-    if (!burnTxHash.trim()) {
-        console.log("❌ Burn transaction hash is required for recovery");
-        return;
-    }
-    
-    // Get source blockchain
-    console.log("\nSelect source blockchain where burn occurred:");
-    console.log("1. ETH-SEPOLIA (Ethereum Sepolia)");
-    console.log("2. MATIC-AMOY (Polygon Amoy)");
-    const sourceChoice = await askQuestion("Select source blockchain (1-2): ");
-    
-    const sourceBlockchain = sourceChoice === "1" ? "ETH-SEPOLIA" : "MATIC-AMOY";
-    
-    // Get destination wallet
-    const allWallets = await getAllWallets();
-    const destinationWallets = allWallets.filter(wallet => 
-        wallet.blockchain !== sourceBlockchain && SUPPORTED_NETWORKS[wallet.blockchain]
+// Check whether two chains are both mainnets or both testnets
+function isSameNetworkType(blockchain, otherBlockchain) {
+    return Boolean(getChain(blockchain).testnet) === Boolean(getChain(otherBlockchain).testnet);
+}
+
+// Chains a transfer from `sourceBlockchain` can go to
+function getDestinationChains(sourceBlockchain) {
+    return listChains().filter(chain =>
+        chain.code !== sourceBlockchain &&
+        isSupportedChain(chain.code) &&
+        isSameNetworkType(chain.code, sourceBlockchain)
     );
-    
-    if (destinationWallets.length === 0) {
-        console.log("❌ No destination wallets found");
-        return;
+}
+
+// Ask for an external recipient address, its chain, and whether one of our wallets
+// relays the mint or the recipient claims it
+async function selectExternalDestination(sourceWallet, supportedWallets) {
+    const addressInput = await askQuestion("\nEnter the recipient's address (EVM or Solana): ");
+
+    if (!isRecipientAddress(addressInput)) {
+        console.log(`❌ "${addressInput}" is neither an EVM nor a Solana address.`);
+        return null;
     }
-    
-    displayWalletMenu(destinationWallets, "📥 Select DESTINATION wallet for minting");
-    const destChoice = await askQuestion(`Select destination wallet (1-${destinationWallets.length}): `);
-    const destIndex = parseInt(destChoice) - 1;
-    
-    if (destIndex < 0 || destIndex >= destinationWallets.length) {
-        console.log("❌ Invalid destination wallet selection");
-        return;
+
+    // Only offer the networks the address can exist on
+    const chains = getDestinationChains(sourceWallet.blockchain)
+        .filter(chain => isSolanaChain(chain.code) !== isEvmAddress(addressInput));
+
+    if (chains.length === 0) {
+        console.log("❌ No supported destination network for this address.");
+        return null;
     }
-    
-    const destinationWallet = destinationWallets[destIndex];
-    
-    console.log(`\n🔄 Recovering transfer:`);
-    console.log(`📤 Burn TX: ${burnTxHash}`);
-    console.log(`📥 Destination: ${destinationWallet.address} on ${SUPPORTED_NETWORKS[destinationWallet.blockchain].name}`);
-    
-    try {
-        // Step 3: Get attestation from Circle
-        console.log("\n📋 Step 3/4: Obtaining attestation from Circle...");
-        console.log("⏳ This may take 10-20 minutes as Circle validates the burn...");
-        
-        const attestation = await waitForAttestation(burnTxHash, sourceBlockchain);
-        
-        if (!attestation) {
-            throw new Error("Failed to obtain attestation from Circle");
-        }
-        
-        console.log("✅ Attestation received from Circle!");
-        
-        // Step 4: Mint USDC on destination chain
-        console.log("\n� Step 4/4: Minting USDC on destination chain...");
-        console.log(`🔗 Destination: ${SUPPORTED_NETWORKS[destinationWallet.blockchain].name}`);
-        
-        const mintResponse = await client.createContractExecutionTransaction({
-            walletId: destinationWallet.id,
-            contractAddress: getMessageTransmitterAddress(destinationWallet.blockchain),
-            abiFunctionSignature: "receiveMessage(bytes,bytes)",
-            abiParameters: [
-                attestation.message,
-                attestation.attestation
-            ],
-            fee: {
-                type: "level",
-                config: {
-                    feeLevel: "MEDIUM"
-                }
-            }
-        });
 
-        const mintTx = mintResponse.data?.id;
-        if (!mintTx) {
-            throw new Error("Failed to create mint transaction");
-        }
+    console.log("\n🌐 Select the recipient's network:");
+    chains.forEach((chain, index) => console.log(`${index + 1}. ${chain.name} (${chain.code})`));
 
-        console.log(`✅ Mint transaction created: ${mintTx}`);
-        console.log("⏳ Waiting for mint transaction to be confirmed...");
-        
-        const mintTxHash = await waitForTransactionCompletion(mintTx, "Mint");
-
-        // Final success message
-        console.log("\n" + "🎉".repeat(20));
-        console.log("🎉 RECOVERY COMPLETED SUCCESSFULLY! 🎉");
-        console.log("🎉".repeat(20));
-        console.log(`\n✅ Cross-chain transfer recovered and completed!`);
-        console.log(`🔗 View transactions:`);
-        console.log(`   Burn: ${getExplorerUrl(sourceBlockchain, burnTxHash)}`);
-        console.log(`   Mint: ${getExplorerUrl(destinationWallet.blockchain, mintTxHash)}`);
-        
+    const chainChoice = await askQuestion(`Select network (1-${chains.length}): `);
+    const chain = chains[parseInt(chainChoice) - 1];
+
+    if (!chain) {
+        console.log("❌ Invalid network selection.");
+        return null;
+    }
+
+    let address;
+    try {
+        address = parseAddress(chain.code, addressInput);
     } catch (error) {
-        console.error("\n❌ Recovery failed:", error.message);
-        console.log("\n💡 You can try running recovery again with the same burn transaction hash");
+        console.log(`❌ ${error.message}`);
+        return null;
     }
+
+    const destinationWallet = { address, blockchain: chain.code };
+    const relayer = await selectRelayerWallet(supportedWallets.filter(wallet => wallet.blockchain === chain.code));
+
+    return relayer && { destinationWallet, ...relayer };
 }
 
-// Main function
-async function main() {
-    console.log("�🌉 Circle Cross-Chain USDC Transfer Tool");
-    console.log("=" .repeat(50));
-    console.log("Transfer USDC seamlessly between different blockchains!");
-    console.log("=" .repeat(50));
-    
-    if (!await initializeClient()) {
-        console.log("❌ Failed to initialize. Please check your configuration.");
-        rl.close();
-        return;
+// Ask which of our wallets on the destination chain submits the mint for an external
+// recipient, if any. Resolves with `{ relayerWallet }` (null to leave it to the
+// recipient), or null for an invalid choice.
+async function selectRelayerWallet(relayers) {
+    console.log("\n🏭 Who submits the mint on the destination chain?");
+    console.log("1. Nobody: export the message and attestation so the recipient can claim it");
+    relayers.forEach((wallet, index) => console.log(`${index + 2}. Relayer wallet ${wallet.address} (${wallet.walletSetName})`));
+
+    const relayerChoice = await askQuestion(`Select option (1-${relayers.length + 1}): `);
+    const relayerIndex = parseInt(relayerChoice) - 2;
+
+    if (relayerChoice === '1') {
+        return { relayerWallet: null };
     }
 
-    console.log("\nSelect an option:");
-    console.log("1. Perform cross-chain transfer");
-    console.log("2. Recover from burn (continue from attestation step)");
-    const choice = await askQuestion("Enter your choice (1-2): ");
-    
-    if (choice === "1") {
-        await performCrossChainTransfer();
-    } else if (choice === "2") {
-        await recoverFromBurn();
-    } else {
-        console.log("❌ Invalid choice. Please try again.");
+    if (relayerIndex < 0 || relayerIndex >= relayers.length) {
+        console.log("❌ Invalid selection.");
+        return null;
     }
-    
-    rl.close();
-}
-
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Goodbye!');
-    rl.close();
-    process.exit(0);
-});
-
-main().catch(error => {
-    console.error("❌ Unexpected error:", error.message);
-    rl.close();
-    process.exit(1);
-});
-
-// Helper function to get explorer URL
-function getExplorerUrl(blockchain, txHash) {
-    switch (blockchain) {
-        case 'ETH':
-            return `https://etherscan.io/tx/${txHash}`;
-        case 'MATIC':
-            return `https://polygonscan.com/tx/${txHash}`;
-        case 'AVAX':
-            return `https://snowtrace.io/tx/${txHash}`;
-        case 'ETH-SEPOLIA':
-            return `https://sepolia.etherscan.io/tx/${txHash}`;
-        case 'MATIC-AMOY':
-            return `https://amoy.polygonscan.com/tx/${txHash}`;
-        default:
-            return `Unknown blockchain: ${blockchain}`;
-    }
-}
-
-// Helper function to get MessageTransmitter contract address
-function getMessageTransmitterAddress(blockchain) {
-    switch (blockchain) {
-        case 'ETH':
-            return '0x0a992d191deec32afe36203ad87d7d289a738f81'; // Ethereum Mainnet MessageTransmitter
-        case 'MATIC':
-            return '0xF3be9355363857F3e001be68856A2f96b4C39Ba9'; // Polygon Mainnet MessageTransmitter
-        case 'AVAX':
-            return '0x8186359aF5F57FbB40c6b14A588d2A59C0C29880'; // Avalanche Mainnet MessageTransmitter
-        case 'ETH-SEPOLIA':
-            return '0x7865fAfC2db2093669d92c0F33AeEF291086BEFD'; // Ethereum Sepolia MessageTransmitter
-        case 'MATIC-AMOY':
-            return '0x7865fAfC2db2093669d92c0F33AeEF291086BEFD'; // Polygon Amoy MessageTransmitter
-        default:
-            throw new Error(`Unsupported blockchain: ${blockchain}`);
-    }
-}
-
-// Helper function to get CCTP domain ID
-function getCCTPDomainId(blockchain) {
-    switch (blockchain) {
-        case 'ETH':
-            return 0; // Ethereum Mainnet
-        case 'MATIC':
-            return 7; // Polygon Mainnet
-        case 'AVAX':
-            return 1; // Avalanche C-Chain
-        case 'ETH-SEPOLIA':
-            return 0; // Ethereum Sepolia (uses same domain as mainnet for testnet)
-        case 'MATIC-AMOY':
-            return 7; // Polygon Amoy (uses same domain as mainnet for testnet)
-        default:
-            throw new Error(`Unsupported blockchain: ${blockchain}`);
-    }
-}
-
-// Helper function to convert address to bytes32
-function addressToBytes32(address) {
-    return `0x${address.replace(/^0x/, '').padStart(64, '0')}`;
-}
-
-// Helper function to wait for transaction completion
-async function waitForTransactionCompletion(txId, step) {
-    let attempts = 0;
-    const maxAttempts = 40; // Check for up to 20 minutes
-    
-    while (attempts < maxAttempts) {
-        try {
-            await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30 seconds
-            
-            console.log(`🔍 Checking ${step} transaction status (attempt ${attempts + 1}/${maxAttempts})...`);
-            
-            const txResponse = await client.getTransaction({
-                id: txId
-            });
-            
-            const tx = txResponse.data?.transaction;
-            console.log(`Current state: ${tx?.state}`);
-            if (tx?.state === 'CONFIRMED') {
-                return tx.txHash;
-            }
-            
-            attempts++;
-        } catch (error) {
-            console.log(`⚠️  Could not check ${step} transaction status: ${error.message}`);
-            attempts++;
-        }
+
+    return { relayerWallet: relayers[relayerIndex] };
+}
+
+// How the mint of a transfer is submitted, for summaries
+function mintLabel(destinationWallet, relayerWallet) {
+    if (destinationWallet.id) {
+        return 'by the destination wallet';
     }
-    
-    throw new Error(`Timeout waiting for ${step} transaction completion`);
+
+    return relayerWallet ? `by relayer wallet ${relayerWallet.address}` : 'claimed by the recipient (message exported)';
 }
 
-// Helper function to wait for attestation
-async function waitForAttestation(burnTxHash, sourceBlockchain) {
-    let attempts = 0;
-    const maxAttempts = 40; // Check for up to 20 minutes
-    
-    // Get the source domain ID for the API call
-    const sourceDomainId = getCCTPDomainId(sourceBlockchain);
-    
-    // Use Circle's public CCTP API (testnet)
-    const apiHost = 'https://iris-api-sandbox.circle.com';
-    
-    while (attempts < maxAttempts) {
-        try {
-            await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30 seconds
-            
-            console.log(`🔍 Checking attestation status (attempt ${attempts + 1}/${maxAttempts})...`);
-            console.log(`🔗 Querying: ${apiHost}/v1/messages/${sourceDomainId}/${burnTxHash}`);
-            
-            // Make HTTP request to Circle's CCTP API
-            const response = await fetch(`${apiHost}/v1/messages/${sourceDomainId}/${burnTxHash}`);
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.log(`⏳ Message not found yet, waiting...`);
-                    attempts++;
-                    continue;
-                }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            console.log(`📋 Message found:`, data);
-            
-            // Check if attestation is available
-            if (data.messages && data.messages.length > 0) {
-                const message = data.messages[0];
-                if (message.attestation) {
-                    console.log(`✅ Attestation received!`);
-                    return {
-                        message: message.message,
-                        attestation: message.attestation
-                    };
+// Print the native balance of each wallet paying for gas against its estimated fees
+function printGasCheck(gasSides) {
+    // Helper function to append a USD value when the native token has a price
+    const withUsd = (amount, unit, usd) => `${amount} ${unit}${usd !== null ? ` (≈ $${usd})` : ''}`;
+
+    gasSides.forEach(side => {
+        const label = `${GAS_ROLES[side.role]} wallet on ${side.blockchain}`;
+
+        if (side.error) {
+            console.log(`⛽ Gas, ${label}: could not be checked`);
+            return;
+        }
+
+        const unit = side.symbol || 'native';
+        console.log(`⛽ Gas, ${label}: balance ${side.balance} ${unit}`);
+        side.steps.forEach(({ step, feeSetting, fee, feeUsd, scaled }) => {
+            const setting = feeSetting ? `, ${feeSetting}` : '';
+            console.log(`   ${STEP_LABELS[step]}${setting}: ${scaled ? '~' : ''}${withUsd(fee, unit, feeUsd)}`);
+        });
+        console.log(`   Total: about ${withUsd(side.required, unit, side.requiredUsd)}${side.short ? ' ⚠️  NOT ENOUGH' : ''}`);
+    });
+}
+
+// Display the transfer summary shown before asking for confirmation
+function printTransferConfirmation(sourceWallet, destinationWallet, transferAmount, sourceUSDCBalance, mode, feeQuote, relayerWallet, gasSides = []) {
+    console.log("\n" + "=".repeat(60));
+    console.log("🔄 TRANSFER CONFIRMATION");
+    console.log("=".repeat(60));
+    console.log(`📤 FROM: ${sourceWallet.address}`);
+    console.log(`   Network: ${getChain(sourceWallet.blockchain).name}`);
+    console.log(`📥 TO: ${destinationWallet.address}${destinationWallet.id ? '' : ' (external address)'}`);
+    console.log(`   Network: ${getChain(destinationWallet.blockchain).name}`);
+    console.log(`🏭 Mint: ${mintLabel(destinationWallet, relayerWallet)}`);
+    console.log(`💰 Amount: ${formatUsdcAmount(transferAmount)} USDC`);
+    console.log(`💳 Source Balance: ${formatUsdcAmount(sourceUSDCBalance)} USDC`);
+    console.log(`⚡ Protocol: ${protocolLabel(mode)}`);
+    if (feeQuote) {
+        console.log(`💸 Max Fee: ${formatUsdcAmount(feeQuote.maxFee)} USDC (${feeQuote.minimumFeeBps} bps, deducted from the minted amount)`);
+    }
+    printGasCheck(gasSides);
+    console.log("=".repeat(60));
+}
+
+// Display names of the transfer steps in log messages
+const STEP_LABELS = {
+    approval: 'Approval',
+    burn: 'Burn',
+    mint: 'Mint',
+    revoke: 'Revoke allowance'
+};
+
+// Helper function to format a duration as "4m 05s"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Print the client's progress events the way the interactive flow always has
+function attachProgressLogging(emitter) {
+    emitter.on('transferStarted', ({ entry }) => {
+        if (entry.step === 'created') {
+            // Initiate the transfer
+            console.log(`📒 Transfer recorded in journal: ${entry.id}`);
+            console.log("\n🚀 Initiating cross-chain USDC transfer...");
+            console.log("⏳ This will involve multiple steps: Approval → Burn → Attestation → Mint");
+            console.log("📋 Each step will be clearly logged with progress updates\n");
+        } else {
+            console.log(`\n🔄 Continuing transfer ${entry.id} (last completed step: ${entry.step})\n`);
+        }
+    });
+
+    emitter.on('stepStarted', ({ entry, step }) => {
+        switch (step) {
+            case 'approval':
+                console.log("🔐 Step 1/4: Approving USDC spending...");
+                console.log("🔍 Checking the current TokenMessenger allowance...");
+                break;
+            case 'burn':
+                console.log("\n🔥 Step 2/4: Burning USDC on source chain...");
+                console.log(`🔗 Source: ${getChain(entry.source.blockchain).name}`);
+                break;
+            case 'attestation':
+                console.log("\n📋 Step 3/4: Obtaining attestation from Circle...");
+                if (entry.speed === 'fast') {
+                    console.log("⏳ Fast Transfer attestations usually arrive within a minute...");
                 } else {
-                    console.log(`⏳ Message found but attestation not ready yet...`);
+                    console.log("⏳ This may take 10-20 minutes as Circle validates the burn...");
+                }
+                break;
+            case 'mint':
+                console.log("\n🏭 Step 4/4: Minting USDC on destination chain...");
+                console.log(`🔗 Destination: ${getChain(entry.destination.blockchain).name}`);
+                break;
+        }
+    });
+
+    emitter.on('burnLocated', ({ sourceBlockchain, cctpVersion, status }) => {
+        console.log(`📍 Burn found on ${getChain(sourceBlockchain).name} (CCTP V${cctpVersion})`);
+        if (status === 'pending') {
+            console.log("⏳ Waiting for its attestation...");
+        }
+    });
+
+    emitter.on('alreadyMinted', () => {
+        console.log("\n✅ The destination MessageTransmitter already received this message; skipping the mint");
+    });
+
+    emitter.on('gasChecked', ({ sides }) => {
+        printGasCheck(sides);
+    });
+
+    emitter.on('feeQuoted', ({ quote }) => {
+        console.log(`💸 CCTP V2 fee quote: ${quote.minimumFeeBps} bps, max fee ${formatUsdcAmount(quote.maxFee)} USDC`);
+    });
+
+    emitter.on('approvalSkipped', ({ allowance }) => {
+        console.log(`✅ Existing allowance of ${formatUsdcAmount(allowance)} USDC covers this transfer, skipping approval`);
+    });
+
+    emitter.on('transactionCreated', ({ entry, step, txId }) => {
+        if (step === 'approval') {
+            console.log(`💰 Approving ${entry.approvalAmount || entry.amount} USDC for TokenMessenger contract`);
+        }
+        console.log(`✅ ${STEP_LABELS[step]} transaction created: ${txId}`);
+    });
+
+    emitter.on('transactionPending', ({ step }) => {
+        console.log(`⏳ Waiting for ${step} transaction to be confirmed...`);
+    });
+
+    emitter.on('poll', ({ step, attempt, elapsedMs, deadlineMs, state, url, waitMs }) => {
+        const progress = `attempt ${attempt}, ${formatDuration(elapsedMs)} of ${formatDuration(deadlineMs)}`;
+
+        if (step !== 'attestation') {
+            console.log(`🔍 Checking ${STEP_LABELS[step]} transaction status (${progress})...`);
+            console.log(`Current state: ${state}`);
+            return;
+        }
+
+        console.log(`🔍 Checking attestation status (${progress})...`);
+        console.log(`🔗 Querying: ${url}`);
+        if (state === 'not_found') {
+            console.log(`⏳ Message not found yet, waiting...`);
+        } else if (state === 'rate_limited') {
+            console.log(`⏳ Rate limited by the attestation service, retrying in ${Math.round(waitMs / 1000)}s...`);
+        } else {
+            console.log(`⏳ Message found but attestation not ready yet...`);
+        }
+    });
+
+    emitter.on('transactionState', ({ step, state }) => {
+        const label = STEP_LABELS[step];
+        switch (state) {
+            case 'QUEUED':
+                console.log(`📥 ${label} transaction queued by Circle`);
+                break;
+            case 'SENT':
+                console.log(`📡 ${label} transaction broadcast, waiting for confirmation...`);
+                break;
+            case 'COMPLETE':
+                console.log(`✅ ${label} transaction complete`);
+                break;
+            case 'FAILED':
+            case 'DENIED':
+            case 'CANCELLED':
+                console.log(`❌ ${label} transaction ${state}`);
+                break;
+        }
+    });
+
+    emitter.on('transactionStuck', ({ step, txId, state, pendingMs }) => {
+        console.log(`\n🐢 ${STEP_LABELS[step]} transaction ${txId} has been ${state || 'pending'} for ${Math.round(pendingMs / 60000)} minutes.`);
+        if (!transferClient.onStuck) {
+            console.log(`💡 Speed it up with: node cross-chain-transfer.js accelerate --tx ${txId}`);
+            console.log(`   or cancel it with: node cross-chain-transfer.js cancel --tx ${txId} --yes`);
+        }
+    });
+
+    emitter.on('transactionAccelerated', ({ step }) => {
+        console.log(`🚀 Acceleration of the ${step} transaction requested`);
+    });
+
+    emitter.on('transactionCancelled', ({ step }) => {
+        console.log(`🛑 Cancellation of the ${step} transaction requested`);
+    });
+
+    emitter.on('stepCompleted', ({ step, txHash }) => {
+        if (step === 'attestation') {
+            console.log("✅ Attestation received from Circle!");
+            console.log(`📝 Attestation signature obtained`);
+        } else if (step !== 'mint') {
+            console.log(`✅ ${STEP_LABELS[step]} confirmed! TX Hash: ${txHash}`);
+        }
+    });
+
+    emitter.on('deadlineExceeded', ({ entry, step }) => {
+        console.log(`⏰ Stopped waiting for the ${step} step of transfer ${entry.id}`);
+    });
+
+    emitter.on('warning', ({ message }) => {
+        console.log(`⚠️  Warning: ${message}`);
+    });
+}
+
+// Print the final success message for a completed journal entry
+function printTransferSuccess(entry) {
+    const { source, destination } = entry;
+
+    if (entry.alreadyMinted) {
+        console.log(`\n✅ Already minted: this burn was received on ${getChain(destination.blockchain).name} before; no mint was submitted.`);
+        console.log(`📥 ${entry.amount} USDC went to ${destination.address}`);
+        console.log(`🔗 Burn: ${getExplorerUrl(source.blockchain, entry.burnTxHash)}`);
+        if (entry.mintTxHash) {
+            console.log(`🔗 Mint: ${getExplorerUrl(destination.blockchain, entry.mintTxHash)}`);
+        }
+        return;
+    }
+
+    if (entry.mintMode === 'claim') {
+        printClaimReady(entry);
+        return;
+    }
+
+    console.log("\n" + "🎉".repeat(20));
+    console.log("🎉 CROSS-CHAIN TRANSFER COMPLETED SUCCESSFULLY! 🎉");
+    console.log("🎉".repeat(20));
+    if (entry.amount) {
+        console.log(`\n✅ ${entry.amount} USDC successfully transferred!`);
+    }
+    if (source.address) {
+        console.log(`📤 From: ${source.address} (${getChain(source.blockchain).name})`);
+    }
+    console.log(`📥 To: ${destination.address} (${getChain(destination.blockchain).name})`);
+    console.log(`\n🔗 View on explorers:`);
+    console.log(`   Source (Burn): ${getExplorerUrl(source.blockchain, entry.burnTxHash)}`);
+    console.log(`   Destination (Mint): ${getExplorerUrl(destination.blockchain, entry.mintTxHash)}`);
+}
+
+// Print where the recipient of a claim-only transfer finds what they need to mint
+function printClaimReady(entry) {
+    const claim = claimPackage(entry);
+
+    console.log("\n✅ Burn attested! The USDC is ready to be claimed by the recipient.");
+    console.log(`📥 Recipient: ${claim.recipient} (${getChain(claim.destinationBlockchain).name})`);
+    console.log(`🔗 Burn: ${getExplorerUrl(entry.source.blockchain, entry.burnTxHash)}`);
+    console.log(`📄 Claim data: ${entry.claimFile}`);
+    if (claim.instruction) {
+        console.log(`💡 To mint, submit the ${claim.instruction} instruction of the ${claim.messageTransmitter} program`);
+        console.log(`   with the message and attestation from the claim file; the USDC goes to token account ${claim.mintRecipient}.`);
+    } else {
+        console.log(`💡 To mint, call ${claim.abiFunctionSignature} on ${claim.messageTransmitter}`);
+        console.log("   with the message and attestation from the claim file, from any account.");
+    }
+}
+
+// Write the claim data of a claim-only transfer to the working directory and remember where
+function exportClaim(entry) {
+    if (entry.mintMode !== 'claim' || entry.claimFile || entry.alreadyMinted) {
+        return;
+    }
+
+    const claimFile = `claim-${entry.id}.json`;
+    fs.writeFileSync(claimFile, JSON.stringify(claimPackage(entry), null, 2) + '\n');
+    journal.recordProgress(entry, { claimFile });
+}
+
+// Run a new transfer and report it. `transferOptions` holds the protocol
+// version and speed, the quoted max fee, the approval cap and the relayer wallet.
+async function startTransfer(sourceWallet, destinationWallet, transferAmount, transferOptions = {}) {
+    const entry = await transferClient.transfer({
+        sourceWallet,
+        destinationWallet,
+        amount: formatUsdcAmount(transferAmount),
+        ...transferOptions
+    });
+    exportClaim(entry);
+    printTransferSuccess(entry);
+    return transferResult(entry);
+}
+
+// Continue a journal entry from its last completed step and report it
+async function continueTransfer(entry) {
+    await transferClient.continueTransfer(entry);
+    exportClaim(entry);
+    printTransferSuccess(entry);
+    return transferResult(entry);
+}
+
+// Machine-readable summary of a completed journal entry
+function transferResult(entry) {
+    return {
+        status: 'success',
+        journalId: entry.id,
+        amount: entry.amount,
+        cctpVersion: entry.cctpVersion || 1,
+        speed: entry.speed,
+        maxFee: entry.maxFee,
+        source: {
+            walletId: entry.source.id,
+            address: entry.source.address,
+            blockchain: entry.source.blockchain
+        },
+        destination: {
+            walletId: entry.destination.id,
+            address: entry.destination.address,
+            blockchain: entry.destination.blockchain
+        },
+        mintMode: entry.mintMode || 'wallet',
+        relayerWalletId: entry.relayer?.id,
+        claimFile: entry.claimFile,
+        approvalTxHash: entry.approvalTxHash,
+        approvalSkipped: Boolean(entry.approvalSkipped),
+        alreadyMinted: Boolean(entry.alreadyMinted),
+        burnTxHash: entry.burnTxHash,
+        mintTxHash: entry.mintTxHash,
+        explorer: {
+            burn: getExplorerUrl(entry.source.blockchain, entry.burnTxHash),
+            mint: entry.mintTxHash ? getExplorerUrl(entry.destination.blockchain, entry.mintTxHash) : null
+        }
+    };
+}
+
+// Find the source wallet given on the command line by its wallet ID. Frozen wallets
+// are refused, and treasury wallets unless --allow-treasury is given.
+function resolveSourceWallet(supportedWallets, walletId, { allowTreasury } = {}) {
+    const sourceWallet = supportedWallets.find(wallet => wallet.id === walletId);
+
+    if (!sourceWallet) {
+        throw new TransferError(`Source wallet ${walletId} not found or not LIVE on a supported network.`, EXIT_CODES.VALIDATION);
+    }
+
+    assertSourceAllowed(sourceWallet, { allowTreasury });
+    if (sourceWallet.tags?.includes('treasury')) {
+        console.log(`⚠️  Transferring from treasury wallet ${sourceWallet.id} (--allow-treasury)`);
+    }
+
+    return sourceWallet;
+}
+
+// Find the destination wallet given on the command line by wallet ID or address.
+// The same EVM address can exist on several chains, so `destChain` narrows it down.
+function resolveDestinationWallet(supportedWallets, sourceWallet, target, destChain) {
+    const candidates = supportedWallets.filter(wallet =>
+        (wallet.id === target || wallet.address.toLowerCase() === target.toLowerCase()) &&
+        (!destChain || wallet.blockchain === destChain)
+    );
+
+    if (candidates.length === 0) {
+        throw new TransferError(`Destination wallet ${target} not found or not LIVE on a supported network.`, EXIT_CODES.VALIDATION);
+    }
+
+    const destinationWallets = candidates.filter(wallet => wallet.blockchain !== sourceWallet.blockchain);
+
+    if (destinationWallets.length === 0) {
+        throw new TransferError("Destination must be on a different network than the source wallet.", EXIT_CODES.VALIDATION);
+    }
+
+    if (destinationWallets.length > 1) {
+        const chains = destinationWallets.map(wallet => wallet.blockchain).join(', ');
+        throw new TransferError(`Destination ${target} exists on several networks (${chains}). Use --dest-chain to pick one.`, EXIT_CODES.USAGE);
+    }
+
+    return destinationWallets[0];
+}
+
+// Resolve --to into one of our wallets, or into an external address that is minted by the
+// --relayer wallet or left for the recipient to claim (--claim-only)
+function resolveRecipient(supportedWallets, sourceWallet, { to, destChain, relayer, claimOnly }) {
+    const isOwnWallet = supportedWallets.some(wallet =>
+        (wallet.id === to || wallet.address.toLowerCase() === to.toLowerCase()) &&
+        wallet.blockchain !== sourceWallet.blockchain &&
+        (!destChain || wallet.blockchain === destChain)
+    );
+
+    if (isOwnWallet || !isRecipientAddress(to)) {
+        return { destinationWallet: resolveDestinationWallet(supportedWallets, sourceWallet, to, destChain), relayerWallet: null };
+    }
+
+    if (!destChain) {
+        throw new TransferError(`Destination ${to} is not one of your wallets. Use --dest-chain to name its network.`, EXIT_CODES.USAGE);
+    }
+
+    if (!getDestinationChains(sourceWallet.blockchain).some(chain => chain.code === destChain)) {
+        throw new TransferError(`${destChain} is not a supported destination network for transfers from ${sourceWallet.blockchain}.`, EXIT_CODES.VALIDATION);
+    }
+
+    let address;
+    try {
+        address = parseAddress(destChain, to);
+    } catch (error) {
+        throw new TransferError(error.message, EXIT_CODES.VALIDATION);
+    }
+
+    const destinationWallet = { address, blockchain: destChain };
+
+    if (claimOnly) {
+        if (relayer) {
+            throw new TransferError("Use either --relayer or --claim-only, not both.", EXIT_CODES.USAGE);
+        }
+        return { destinationWallet, relayerWallet: null };
+    }
+
+    if (!relayer) {
+        throw new TransferError(
+            `Destination ${to} is not one of your wallets. Pass --relayer <walletId> to mint from one of your ${destChain} wallets, ` +
+            "or --claim-only to export the message and attestation for the recipient.",
+            EXIT_CODES.USAGE
+        );
+    }
+
+    const relayerWallet = supportedWallets.find(wallet => wallet.id === relayer);
+
+    if (!relayerWallet) {
+        throw new TransferError(`Relayer wallet ${relayer} not found or not LIVE on a supported network.`, EXIT_CODES.VALIDATION);
+    }
+
+    if (relayerWallet.blockchain !== destChain) {
+        throw new TransferError(`Relayer wallet ${relayer} is on ${relayerWallet.blockchain}, not ${destChain}.`, EXIT_CODES.VALIDATION);
+    }
+
+    return { destinationWallet, relayerWallet };
+}
+
+// Protocol options given on the command line: --fast implies CCTP V2
+function resolveTransferModeOptions(options) {
+    const cctpVersion = options.cctpVersion ? Number(options.cctpVersion) : (options.fast ? 2 : 1);
+
+    if (!CCTP_VERSIONS.includes(cctpVersion)) {
+        throw new TransferError(`Unsupported --cctp-version ${options.cctpVersion}. Use ${CCTP_VERSIONS.join(' or ')}.`, EXIT_CODES.USAGE);
+    }
+
+    if (cctpVersion === 1) {
+        if (options.fast) {
+            throw new TransferError("--fast requires --cctp-version 2.", EXIT_CODES.USAGE);
+        }
+        return { cctpVersion };
+    }
+
+    return { cctpVersion, speed: options.fast ? 'fast' : 'standard' };
+}
+
+// Non-interactive transfer driven entirely by command line options
+async function runTransferCommand(options) {
+    if (!options.from || !options.to || !options.amount) {
+        throw new TransferError("transfer requires --from, --to and --amount.", EXIT_CODES.USAGE);
+    }
+
+    if (!options.yes) {
+        throw new TransferError("Refusing to transfer without confirmation. Pass --yes to confirm.", EXIT_CODES.USAGE);
+    }
+
+    const mode = resolveTransferModeOptions(options);
+    const fees = feeOptions(options);
+    const supportedWallets = getSupportedWallets(await getAllWallets());
+    const sourceWallet = resolveSourceWallet(supportedWallets, options.from, { allowTreasury: options.allowTreasury });
+    const { destinationWallet, relayerWallet } = resolveRecipient(supportedWallets, sourceWallet, options);
+
+    const sourceUSDCBalance = await getUSDCBalance(sourceWallet.id);
+
+    if (sourceUSDCBalance <= 0n) {
+        throw new TransferError("Source wallet has no USDC balance.", EXIT_CODES.INSUFFICIENT_BALANCE);
+    }
+
+    const transferAmount = validateTransferAmount(options.amount, sourceUSDCBalance);
+    const feeQuote = await quoteTransferFee(sourceWallet, destinationWallet, transferAmount, mode);
+    const gasCheck = await checkGas(sourceWallet, destinationWallet, relayerWallet, transferAmount, mode, feeQuote, { approvalCap: options.approvalCap, fees });
+
+    printTransferConfirmation(sourceWallet, destinationWallet, transferAmount, sourceUSDCBalance, mode, feeQuote, relayerWallet, gasCheck);
+
+    return startTransfer(sourceWallet, destinationWallet, transferAmount, {
+        ...mode,
+        maxFee: feeQuote?.maxFee,
+        approvalCap: options.approvalCap,
+        relayerWallet,
+        fees,
+        allowLowGas: options.allowLowGas || undefined,
+        gasCheck
+    });
+}
+
+// Circle transaction IDs are UUIDs; anything else is taken as a burn transaction hash
+const CIRCLE_TRANSACTION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper function to turn a burn transaction hash or Circle transaction ID into recovery options
+function burnReference(reference) {
+    const trimmed = reference.trim();
+    return CIRCLE_TRANSACTION_ID.test(trimmed) ? { transactionId: trimmed } : { burnTxHash: trimmed };
+}
+
+// Print what recovery found out about a burn from its attested message
+function printRecovery(recovery) {
+    console.log(`\n📋 Attested burn on ${getChain(recovery.sourceBlockchain).name} (CCTP V${recovery.cctpVersion})`);
+    console.log(`📤 Burn TX: ${recovery.burnTxHash}`);
+    console.log(`📥 Mints ${recovery.amount} USDC to ${recovery.recipient} on ${getChain(recovery.destinationBlockchain).name}`);
+    if (recovery.mintRecipient !== recovery.recipient) {
+        console.log(`   Token account: ${recovery.mintRecipient}`);
+    }
+    console.log(`🔢 Nonce: ${recovery.message.nonce}`);
+    if (recovery.destinationCaller) {
+        console.log(`🔒 Only ${recovery.destinationCaller} may mint it`);
+    }
+    if (recovery.alreadyMinted) {
+        console.log("✅ The destination chain already received this message.");
+    }
+}
+
+// Report a recovery that could not finish
+async function reportRecoveryFailure(error) {
+    if (error.exitCode === EXIT_CODES.STILL_PENDING) {
+        reportStillPending(error);
+    } else {
+        console.error("\n❌ Recovery failed:", error.message);
+        if (error.details?.journalId) {
+            console.log(`\n💡 You can continue this recovery with: node cross-chain-transfer.js resume --id ${error.details.journalId}`);
+        }
+    }
+    await offerBackgroundWait(error);
+}
+
+// Recover a burn from any chain: find it, decode its message and mint it, unless
+// the destination chain already received it
+async function recoverFromBurn() {
+    console.log("\n🔄 RECOVERY MODE: Finish a burn that was never minted");
+    console.log("Use this when your burn transaction succeeded but attestation/mint failed\n");
+    
+    const reference = await askQuestion("Enter the burn transaction hash or Circle transaction ID: ");
+    if (!reference.trim()) {
+        console.log("❌ Burn transaction hash or Circle transaction ID is required for recovery");
+        return;
+    }
+
+    try {
+        console.log("\n🔍 Looking for the burn with Circle's attestation service...");
+        const recovery = await transferClient.prepareRecovery(burnReference(reference));
+        printRecovery(recovery);
+
+        let destinationWallet = null;
+        let relayerWallet = null;
+
+        if (!recovery.alreadyMinted) {
+            // The recipient mints for itself when it is one of our wallets
+            const destinationWallets = getSupportedWallets(await getAllWallets())
+                .filter(wallet => wallet.blockchain === recovery.destinationBlockchain);
+            destinationWallet = destinationWallets.find(wallet => mintsTo(wallet, recovery)) || null;
+
+            if (!destinationWallet) {
+                console.log(`\n📭 ${recovery.recipient} is not one of your wallets.`);
+                const relayer = await selectRelayerWallet(destinationWallets);
+                if (!relayer) {
+                    return;
                 }
+                relayerWallet = relayer.relayerWallet;
+            }
+
+            const confirm = await askQuestion(`\nMint ${recovery.amount} USDC to ${recovery.recipient}? (yes/no): `);
+            if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+                console.log("❌ Recovery cancelled.");
+                return;
+            }
+        }
+
+        // The recovery is journaled too, so an interruption during the mint can be resumed
+        const entry = await transferClient.recover({ recovery, destinationWallet, relayerWallet });
+        exportClaim(entry);
+        printTransferSuccess(entry);
+    } catch (error) {
+        await reportRecoveryFailure(error);
+    }
+}
+
+// --source and --cctp-version of the commands that look for a burn; both are optional
+function burnSearchOptions(options) {
+    if (options.source && !getChain(options.source)) {
+        throw new TransferError(`Unknown source blockchain ${options.source}.`, EXIT_CODES.USAGE);
+    }
+
+    const cctpVersion = options.cctpVersion ? Number(options.cctpVersion) : undefined;
+    if (cctpVersion !== undefined && !CCTP_VERSIONS.includes(cctpVersion)) {
+        throw new TransferError(`Unsupported --cctp-version ${options.cctpVersion}. Use ${CCTP_VERSIONS.join(' or ')}.`, EXIT_CODES.USAGE);
+    }
+
+    return { sourceBlockchain: options.source, cctpVersion };
+}
+
+// Non-interactive recovery of a burn given by --burn-tx or --tx. The recipient mints
+// when it is one of our wallets; otherwise --relayer or --claim-only says how.
+async function runRecoverCommand(options) {
+    if (!options.burnTx === !options.tx) {
+        throw new TransferError("recover requires either --burn-tx <hash> or --tx <transactionId>.", EXIT_CODES.USAGE);
+    }
+
+    if (!options.yes) {
+        throw new TransferError("Refusing to mint without confirmation. Pass --yes to confirm.", EXIT_CODES.USAGE);
+    }
+
+    if (options.relayer && options.claimOnly) {
+        throw new TransferError("Use either --relayer or --claim-only, not both.", EXIT_CODES.USAGE);
+    }
+
+    const fees = feeOptions(options);
+
+    console.log("🔍 Looking for the burn with Circle's attestation service...");
+    const recovery = await transferClient.prepareRecovery({
+        burnTxHash: options.burnTx,
+        transactionId: options.tx,
+        ...burnSearchOptions(options)
+    });
+    printRecovery(recovery);
+
+    let destinationWallet = null;
+    let relayerWallet = null;
+
+    if (!recovery.alreadyMinted) {
+        const supportedWallets = getSupportedWallets(await getAllWallets());
+        destinationWallet = supportedWallets.find(wallet => mintsTo(wallet, recovery)) || null;
+
+        if (!destinationWallet && !options.claimOnly) {
+            if (!options.relayer) {
+                throw new TransferError(
+                    `${recovery.recipient} is not one of your wallets. Pass --relayer <walletId> to mint from one of your ` +
+                    `${recovery.destinationBlockchain} wallets, or --claim-only to export the message and attestation for the recipient.`,
+                    EXIT_CODES.USAGE
+                );
+            }
+
+            relayerWallet = supportedWallets.find(wallet => wallet.id === options.relayer);
+            if (!relayerWallet) {
+                throw new TransferError(`Relayer wallet ${options.relayer} not found or not LIVE on a supported network.`, EXIT_CODES.VALIDATION);
             }
-            
-            attempts++;
+        }
+    }
+
+    const entry = await transferClient.recover({ recovery, destinationWallet, relayerWallet, fees });
+    exportClaim(entry);
+    printTransferSuccess(entry);
+    return transferResult(entry);
+}
+
+// Labels of the decoded message fields, in display order
+const MESSAGE_FIELD_LABELS = {
+    cctpVersion: 'CCTP version',
+    version: 'Message version',
+    sourceDomain: 'Source domain',
+    destinationDomain: 'Destination domain',
+    nonce: 'Nonce',
+    sender: 'Sender',
+    recipient: 'Recipient',
+    destinationCaller: 'Destination caller',
+    minFinalityThreshold: 'Min finality',
+    finalityThresholdExecuted: 'Finality executed',
+    burnMessageVersion: 'Burn message version',
+    burnToken: 'Burn token',
+    mintRecipient: 'Mint recipient',
+    amount: 'Amount',
+    messageSender: 'Message sender',
+    maxFee: 'Max fee',
+    feeExecuted: 'Fee executed',
+    expirationBlock: 'Expiration block',
+    hookData: 'Hook data'
+};
+
+// Helper function to name the chains of a CCTP domain, e.g. "0 (ETH, ETH-SEPOLIA)"
+function domainLabel(domain) {
+    const chains = listChains().filter(chain => chain.domain === domain).map(chain => chain.code);
+    return chains.length > 0 ? `${domain} (${chains.join(', ')})` : `${domain} (unknown)`;
+}
+
+// Address a bytes32 message field stands for on the chains of a domain
+// (the raw bytes32 for domains missing from the registry)
+function messageAddress(domain, bytes32) {
+    const chain = listChains().find(candidate => candidate.domain === domain);
+    return chain ? bytes32ToAddress(chain.code, bytes32) : bytes32;
+}
+
+// Fields of a decoded CCTP message for display: domains named after their chains,
+// addresses in the format of their chain and amounts in USDC
+function describeMessage(decoded) {
+    const onSource = bytes32 => messageAddress(decoded.sourceDomain, bytes32);
+    const onDestination = bytes32 => messageAddress(decoded.destinationDomain, bytes32);
+
+    const fields = {
+        ...decoded,
+        sourceDomain: domainLabel(decoded.sourceDomain),
+        destinationDomain: domainLabel(decoded.destinationDomain),
+        sender: onSource(decoded.sender),
+        recipient: onDestination(decoded.recipient),
+        destinationCaller: /^0x0{64}$/.test(decoded.destinationCaller) ? 'anyone' : onDestination(decoded.destinationCaller),
+        burnToken: onSource(decoded.burnToken),
+        mintRecipient: onDestination(decoded.mintRecipient),
+        amount: `${formatUsdcAmount(decoded.amount)} USDC`,
+        messageSender: onSource(decoded.messageSender)
+    };
+
+    if (decoded.cctpVersion === 2) {
+        fields.maxFee = `${formatUsdcAmount(decoded.maxFee)} USDC`;
+        fields.feeExecuted = `${formatUsdcAmount(decoded.feeExecuted)} USDC`;
+        fields.expirationBlock = decoded.expirationBlock.toString();
+    }
+
+    return fields;
+}
+
+// Print the fields of a decoded CCTP message
+function printDecodedMessage(fields) {
+    console.log("\n📋 CCTP message:");
+    console.log("─".repeat(80));
+
+    for (const [field, label] of Object.entries(MESSAGE_FIELD_LABELS)) {
+        if (fields[field] !== undefined) {
+            console.log(`   ${label.padEnd(22)}${fields[field]}`);
+        }
+    }
+}
+
+/**
+ * Decode and print the CCTP message of a burn (by transaction hash or Circle
+ * transaction ID) or given as hex, and whether its destination chain already
+ * received it. `sourceBlockchain` narrows the burn search and tells mainnet
+ * from testnet for a bare message.
+ */
+async function inspectMessage(input, { sourceBlockchain, cctpVersion } = {}) {
+    const reference = input.trim();
+    let message = reference;
+    let network = sourceBlockchain;
+
+    // Messages are far longer than transaction hashes
+    if (!/^0x[0-9a-fA-F]{65,}$/.test(reference)) {
+        console.log("🔍 Looking for the burn with Circle's attestation service...");
+        const burn = await transferClient.locateBurn({ ...burnReference(reference), sourceBlockchain, cctpVersion });
+
+        if (burn.status !== 'complete') {
+            console.log("⏳ The burn is not attested yet; its message is available once it is.");
+            return { status: 'pending', exitCode: EXIT_CODES.STILL_PENDING, sourceBlockchain: burn.sourceBlockchain, burnTxHash: burn.burnTxHash };
+        }
+
+        message = burn.message;
+        network = burn.sourceBlockchain;
+    }
+
+    let decoded;
+    try {
+        decoded = decodeMessage(message);
+    } catch (error) {
+        throw new TransferError(`Cannot decode the message: ${error.message}`, EXIT_CODES.VALIDATION);
+    }
+
+    const fields = describeMessage(decoded);
+    printDecodedMessage(fields);
+
+    // Whether it was minted can only be checked once the network is known
+    let received;
+    const destinationChain = network && getChainByDomain(decoded.destinationDomain, getChain(network)?.testnet);
+
+    if (destinationChain) {
+        try {
+            received = await transferClient.isMessageReceived(destinationChain.code, message);
+            console.log(received
+                ? `\n✅ Already received on ${destinationChain.name}`
+                : `\n⏳ Not received on ${destinationChain.name} yet`);
         } catch (error) {
-            console.log(`⚠️  Could not check attestation status: ${error.message}`);
-            attempts++;
+            console.log(`⚠️  Warning: Could not check whether ${destinationChain.name} received the message: ${error.message}`);
         }
     }
+
+    return {
+        status: 'success',
+        message,
+        fields,
+        ...(destinationChain && { destinationBlockchain: destinationChain.code, received })
+    };
+}
+
+// Ask for a burn or message and print what it contains
+async function inspectFromMenu() {
+    const input = await askQuestion("Enter a burn transaction hash, Circle transaction ID or message hex: ");
+
+    if (!input.trim()) {
+        console.log("❌ A burn transaction hash, Circle transaction ID or message is required");
+        return;
+    }
+
+    try {
+        await inspectMessage(input);
+    } catch (error) {
+        console.error("\n❌ Inspection failed:", error.message);
+    }
+}
+
+// Non-interactive inspect of the burn or message given as the first argument
+async function runInspectCommand(options, positionals) {
+    if (positionals.length !== 1) {
+        throw new TransferError("inspect requires one burn transaction hash, Circle transaction ID or message hex.", EXIT_CODES.USAGE);
+    }
+
+    return inspectMessage(positionals[0], burnSearchOptions(options));
+}
+
+// Print the unfinished transfers recorded in the journal
+function displayUnfinishedTransfers(entries) {
+    console.log(`\n📒 Unfinished transfers (${entries.length}):`);
+    console.log("─".repeat(80));
+
+    entries.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.id}`);
+        console.log(`   Route: ${entry.source.blockchain} → ${entry.destination.blockchain} (${protocolLabel(entry)})`);
+        console.log(`   Amount: ${entry.amount ? `${entry.amount} USDC` : 'unknown (recovery)'}`);
+        console.log(`   Last completed step: ${entry.step} (${entry.status})`);
+        console.log(`   Updated: ${new Date(entry.updatedAt).toLocaleString()}`);
+        if (entry.error) {
+            console.log(`   Last error: ${entry.error}`);
+        }
+        console.log('');
+    });
+}
+
+// Resume an interrupted transfer picked from the journal
+async function resumeInterruptedTransfer() {
+    console.log("\n🔄 RESUME MODE: Continue an interrupted transfer\n");
+
+    const unfinished = journal.listUnfinished();
+
+    if (unfinished.length === 0) {
+        console.log("✅ No unfinished transfers in the journal.");
+        return;
+    }
+
+    displayUnfinishedTransfers(unfinished);
+
+    const choice = await askQuestion(`Select transfer to resume (1-${unfinished.length}): `);
+    const index = parseInt(choice) - 1;
+
+    if (index < 0 || index >= unfinished.length) {
+        console.log("❌ Invalid transfer selection.");
+        return;
+    }
+
+    try {
+        await continueTransfer(unfinished[index]);
+    } catch (transferError) {
+        reportTransferFailure(transferError);
+        await offerBackgroundWait(transferError);
+    }
+}
+
+// Machine-readable summary of a failed transfer
+function errorResult(transferError) {
+    const { response, ...completed } = transferError.details;
+
+    return {
+        status: 'error',
+        errorClass: transferError.errorClass,
+        exitCode: transferError.exitCode,
+        step: transferError.step,
+        message: transferError.message,
+        ...completed
+    };
+}
+
+// Non-interactive resume: continues one journal entry (--id), every unfinished one, or
+// only those still waiting for a step that passed its deadline (--waiting)
+async function runResumeCommand(options) {
+    const unfinished = journal.listUnfinished().filter(entry => !options.waiting || entry.status === 'waiting');
+
+    if (options.list) {
+        if (!options.json) {
+            displayUnfinishedTransfers(unfinished);
+        }
+        return { status: 'success', transfers: unfinished };
+    }
+
+    if (options.id) {
+        const entry = journal.getEntry(options.id);
+
+        if (!entry) {
+            throw new TransferError(`Transfer ${options.id} not found in the journal.`, EXIT_CODES.VALIDATION);
+        }
+
+        return entry.status === 'completed' ? transferResult(entry) : continueTransfer(entry);
+    }
+
+    if (unfinished.length === 0) {
+        console.log("✅ No unfinished transfers in the journal.");
+        return { status: 'success', transfers: [] };
+    }
+
+    displayUnfinishedTransfers(unfinished);
+
+    // Continue each one; a failure does not stop the others
+    const transfers = [];
+    let exitCode = EXIT_CODES.SUCCESS;
+
+    for (const entry of unfinished) {
+        try {
+            transfers.push(await continueTransfer(entry));
+        } catch (error) {
+            const transferError = error instanceof TransferError ? error : new TransferError(error.message);
+            console.error(`\n❌ Transfer ${entry.id} failed: ${transferError.message}`);
+            transfers.push(errorResult(transferError));
+            exitCode = exitCode || transferError.exitCode;
+        }
+    }
+
+    const stillPending = transfers.some(transfer => transfer.exitCode === EXIT_CODES.STILL_PENDING);
+
+    return {
+        status: exitCode === EXIT_CODES.SUCCESS ? 'success' : 'error',
+        exitCode,
+        transfers,
+        ...(stillPending && options.background && {
+            background: continueInBackground(['--waiting'], `resume-waiting-${timestamp()}.log`)
+        })
+    };
+}
+
+// Check every manifest row against the wallets, routes and balances before anything runs.
+// Rows from the same source wallet must fit its balance together. A row's feeLevel
+// replaces the level of the batch's fee options.
+async function planBatch(rows, fees, { allowTreasury } = {}) {
+    const supportedWallets = getSupportedWallets(await getAllWallets());
+    const balances = new Map();
+    const totals = new Map();
+    const legs = [];
+    const problems = [];
+
+    for (const row of rows) {
+        try {
+            if (!row.from || !row.to || !row.amount) {
+                throw new TransferError("from, to and amount are required.", EXIT_CODES.VALIDATION);
+            }
+
+            const mode = resolveTransferModeOptions({ cctpVersion: row.cctpVersion, fast: row.fast });
+            const rowFees = row.feeLevel ? feeOptions({ feeLevel: row.feeLevel }) : undefined;
+            const sourceWallet = resolveSourceWallet(supportedWallets, row.from, { allowTreasury });
+            const { destinationWallet, relayerWallet } = resolveRecipient(supportedWallets, sourceWallet, row);
+
+            const routeProblems = findRouteProblems(sourceWallet.blockchain, destinationWallet.blockchain, mode.cctpVersion);
+            if (routeProblems.length > 0) {
+                throw new TransferError(`Pre-flight check failed: ${routeProblems.join('; ')}`, EXIT_CODES.CONFIGURATION);
+            }
+
+            if (!balances.has(sourceWallet.id)) {
+                balances.set(sourceWallet.id, await getUSDCBalance(sourceWallet.id));
+            }
+
+            const amount = validateTransferAmount(row.amount, balances.get(sourceWallet.id));
+            totals.set(sourceWallet.id, (totals.get(sourceWallet.id) || 0n) + amount);
+            legs.push({ row, sourceWallet, destinationWallet, relayerWallet, amount, mode, fees: rowFees ? { ...fees, ...rowFees } : fees });
+        } catch (error) {
+            problems.push({ rows: [row.row], message: error.message, exitCode: error.exitCode || EXIT_CODES.VALIDATION });
+        }
+    }
+
+    for (const [walletId, total] of totals) {
+        const balance = balances.get(walletId);
+
+        if (total > balance) {
+            problems.push({
+                rows: legs.filter(leg => leg.sourceWallet.id === walletId).map(leg => leg.row.row),
+                message: `Transfers from wallet ${walletId} add up to ${formatUsdcAmount(total)} USDC, but its balance is ${formatUsdcAmount(balance)} USDC.`,
+                exitCode: EXIT_CODES.INSUFFICIENT_BALANCE
+            });
+        }
+    }
+
+    return { legs, problems };
+}
+
+// Report line of a manifest row, before or after it ran
+function batchRowResult(row, fields = {}) {
+    return {
+        row: row.row,
+        from: row.from,
+        to: row.to,
+        amount: row.amount,
+        ...fields
+    };
+}
+
+// Non-interactive batch: validates every row of a CSV/JSON manifest up front, then runs
+// the transfers. Rows from one source wallet run in order; up to --concurrency source
+// wallets run at the same time.
+async function runBatchCommand(options) {
+    if (!options.manifest) {
+        throw new TransferError("batch requires --manifest <file>.", EXIT_CODES.USAGE);
+    }
+
+    if (!options.yes) {
+        throw new TransferError("Refusing to run the batch without confirmation. Pass --yes to confirm.", EXIT_CODES.USAGE);
+    }
+
+    const concurrency = options.concurrency ? Number(options.concurrency) : 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TransferError("--concurrency must be a positive whole number.", EXIT_CODES.USAGE);
+    }
+
+    let rows;
+    try {
+        rows = readManifest(options.manifest);
+    } catch (error) {
+        throw new TransferError(`Could not read manifest ${options.manifest}: ${error.message}`, EXIT_CODES.USAGE);
+    }
+
+    if (rows.length === 0) {
+        throw new TransferError(`Manifest ${options.manifest} contains no transfers.`, EXIT_CODES.USAGE);
+    }
+
+    const reportPath = options.report || `batch-report-${timestamp()}.json`;
+
+    console.log(`\n📦 Validating ${rows.length} transfers from ${options.manifest}...`);
+    const { legs, problems } = await planBatch(rows, feeOptions(options), { allowTreasury: options.allowTreasury });
+
+    if (problems.length > 0) {
+        console.log("❌ The manifest has problems, no transfers were started:");
+        problems.forEach(problem => console.log(`   • Row${problem.rows.length > 1 ? 's' : ''} ${problem.rows.join(', ')}: ${problem.message}`));
+
+        const results = rows.map(row => {
+            const rowProblems = problems.filter(problem => problem.rows.includes(row.row));
+            return batchRowResult(row, rowProblems.length > 0
+                ? { status: 'invalid', error: rowProblems.map(problem => problem.message).join(' ') }
+                : { status: 'not_run' });
+        });
+        writeReport(reportPath, results);
+        console.log(`📄 Report written to ${reportPath}`);
+
+        return { status: 'error', exitCode: problems[0].exitCode, report: reportPath, transfers: results };
+    }
+
+    console.log(`✅ All ${legs.length} transfers validated. Running up to ${concurrency} source wallet(s) at a time.`);
+
+    const results = [];
+    let exitCode = EXIT_CODES.SUCCESS;
+
+    await runGrouped(legs, leg => leg.sourceWallet.id, concurrency, async leg => {
+        const { row, sourceWallet, destinationWallet, relayerWallet, amount, mode, fees } = leg;
+        console.log(`\n📦 Row ${row.row}: ${formatUsdcAmount(amount)} USDC ${sourceWallet.blockchain} → ${destinationWallet.blockchain}`);
+
+        try {
+            const result = await startTransfer(sourceWallet, destinationWallet, amount, {
+                ...mode,
+                relayerWallet,
+                fees,
+                allowLowGas: options.allowLowGas || undefined
+            });
+            results.push(batchRowResult(row, {
+                status: 'success',
+                amount: result.amount,
+                journalId: result.journalId,
+                approvalTxHash: result.approvalTxHash,
+                burnTxHash: result.burnTxHash,
+                mintTxHash: result.mintTxHash,
+                claimFile: result.claimFile
+            }));
+        } catch (error) {
+            const transferError = error instanceof TransferError ? error : new TransferError(error.message);
+            const stillPending = transferError.exitCode === EXIT_CODES.STILL_PENDING;
+            console.error(`\n${stillPending ? '⏰' : '❌'} Row ${row.row} ${stillPending ? 'still pending' : 'failed'}: ${transferError.message}`);
+            results.push(batchRowResult(row, {
+                status: stillPending ? 'pending' : 'error',
+                step: transferError.step,
+                error: transferError.message,
+                journalId: transferError.details.journalId,
+                approvalTxHash: transferError.details.approvalTxHash,
+                burnTxHash: transferError.details.burnTxHash
+            }));
+            exitCode = exitCode || transferError.exitCode;
+        }
+    });
+
+    results.sort((a, b) => a.row - b.row);
+    writeReport(reportPath, results);
+
+    const succeeded = results.filter(result => result.status === 'success').length;
+    const pending = results.filter(result => result.status === 'pending').length;
+    console.log(`\n📦 Batch finished: ${succeeded}/${results.length} transfers succeeded${pending ? `, ${pending} still pending` : ''}`);
+    console.log(`📄 Report written to ${reportPath}`);
+
+    return {
+        status: exitCode === EXIT_CODES.SUCCESS ? 'success' : 'error',
+        exitCode,
+        report: reportPath,
+        transfers: results,
+        ...(pending > 0 && options.background && {
+            background: continueInBackground(['--waiting'], `resume-waiting-${timestamp()}.log`)
+        })
+    };
+}
+
+// Non-interactive revoke: zero the TokenMessenger allowances of one wallet (--wallet) or all of them (--all)
+async function runRevokeAllowanceCommand(options) {
+    if (!options.wallet && !options.all) {
+        throw new TransferError("revoke-allowance requires --wallet <walletId> or --all.", EXIT_CODES.USAGE);
+    }
+
+    if (!options.yes) {
+        throw new TransferError("Refusing to revoke allowances without confirmation. Pass --yes to confirm.", EXIT_CODES.USAGE);
+    }
+
+    // Solana burns need no allowance, so only EVM wallets have anything to revoke
+    const evmWallets = getSupportedWallets(await getAllWallets()).filter(wallet => !isSolanaChain(wallet.blockchain));
+    const wallets = options.all ? evmWallets : evmWallets.filter(wallet => wallet.id === options.wallet);
+
+    if (!options.all && wallets.length === 0) {
+        throw new TransferError(`Wallet ${options.wallet} not found or not LIVE on a supported EVM network.`, EXIT_CODES.VALIDATION);
+    }
+
+    // Revoke wallet by wallet; a failure does not stop the others
+    const results = [];
+    let exitCode = EXIT_CODES.SUCCESS;
+
+    for (const wallet of wallets) {
+        console.log(`\n🔐 Revoking TokenMessenger allowances of ${wallet.address} on ${getChain(wallet.blockchain).name}...`);
+
+        try {
+            const allowances = await transferClient.revokeAllowances(wallet);
+
+            allowances.forEach(({ cctpVersion, previousAllowance, txHash }) => {
+                if (txHash) {
+                    console.log(`✅ CCTP V${cctpVersion}: revoked ${previousAllowance} USDC allowance. TX Hash: ${txHash}`);
+                } else {
+                    console.log(`✅ CCTP V${cctpVersion}: no allowance to revoke`);
+                }
+            });
+
+            results.push({ walletId: wallet.id, address: wallet.address, blockchain: wallet.blockchain, status: 'success', allowances });
+        } catch (error) {
+            console.error(`❌ Could not revoke allowances of ${wallet.address}: ${error.message}`);
+            results.push({ walletId: wallet.id, address: wallet.address, blockchain: wallet.blockchain, status: 'error', message: error.message });
+            exitCode = EXIT_CODES.TRANSACTION_FAILED;
+        }
+    }
+
+    return {
+        status: exitCode === EXIT_CODES.SUCCESS ? 'success' : 'error',
+        exitCode,
+        wallets: results
+    };
+}
+
+// Circle ID of the transaction a journal entry is waiting for, if any
+function pendingTransactionId(entry) {
+    if (entry.approvalTxId && !entry.approvalTxHash) {
+        return entry.approvalTxId;
+    }
+    if (entry.burnTxId && !entry.burnTxHash) {
+        return entry.burnTxId;
+    }
+    if (entry.mintTxId && !entry.mintTxHash) {
+        return entry.mintTxId;
+    }
+    return null;
+}
+
+// The transaction given by --tx, or the one the journal entry given by --id is waiting for
+function resolveTransactionId(options) {
+    if (options.tx) {
+        return options.tx;
+    }
+
+    if (!options.id) {
+        throw new TransferError("Pass --tx <transactionId> or --id <journalId>.", EXIT_CODES.USAGE);
+    }
+
+    const entry = journal.getEntry(options.id);
+    if (!entry) {
+        throw new TransferError(`Transfer ${options.id} not found in the journal.`, EXIT_CODES.VALIDATION);
+    }
+
+    const txId = pendingTransactionId(entry);
+    if (!txId) {
+        throw new TransferError(`Transfer ${options.id} is not waiting for a transaction.`, EXIT_CODES.VALIDATION);
+    }
+
+    return txId;
+}
+
+// Non-interactive accelerate: resubmit a pending transaction with a higher fee
+async function runAccelerateCommand(options) {
+    const txId = resolveTransactionId(options);
+    const transaction = await transferClient.getTransaction(txId);
+
+    console.log(`🔍 Transaction ${txId} is ${transaction.state}`);
+    await transferClient.accelerateTransaction(txId);
+    console.log(`🚀 Acceleration requested for transaction ${txId}`);
+
+    return { status: 'success', txId, state: transaction.state };
+}
+
+// Non-interactive cancel: ask Circle to cancel a pending transaction
+async function runCancelCommand(options) {
+    const txId = resolveTransactionId(options);
+
+    if (!options.yes) {
+        throw new TransferError("Refusing to cancel a transaction without confirmation. Pass --yes to confirm.", EXIT_CODES.USAGE);
+    }
+
+    const transaction = await transferClient.getTransaction(txId);
+
+    console.log(`🔍 Transaction ${txId} is ${transaction.state}`);
+    await transferClient.cancelTransaction(txId);
+    console.log(`🛑 Cancellation requested for transaction ${txId}`);
+    if (options.id) {
+        console.log(`💡 Once it is cancelled, submit a new one with: node cross-chain-transfer.js resume --id ${options.id}`);
+    }
+
+    return { status: 'success', txId, state: transaction.state };
+}
+
+// Non-interactive wallet listing: every wallet, paged through Circle's lists and
+// narrowed by the filter options. Wallet sets that cannot be listed are reported
+// and make the command fail, since the list is then incomplete.
+async function runWalletsCommand(options) {
+    const filters = parseWalletFilters({
+        blockchain: options.blockchain,
+        state: options.state,
+        walletSet: options.walletSet,
+        refId: options.refId,
+        createdAfter: options.createdAfter,
+        createdBefore: options.createdBefore
+    });
+
+    const listing = await listAllWallets(transferClient.circle, filters);
+    const wallets = withWalletTags(listing.wallets);
+    const { failures } = listing;
+
+    console.log(`🔍 Found ${wallets.length} wallet(s)`);
+    wallets.forEach(wallet => {
+        console.log(`   ${wallet.blockchain}  ${wallet.address}  ${wallet.id}  ${wallet.state}  ${wallet.walletSetName || wallet.walletSetId}${wallet.refId ? `  ${wallet.refId}` : ''}${wallet.tags.length > 0 ? `  [${wallet.tags.join(', ')}]` : ''}`);
+    });
+    failures.forEach(failure => {
+        console.log(`❌ Could not list the wallets of set ${failure.walletSetName || failure.walletSetId}: ${failure.message}`);
+    });
+
+    return {
+        status: failures.length === 0 ? 'success' : 'error',
+        exitCode: failures.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.UNEXPECTED,
+        filters,
+        wallets: wallets.map(wallet => ({
+            id: wallet.id,
+            blockchain: wallet.blockchain,
+            address: wallet.address,
+            state: wallet.state,
+            walletSetId: wallet.walletSetId,
+            walletSetName: wallet.walletSetName,
+            refId: wallet.refId || null,
+            tags: wallet.tags,
+            createDate: wallet.createDate
+        })),
+        failures
+    };
+}
+
+// Helper function to get the current time for file names
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Polling overrides given on the command line: --deadline-minutes sets every step's deadline
+function pollingOptions(options) {
+    if (options.deadlineMinutes === undefined) {
+        return undefined;
+    }
+
+    const deadlineMs = Number(options.deadlineMinutes) * 60 * 1000;
+    if (!(deadlineMs > 0)) {
+        throw new TransferError("--deadline-minutes must be a positive number.", EXIT_CODES.USAGE);
+    }
+
+    return { transactionDeadlineMs: deadlineMs, attestationDeadlineMs: deadlineMs };
+}
+
+// Usage text for the non-interactive commands
+const USAGE = `Usage:
+  node cross-chain-transfer.js                      Interactive menu
+  node cross-chain-transfer.js transfer [options]   Non-interactive transfer
+  node cross-chain-transfer.js resume [options]     Continue unfinished transfers from the journal
+  node cross-chain-transfer.js recover [options]    Mint a burn made elsewhere, from any chain
+  node cross-chain-transfer.js inspect <burnTxHash|transactionId|messageHex> [options]
+                                                    Decode the CCTP message of a burn
+  node cross-chain-transfer.js batch [options]      Run the transfers listed in a CSV/JSON manifest
+  node cross-chain-transfer.js revoke-allowance [options]
+                                                    Zero the TokenMessenger allowances of wallets
+  node cross-chain-transfer.js accelerate [options] Speed up a stuck transaction
+  node cross-chain-transfer.js cancel [options]     Cancel a stuck transaction
+  node cross-chain-transfer.js wallets [options]    List wallets, optionally filtered
+
+Transfer options:
+  --from <walletId>            Source wallet ID
+  --to <walletId|address>      Destination wallet ID or address
+  --dest-chain <BLOCKCHAIN>    Destination blockchain, when the address exists on several
+                               (required for external addresses)
+  --relayer <walletId>         Mint a transfer to an external address from this wallet
+  --claim-only                 Leave the mint to the external recipient and export the
+                               message and attestation to claim-<journalId>.json
+  --amount <USDC|max>          Amount of USDC to transfer, e.g. 12.5, or max for the whole balance
+  --cctp-version <1|2>         CCTP protocol version (default: 1)
+  --fast                       CCTP V2 Fast Transfer (implies --cctp-version 2)
+  --approval-cap <USDC>        Approve at least this much so later transfers skip approval
+  --allow-low-gas              Only warn when a wallet seems short of native tokens for gas
+  --allow-treasury             Allow a source wallet tagged treasury (frozen wallets are always refused)
+  --fee-level <LOW|MEDIUM|HIGH>
+                               Fee level of every transaction (default: chains.json, CCTP_FEE_LEVEL, MEDIUM)
+  --approval-fee <fee>         Fee of one step: a level, or gasLimit=<gas>,maxFee=<gwei>,priorityFee=<gwei>
+  --burn-fee <fee>             (EVM chains only)
+  --mint-fee <fee>
+  --yes                        Confirm the transfer without prompting (required)
+
+Resume options:
+  --id <journalId>             Resume only this transfer (default: all unfinished)
+  --waiting                    Resume only transfers that stopped waiting at a deadline
+  --list                       Only list unfinished transfers
+
+Recover options:
+  --burn-tx <hash>             Burn transaction hash (or Solana signature)
+  --tx <transactionId>         Circle transaction ID of the burn
+  --source <BLOCKCHAIN>        Chain of the burn (default: found with the attestation service)
+  --cctp-version <1|2>         CCTP version of the burn (default: found with the attestation service)
+  --relayer <walletId>         Mint from this wallet when the recipient is not one of your wallets
+  --claim-only                 Export the message and attestation for the recipient instead
+  --fee-level, --mint-fee      Fee of the mint, as for transfer
+  --yes                        Confirm the mint without prompting (required)
+
+Inspect options:
+  --source <BLOCKCHAIN>        Chain of the burn, or the network of a message given as hex
+  --cctp-version <1|2>         CCTP version of the burn
+
+Batch options:
+  --manifest <file>            CSV (with header) or JSON manifest: from, to, amount
+                               [, destChain, cctpVersion, fast, relayer, claimOnly, feeLevel] per transfer
+  --concurrency <n>            Source wallets to run at the same time (default: 1)
+  --report <file>              Results report, .json or .csv (default: batch-report-<time>.json)
+  --allow-low-gas              Only warn when a wallet seems short of native tokens for gas
+  --allow-treasury             Allow source wallets tagged treasury
+  --fee-level, --*-fee         Fees of every transfer, as for transfer (a row's feeLevel wins)
+  --yes                        Confirm without prompting (required)
+
+Revoke-allowance options:
+  --wallet <walletId>          Revoke the allowances of this wallet
+  --all                        Revoke the allowances of every wallet
+  --yes                        Confirm without prompting (required)
+
+Accelerate/cancel options:
+  --tx <transactionId>         Circle transaction ID
+  --id <journalId>             The transaction this journal entry is waiting for
+  --yes                        Confirm the cancellation without prompting (required for cancel)
+
+Wallets options:
+  --blockchain <BLOCKCHAIN>    Only wallets on this blockchain
+  --state <LIVE|FROZEN>        Only wallets in this state
+  --wallet-set <id|name>       Only wallets of this wallet set
+  --ref-id <refId>             Only wallets with this reference ID
+  --created-after <date>       Only wallets created at or after this date (e.g. 2025-01-31)
+  --created-before <date>      Only wallets created at or before this date
+
+Common options:
+  --json                       Print a machine-readable JSON result on stdout
+  --deadline-minutes <n>       Stop waiting for a transaction or attestation after n minutes
+                               (default: per chain, see chains.json)
+  --background                 When a step passes its deadline, keep waiting in a detached
+                               process (logging to resume-*.log) instead of stopping
+
+Exit codes:
+${Object.entries(EXIT_CODES).map(([name, code]) => `  ${code}  ${name}`).join('\n')}`;
+
+const BOOLEAN_FLAGS = ['yes', 'json', 'help', 'list', 'fast', 'all', 'claim-only', 'waiting', 'background', 'allow-low-gas', 'allow-treasury'];
+
+// Deadline of the detached process that keeps waiting for a transfer
+const BACKGROUND_DEADLINE_MINUTES = 24 * 60;
+
+// Non-interactive commands by name
+const COMMANDS = {
+    transfer: runTransferCommand,
+    resume: runResumeCommand,
+    recover: runRecoverCommand,
+    inspect: runInspectCommand,
+    batch: runBatchCommand,
+    'revoke-allowance': runRevokeAllowanceCommand,
+    accelerate: runAccelerateCommand,
+    cancel: runCancelCommand,
+    wallets: runWalletsCommand
+};
+
+// Non-interactive entry point: runs a single command and exits with a code
+// describing the outcome
+async function runCommand(command, options, positionals = []) {
+    if (options.json) {
+        // Keep stdout for the JSON result; progress logs go to stderr
+        console.log = (...args) => console.error(...args);
+    }
+
+    let result;
+    let exitCode = EXIT_CODES.SUCCESS;
+
+    try {
+        if (!COMMANDS[command]) {
+            throw new TransferError(`Unknown command: ${command}\n\n${USAGE}`, EXIT_CODES.USAGE);
+        }
+
+        if (!await initializeClient({ polling: pollingOptions(options) })) {
+            throw new TransferError("Failed to initialize. Please check your configuration.", EXIT_CODES.CONFIGURATION);
+        }
+
+        result = await COMMANDS[command](options, positionals);
+        exitCode = result.exitCode || EXIT_CODES.SUCCESS;
+    } catch (error) {
+        const transferError = error instanceof TransferError ? error : new TransferError(error.message);
+        exitCode = transferError.exitCode;
+        result = errorResult(transferError);
+
+        if (exitCode === EXIT_CODES.STILL_PENDING) {
+            const journalId = transferError.details.journalId;
+
+            if (!options.json) {
+                reportStillPending(transferError);
+            }
+            if (options.background && journalId) {
+                result.background = continueInBackground(['--id', journalId], `resume-${journalId}.log`);
+            }
+        } else if (!options.json) {
+            console.error(`\n❌ ${transferError.message}`);
+            if (transferError.details.response) {
+                console.error("Details:", JSON.stringify(transferError.details.response, null, 2));
+            }
+            if (transferError.step && transferError.step !== 'preflight') {
+                printTroubleshootingTips();
+            }
+        }
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    }
+
+    return exitCode;
+}
+
+// Main function
+async function main() {
+    let args;
+
+    try {
+        args = parseArgs(process.argv.slice(2), BOOLEAN_FLAGS);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(EXIT_CODES.USAGE);
+    }
+
+    if (args.options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (args.command) {
+        process.exitCode = await runCommand(args.command, args.options, args.positionals);
+        return;
+    }
+
+    console.log("🌉 Circle Cross-Chain USDC Transfer Tool");
+    console.log("=" .repeat(50));
+    console.log("Transfer USDC seamlessly between different blockchains!");
+    console.log("=" .repeat(50));
     
-    throw new Error(`Timeout waiting for attestation after ${maxAttempts} attempts`);
+    if (!await initializeClient({ interactive: true })) {
+        console.log("❌ Failed to initialize. Please check your configuration.");
+        closeReadline();
+        return;
+    }
+
+    console.log("\nSelect an option:");
+    console.log("1. Perform cross-chain transfer");
+    console.log("2. Recover from burn (mint a burn made on any chain)");
+    console.log("3. Resume an interrupted transfer from the journal");
+    console.log("4. Inspect a burn or CCTP message");
+    const choice = await askQuestion("Enter your choice (1-4): ");
+    
+    if (choice === "1") {
+        await performCrossChainTransfer();
+    } else if (choice === "2") {
+        await recoverFromBurn();
+    } else if (choice === "3") {
+        await resumeInterruptedTransfer();
+    } else if (choice === "4") {
+        await inspectFromMenu();
+    } else {
+        console.log("❌ Invalid choice. Please try again.");
+    }
+    
+    closeReadline();
 }
+
+if (require.main === module) {
+    // Handle Ctrl+C gracefully
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Goodbye!');
+        closeReadline();
+        process.exit(0);
+    });
+
+    main().catch(error => {
+        console.error("❌ Unexpected error:", error.message);
+        closeReadline();
+        process.exit(EXIT_CODES.UNEXPECTED);
+    });
+}
+
+module.exports = { main, runCommand };
@@ -0,0 +1,62 @@
+// Library entry point: the CCTP transfer flow for use from other Node.js code.
+// The interactive tools (cross-chain-transfer.js, wallet-manager.js) build on it.
+const { CctpTransferClient, TransactionFailedError, FINALITY_THRESHOLDS, findUSDCBalance, claimPackage, mintsTo, findMessageMismatches, describeGasShortfall } = require('./lib/cctp-transfer-client');
+const { AttestationClient, MalformedAttestationResponseError } = require('./lib/attestation-client');
+const { EXIT_CODES, TransferError } = require('./lib/errors');
+const journal = require('./lib/transfer-journal');
+const chainRegistry = require('./lib/chain-registry');
+const { addressToBytes32, bytes32ToAddress, toChecksumAddress, parseEvmAddress } = require('./lib/addresses');
+const { decodeMessage } = require('./lib/cctp-message');
+const usdcAmount = require('./lib/usdc-amount');
+const { findRouteProblems, assertRouteConsistent } = require('./lib/preflight');
+const { DEFAULT_POLLING, DeadlineExceededError, resolvePolling } = require('./lib/polling');
+const { parseNativeAmount, formatNativeAmount, findNativeBalance } = require('./lib/gas');
+const { FEE_LEVELS, parseFeeSetting, parseFeeSpec, resolveFee, toCircleFee, describeFeeSetting } = require('./lib/fees');
+const { PriceClient, toUsd } = require('./lib/prices');
+const { takePortfolioSnapshot, writePortfolioSnapshot } = require('./lib/portfolio');
+const { listAllWallets, parseWalletFilters } = require('./lib/wallet-listing');
+const walletTags = require('./lib/wallet-tags');
+
+module.exports = {
+    CctpTransferClient,
+    TransactionFailedError,
+    FINALITY_THRESHOLDS,
+    findUSDCBalance,
+    claimPackage,
+    mintsTo,
+    findMessageMismatches,
+    describeGasShortfall,
+    AttestationClient,
+    MalformedAttestationResponseError,
+    TransferError,
+    EXIT_CODES,
+    journal,
+    addressToBytes32,
+    bytes32ToAddress,
+    toChecksumAddress,
+    parseEvmAddress,
+    decodeMessage,
+    findRouteProblems,
+    assertRouteConsistent,
+    DEFAULT_POLLING,
+    DeadlineExceededError,
+    resolvePolling,
+    parseNativeAmount,
+    formatNativeAmount,
+    findNativeBalance,
+    FEE_LEVELS,
+    parseFeeSetting,
+    parseFeeSpec,
+    resolveFee,
+    toCircleFee,
+    describeFeeSetting,
+    PriceClient,
+    toUsd,
+    takePortfolioSnapshot,
+    writePortfolioSnapshot,
+    listAllWallets,
+    parseWalletFilters,
+    walletTags,
+    ...usdcAmount,
+    ...chainRegistry
+};
@@ -0,0 +1,92 @@
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+const { isSolanaChain } = require('./chain-registry');
+const { isSolanaAddress, parseSolanaAddress, bytes32ToSolanaAddress } = require('./solana');
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+// Helper function to convert address to bytes32
+function addressToBytes32(address) {
+    return `0x${address.replace(/^0x/, '').padStart(64, '0')}`;
+}
+
+// Address a bytes32 field of a CCTP message stands for on the given chain:
+// the last 20 bytes (checksummed) on EVM chains, the whole public key on Solana
+function bytes32ToAddress(blockchain, bytes32) {
+    if (isSolanaChain(blockchain)) {
+        return bytes32ToSolanaAddress(bytes32);
+    }
+
+    return toChecksumAddress(`0x${bytes32.replace(/^0x/, '').slice(-40)}`);
+}
+
+// EIP-55 mixed-case checksum form of an EVM address
+function toChecksumAddress(address) {
+    if (!EVM_ADDRESS.test(address)) {
+        throw new Error(`Invalid EVM address: ${address}`);
+    }
+
+    const lower = address.slice(2).toLowerCase();
+    const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+
+    return '0x' + [...lower].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+}
+
+/**
+ * Validate an EVM address typed by a user and return its checksum form.
+ * All-lowercase and all-uppercase addresses carry no checksum and are accepted;
+ * a mixed-case address must match its EIP-55 checksum, so a mistyped
+ * character is caught before funds are sent to it.
+ */
+function parseEvmAddress(address) {
+    const trimmed = String(address).trim();
+
+    if (!EVM_ADDRESS.test(trimmed)) {
+        throw new Error(`"${trimmed}" is not an EVM address (0x followed by 40 hex characters)`);
+    }
+
+    const checksummed = toChecksumAddress(trimmed);
+    const body = trimmed.slice(2);
+    const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+
+    if (hasChecksum && trimmed !== checksummed) {
+        throw new Error(`Address ${trimmed} has an invalid EIP-55 checksum (expected ${checksummed}); check it for typos`);
+    }
+
+    return checksummed;
+}
+
+// Check whether a string looks like an EVM address, without validating its checksum
+function isEvmAddress(address) {
+    return EVM_ADDRESS.test(String(address).trim());
+}
+
+/**
+ * Validate a recipient address in the format of the chain it is on: EIP-55
+ * checked EVM addresses, or base58 public keys on Solana. Returns the
+ * canonical form.
+ */
+function parseAddress(blockchain, address) {
+    return isSolanaChain(blockchain) ? parseSolanaAddress(address) : parseEvmAddress(address);
+}
+
+// Check whether a string looks like an address on any supported chain family
+function isRecipientAddress(address) {
+    return isEvmAddress(address) || isSolanaAddress(address);
+}
+
+// Compare two addresses: EVM addresses in any case, Solana addresses exactly
+function sameAddress(address, otherAddress) {
+    return /^0x/i.test(address) ? address.toLowerCase() === String(otherAddress).toLowerCase() : address === otherAddress;
+}
+
+module.exports = {
+    addressToBytes32,
+    bytes32ToAddress,
+    toChecksumAddress,
+    parseEvmAddress,
+    isEvmAddress,
+    parseAddress,
+    isRecipientAddress,
+    sameAddress
+};
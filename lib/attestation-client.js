@@ -0,0 +1,238 @@
+const { requireChain, getCCTPDomainId } = require('./chain-registry');
+const { DeadlineExceededError, resolvePolling, backoffDelay } = require('./polling');
+
+// Circle's attestation service (Iris) hosts
+const IRIS_PRODUCTION = 'https://iris-api.circle.com';
+const IRIS_SANDBOX = 'https://iris-api-sandbox.circle.com';
+
+// Longest wait between polls while rate limited
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Raised when the service answers with something that is not a CCTP messages response.
+// Polling again will not help, so it ends the wait immediately.
+class MalformedAttestationResponseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MalformedAttestationResponseError';
+    }
+}
+
+// Helper function to sleep between polls
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Client for Circle's attestation service.
+ *
+ * The host is picked from the source chain: production for mainnets, sandbox
+ * for testnets, unless the chain registry sets `attestationHost` for it.
+ * `baseUrl` (or CCTP_ATTESTATION_URL) overrides both, e.g. to use a local mock.
+ */
+class AttestationClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl] - Use this host for every chain
+     * @param {function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || process.env.CCTP_ATTESTATION_URL || null;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    // Attestation host for burns on the given chain
+    hostFor(sourceBlockchain) {
+        if (this.baseUrl) {
+            return this.baseUrl.replace(/\/+$/, '');
+        }
+
+        const chain = requireChain(sourceBlockchain);
+        return chain.attestationHost || (chain.testnet ? IRIS_SANDBOX : IRIS_PRODUCTION);
+    }
+
+    // Messages endpoint for a burn: V1 takes the hash in the path, V2 as a query parameter
+    messagesUrl(sourceBlockchain, burnTxHash, cctpVersion = 1) {
+        const host = this.hostFor(sourceBlockchain);
+        const sourceDomainId = getCCTPDomainId(sourceBlockchain);
+
+        return cctpVersion === 2
+            ? `${host}/v2/messages/${sourceDomainId}?transactionHash=${burnTxHash}`
+            : `${host}/v1/messages/${sourceDomainId}/${burnTxHash}`;
+    }
+
+    /**
+     * Look up the message of a burn once.
+     *
+     * @param {number} [cctpVersion=1] - CCTP version of the burn
+     * @returns {Promise<object>} `{ status: 'not_found' | 'pending' | 'rate_limited' | 'complete', url, ... }`;
+     *   complete results carry `message` and `attestation`, rate limited ones `retryAfterMs`
+     */
+    async getMessage(sourceBlockchain, burnTxHash, cctpVersion = 1) {
+        const url = this.messagesUrl(sourceBlockchain, burnTxHash, cctpVersion);
+
+        const response = await this.fetch(url);
+
+        if (response.status === 404) {
+            return { status: 'not_found', url };
+        }
+
+        if (response.status === 429) {
+            return { status: 'rate_limited', url, retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after')) };
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new MalformedAttestationResponseError(`Attestation service returned invalid JSON from ${url}`);
+        }
+
+        if (!Array.isArray(data?.messages)) {
+            throw new MalformedAttestationResponseError(`Attestation response from ${url} has no messages list`);
+        }
+
+        const message = data.messages[0];
+        if (!message) {
+            return { status: 'not_found', url };
+        }
+
+        // V2 reports `pending_confirmations` until the source chain reaches the requested finality
+        if (!message.attestation || message.attestation === 'PENDING' || (message.status && message.status !== 'complete')) {
+            return { status: 'pending', url };
+        }
+
+        if (!/^0x[0-9a-fA-F]+$/.test(message.attestation) || !/^0x[0-9a-fA-F]+$/.test(message.message || '')) {
+            throw new MalformedAttestationResponseError(`Attestation response from ${url} contains a malformed message or attestation`);
+        }
+
+        return {
+            status: 'complete',
+            url,
+            message: message.message,
+            attestation: message.attestation
+        };
+    }
+
+    /**
+     * Poll until the burn is attested. The first poll happens right away; later
+     * ones back off from the chain's attestation interval (see `resolvePolling`).
+     * Rate limited polls wait as long as Retry-After asks, or back off
+     * exponentially. Malformed responses end the wait at once, and the wait
+     * rejects with a DeadlineExceededError once the attestation deadline passes.
+     *
+     * @param {object} [options]
+     * @param {number} [options.cctpVersion=1] - CCTP version of the burn
+     * @param {object} [options.polling] - Overrides of the polling settings, e.g. `attestationDeadlineMs`
+     * @param {function} [options.onPoll] - Called with `{ attempt, elapsedMs, deadlineMs, status, url, waitMs }`
+     * @returns {Promise<{ message: string, attestation: string }>}
+     */
+    async waitForAttestation(sourceBlockchain, burnTxHash, options = {}) {
+        const polling = resolvePolling(sourceBlockchain, options.polling);
+        const intervalMs = polling.attestationIntervalMs;
+        const deadlineMs = polling.attestationDeadlineMs;
+        const onPoll = options.onPoll || (() => {});
+        const startedAt = Date.now();
+
+        let rateLimitedPolls = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            let result;
+            try {
+                result = await this.getMessage(sourceBlockchain, burnTxHash, options.cctpVersion);
+            } catch (error) {
+                if (error instanceof MalformedAttestationResponseError) {
+                    throw error;
+                }
+                result = { status: 'error', error };
+            }
+
+            if (result.status === 'complete') {
+                return {
+                    message: result.message,
+                    attestation: result.attestation
+                };
+            }
+
+            let waitMs;
+            if (result.status === 'rate_limited') {
+                rateLimitedPolls++;
+                waitMs = Math.min(result.retryAfterMs ?? intervalMs * 2 ** rateLimitedPolls, MAX_BACKOFF_MS);
+            } else {
+                rateLimitedPolls = 0;
+                waitMs = backoffDelay(intervalMs, attempt, polling);
+            }
+
+            const elapsedMs = Date.now() - startedAt;
+            if (elapsedMs >= deadlineMs) {
+                throw new DeadlineExceededError('the attestation', deadlineMs);
+            }
+
+            // The last poll happens at the deadline
+            waitMs = Math.min(waitMs, deadlineMs - elapsedMs);
+            onPoll({ ...result, attempt, elapsedMs, deadlineMs, waitMs });
+
+            await sleep(waitMs);
+        }
+    }
+
+    /**
+     * Look up the current CCTP V2 burn fees for a route.
+     *
+     * @returns {Promise<Array<{ finalityThreshold: number, minimumFee: number }>>}
+     *   One entry per finality threshold; `minimumFee` is in basis points of the amount
+     */
+    async getBurnFees(sourceBlockchain, destinationBlockchain) {
+        const sourceDomainId = getCCTPDomainId(sourceBlockchain);
+        const destinationDomainId = getCCTPDomainId(destinationBlockchain);
+        const url = `${this.hostFor(sourceBlockchain)}/v2/burn/USDC/fees/${sourceDomainId}/${destinationDomainId}`;
+
+        const response = await this.fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Fee quote failed with HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        let fees;
+        try {
+            fees = await response.json();
+        } catch (error) {
+            throw new MalformedAttestationResponseError(`Fee service returned invalid JSON from ${url}`);
+        }
+
+        const valid = Array.isArray(fees) && fees.every(fee =>
+            Number.isInteger(fee?.finalityThreshold) && typeof fee.minimumFee === 'number' && fee.minimumFee >= 0
+        );
+
+        if (!valid) {
+            throw new MalformedAttestationResponseError(`Fee response from ${url} is not a list of finality thresholds and fees`);
+        }
+
+        return fees;
+    }
+}
+
+module.exports = {
+    AttestationClient,
+    MalformedAttestationResponseError,
+    IRIS_PRODUCTION,
+    IRIS_SANDBOX
+};
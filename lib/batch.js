@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+// Manifest columns; all but `from`, `to` and `amount` are optional per row
+const MANIFEST_FIELDS = ['from', 'to', 'amount', 'destChain', 'cctpVersion', 'fast', 'relayer', 'claimOnly', 'feeLevel'];
+
+// Report columns written for every row
+const REPORT_FIELDS = [
+    'row', 'from', 'to', 'amount', 'status', 'step', 'error',
+    'journalId', 'approvalTxHash', 'burnTxHash', 'mintTxHash', 'claimFile'
+];
+
+// Split one CSV line into fields, honouring double-quoted fields with "" escapes
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field.trim());
+    return fields;
+}
+
+// Helper function to turn a header such as `dest_chain` or `Dest Chain` into `destChain`
+function normalizeHeader(header) {
+    const name = header.trim().replace(/[-_ ]+(\w)/g, (_, letter) => letter.toUpperCase());
+    return MANIFEST_FIELDS.find(field => field.toLowerCase() === name.toLowerCase()) || name;
+}
+
+// Helper function to read a yes/no manifest field ("true", "yes", "1" or a JSON boolean)
+function isTruthy(value) {
+    return value === true || /^(true|yes|1)$/i.test(String(value ?? '').trim());
+}
+
+// Rows of a CSV manifest; the first non-empty line is the header
+function parseCsvManifest(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const headers = parseCsvLine(lines[0]).map(normalizeHeader);
+
+    return lines.slice(1).map(line => {
+        const values = parseCsvLine(line);
+        return Object.fromEntries(headers.map((header, index) => [header, values[index] ?? '']));
+    });
+}
+
+// Rows of a JSON manifest: an array of rows or `{ "transfers": [...] }`
+function parseJsonManifest(content) {
+    const data = JSON.parse(content);
+    const rows = Array.isArray(data) ? data : data?.transfers;
+
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON manifest must be an array of transfers or an object with a "transfers" array');
+    }
+
+    return rows;
+}
+
+/**
+ * Read a batch manifest (CSV with a header row, or JSON) into transfer rows:
+ * `{ row, from, to, amount, destChain, cctpVersion, fast, relayer, claimOnly, feeLevel }`.
+ * `row` is the 1-based position of the transfer in the manifest.
+ */
+function readManifest(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const rows = path.extname(filePath).toLowerCase() === '.json'
+        ? parseJsonManifest(content)
+        : parseCsvManifest(content);
+
+    return rows.map((row, index) => ({
+        row: index + 1,
+        from: String(row.from ?? '').trim(),
+        to: String(row.to ?? '').trim(),
+        amount: String(row.amount ?? '').trim(),
+        destChain: row.destChain ? String(row.destChain).trim() : undefined,
+        cctpVersion: row.cctpVersion ? String(row.cctpVersion).trim() : undefined,
+        fast: isTruthy(row.fast),
+        relayer: row.relayer ? String(row.relayer).trim() : undefined,
+        claimOnly: isTruthy(row.claimOnly),
+        feeLevel: row.feeLevel ? String(row.feeLevel).trim() : undefined
+    }));
+}
+
+/**
+ * Run `worker` over `items` grouped by `keyOf`: items sharing a key run one
+ * after another in manifest order, and at most `concurrency` groups run at
+ * the same time. Resolves once every item has run.
+ */
+async function runGrouped(items, keyOf, concurrency, worker) {
+    const groups = new Map();
+
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    }
+
+    const queue = [...groups.values()];
+
+    const runNextGroup = async () => {
+        while (queue.length > 0) {
+            const group = queue.shift();
+            for (const item of group) {
+                await worker(item);
+            }
+        }
+    };
+
+    const runners = Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, runNextGroup);
+    await Promise.all(runners);
+}
+
+// First characters that make spreadsheet applications read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV field when it contains separators, quotes or line breaks. A field
+// that starts like a formula gets a leading ' so spreadsheets show it as text.
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write the results report as CSV or JSON, depending on the file extension
+function writeReport(filePath, results) {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const lines = [
+            REPORT_FIELDS.join(','),
+            ...results.map(result => REPORT_FIELDS.map(field => csvField(result[field])).join(','))
+        ];
+        fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    } else {
+        fs.writeFileSync(filePath, JSON.stringify({ transfers: results }, null, 2) + '\n');
+    }
+}
+
+module.exports = {
+    readManifest,
+    csvField,
+    runGrouped,
+    writeReport
+};
@@ -0,0 +1,136 @@
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+// Decoding of CCTP messages as returned by the attestation service. A message
+// is a header naming its route and nonce, followed by a BurnMessage body for
+// USDC transfers. Fields are big-endian; addresses are bytes32.
+//
+// V1 (message version 0): version u32 | sourceDomain u32 | destinationDomain u32 |
+//   nonce u64 | sender | recipient | destinationCaller | body
+// V2 (message version 1): version u32 | sourceDomain u32 | destinationDomain u32 |
+//   nonce bytes32 | sender | recipient | destinationCaller |
+//   minFinalityThreshold u32 | finalityThresholdExecuted u32 | body
+// BurnMessage body, V1: version u32 | burnToken | mintRecipient | amount u256 | messageSender
+// V2 adds: maxFee u256 | feeExecuted u256 | expirationBlock u256 | hookData
+
+// Message version field of each CCTP version
+const MESSAGE_VERSIONS = {
+    1: 0,
+    2: 1
+};
+
+// Byte offsets of the header fields that differ between versions
+const HEADER_LAYOUTS = {
+    1: { nonceLength: 8, bodyOffset: 116 },
+    2: { nonceLength: 32, bodyOffset: 148 }
+};
+
+// Length of the fixed part of the BurnMessage body of each version
+const BURN_MESSAGE_LENGTHS = {
+    1: 4 + 32 * 4,
+    2: 4 + 32 * 7
+};
+
+// Helper function to read a bytes32 field as a 0x-prefixed hex string
+function readBytes32(bytes, offset) {
+    return `0x${bytes.subarray(offset, offset + 32).toString('hex')}`;
+}
+
+// CCTP version (1 or 2) of a message, from its version field
+function messageCctpVersion(bytes) {
+    const messageVersion = bytes.readUInt32BE(0);
+    const cctpVersion = Object.keys(MESSAGE_VERSIONS).find(version => MESSAGE_VERSIONS[version] === messageVersion);
+
+    if (!cctpVersion) {
+        throw new Error(`Unknown CCTP message version ${messageVersion}`);
+    }
+
+    return Number(cctpVersion);
+}
+
+/**
+ * Decode a CCTP V1 or V2 message carrying a USDC burn.
+ *
+ * `version` and `burnMessageVersion` are the raw version fields of the
+ * message and its body. `nonce` is a decimal string for V1 messages and a
+ * bytes32 hex string for V2 ones; `amount` and the V2 fees are in USDC base
+ * units. Addresses are returned as bytes32 hex; see `bytes32ToAddress` for the
+ * address they stand for on a given chain. `sender` and `recipient` are the
+ * TokenMessengers of both chains, `messageSender` the account that burned.
+ *
+ * V2 messages also carry `minFinalityThreshold`, `finalityThresholdExecuted`,
+ * `maxFee`, `feeExecuted`, `expirationBlock` and `hookData`.
+ *
+ * @param {string} message - 0x-prefixed message hex
+ * @returns {{ cctpVersion, version, sourceDomain, destinationDomain, nonce, sender, recipient,
+ *   destinationCaller, burnMessageVersion, burnToken, mintRecipient, amount: bigint, messageSender }}
+ */
+function decodeMessage(message) {
+    if (!/^0x[0-9a-fA-F]*$/.test(message || '') || message.length % 2 !== 0) {
+        throw new Error('CCTP message must be a 0x-prefixed hex string');
+    }
+
+    const bytes = Buffer.from(message.slice(2), 'hex');
+
+    if (bytes.length < 4) {
+        throw new Error(`CCTP message is too short (${bytes.length} bytes)`);
+    }
+
+    const cctpVersion = messageCctpVersion(bytes);
+    const { nonceLength, bodyOffset } = HEADER_LAYOUTS[cctpVersion];
+
+    if (bytes.length < bodyOffset + BURN_MESSAGE_LENGTHS[cctpVersion]) {
+        throw new Error(`CCTP message is too short (${bytes.length} bytes) to hold a burn message`);
+    }
+
+    const addressOffset = 12 + nonceLength;
+    const decoded = {
+        cctpVersion,
+        version: bytes.readUInt32BE(0),
+        sourceDomain: bytes.readUInt32BE(4),
+        destinationDomain: bytes.readUInt32BE(8),
+        nonce: nonceLength === 8 ? bytes.readBigUInt64BE(12).toString() : readBytes32(bytes, 12),
+        sender: readBytes32(bytes, addressOffset),
+        recipient: readBytes32(bytes, addressOffset + 32),
+        destinationCaller: readBytes32(bytes, addressOffset + 64),
+        burnMessageVersion: bytes.readUInt32BE(bodyOffset),
+        burnToken: readBytes32(bytes, bodyOffset + 4),
+        mintRecipient: readBytes32(bytes, bodyOffset + 36),
+        amount: BigInt(readBytes32(bytes, bodyOffset + 68)),
+        messageSender: readBytes32(bytes, bodyOffset + 100)
+    };
+
+    if (cctpVersion === 2) {
+        Object.assign(decoded, {
+            minFinalityThreshold: bytes.readUInt32BE(140),
+            finalityThresholdExecuted: bytes.readUInt32BE(144),
+            maxFee: BigInt(readBytes32(bytes, bodyOffset + 132)),
+            feeExecuted: BigInt(readBytes32(bytes, bodyOffset + 164)),
+            expirationBlock: BigInt(readBytes32(bytes, bodyOffset + 196)),
+            hookData: `0x${bytes.subarray(bodyOffset + BURN_MESSAGE_LENGTHS[2]).toString('hex')}`
+        });
+    }
+
+    return decoded;
+}
+
+/**
+ * Key under which a MessageTransmitter records a message as received in
+ * `usedNonces`: keccak256(sourceDomain, nonce) for V1, the nonce itself for V2.
+ */
+function usedNonceKey({ cctpVersion, sourceDomain, nonce }) {
+    if (cctpVersion === 2) {
+        return nonce;
+    }
+
+    const packed = Buffer.alloc(12);
+    packed.writeUInt32BE(sourceDomain, 0);
+    packed.writeBigUInt64BE(BigInt(nonce), 4);
+
+    return `0x${Buffer.from(keccak_256(packed)).toString('hex')}`;
+}
+
+module.exports = {
+    MESSAGE_VERSIONS,
+    decodeMessage,
+    usedNonceKey
+};
@@ -0,0 +1,1805 @@
+const EventEmitter = require('events');
+const { initiateDeveloperControlledWalletsClient } = require('@circle-fin/developer-controlled-wallets');
+const { initiateSmartContractPlatformClient } = require('@circle-fin/smart-contract-platform');
+const { Connection, Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const config = require('../config');
+const transferJournal = require('./transfer-journal');
+const { EXIT_CODES, TransferError } = require('./errors');
+const { assertSourceAllowed } = require('./wallet-tags');
+const { assertRouteConsistent } = require('./preflight');
+const { addressToBytes32, bytes32ToAddress, parseAddress, sameAddress } = require('./addresses');
+const { parseUsdcAmount, formatUsdcAmount } = require('./usdc-amount');
+const {
+    CCTP_VERSIONS,
+    getChain,
+    requireChain,
+    listChains,
+    isCctpChain,
+    getChainByDomain,
+    isSolanaChain,
+    getCCTPDomainId,
+    getUSDCAddress,
+    getTokenMessengerAddress,
+    getMessageTransmitterAddress,
+    getRpcUrl
+} = require('./chain-registry');
+const {
+    solanaAddressToBytes32,
+    findAssociatedTokenAddress,
+    findUsedNoncesAddress,
+    isNonceMarkedUsed,
+    getTokenAccountOwner,
+    readMessageRoute,
+    createAssociatedTokenAccountIdempotentInstruction,
+    depositForBurnInstruction,
+    receiveMessageInstruction
+} = require('./solana');
+const { AttestationClient } = require('./attestation-client');
+const { decodeMessage, usedNonceKey } = require('./cctp-message');
+const { DeadlineExceededError, resolvePolling, backoffDelay } = require('./polling');
+const { SOLANA_STEP_FEES, parseNativeAmount, formatNativeAmount, findNativeBalance, scaleFee } = require('./gas');
+const { parseFeeSpec, resolveFee, toCircleFee, maxNetworkFee, describeFeeSetting } = require('./fees');
+const { PriceClient, toUsd } = require('./prices');
+const { listAllWallets } = require('./wallet-listing');
+
+// CCTP V2 finality thresholds: Fast Transfers are attested once the burn is
+// confirmed, Standard Transfers once it is finalized
+const FINALITY_THRESHOLDS = {
+    fast: 1000,
+    standard: 2000
+};
+
+// destinationCaller value that lets anyone submit the message on the destination chain
+const ANY_DESTINATION_CALLER = `0x${'0'.repeat(64)}`;
+
+// Circle transaction states after which the transaction went through
+const SUCCESS_STATES = ['CONFIRMED', 'COMPLETE'];
+
+// Circle transaction states after which the transaction will never go through
+const FAILURE_STATES = ['FAILED', 'DENIED', 'CANCELLED'];
+
+// How long a transaction may stay pending before it counts as stuck
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+
+// Journal field holding the Circle transaction ID (on Solana, the signature) of each step
+const TX_ID_FIELDS = {
+    approval: 'approvalTxId',
+    burn: 'burnTxId',
+    mint: 'mintTxId'
+};
+
+// Raised when Circle reports a transaction as FAILED, DENIED or CANCELLED.
+// `errorReason` is Circle's explanation, when it gives one.
+class TransactionFailedError extends Error {
+    constructor(step, transaction) {
+        const reason = transaction.errorReason ? `: ${transaction.errorReason}` : '';
+        super(`${step} transaction ${transaction.id} ${transaction.state.toLowerCase()}${reason}`);
+        this.name = 'TransactionFailedError';
+        this.txId = transaction.id;
+        this.state = transaction.state;
+        this.errorReason = transaction.errorReason || null;
+        this.errorDetails = transaction.errorDetails || null;
+    }
+}
+
+// Helper function to sleep between polls
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Find USDC balance in token balances, in USDC base units
+function findUSDCBalance(tokenBalances) {
+    const usdcBalance = tokenBalances.find(balance =>
+        balance.token?.symbol === 'USDC' ||
+        balance.token?.name?.includes('USD Coin')
+    );
+
+    return usdcBalance ? parseUsdcAmount(usdcBalance.amount) : 0n;
+}
+
+// Mint recipient of a burn as bytes32. EVM addresses are padded; on Solana, USDC
+// is minted to the recipient's associated token account rather than the wallet itself.
+function mintRecipientFor(destinationBlockchain, recipient) {
+    if (isSolanaChain(destinationBlockchain)) {
+        return solanaAddressToBytes32(findAssociatedTokenAddress(recipient, getUSDCAddress(destinationBlockchain)));
+    }
+
+    return addressToBytes32(recipient);
+}
+
+// Check whether a wallet receives the USDC of a recovered burn: it is the
+// recipient, or on Solana owns the token account the burn mints to
+function mintsTo(wallet, recovery) {
+    if (wallet.blockchain !== recovery.destinationBlockchain) {
+        return false;
+    }
+
+    if (isSolanaChain(wallet.blockchain)) {
+        return wallet.address === recovery.recipient ||
+            findAssociatedTokenAddress(wallet.address, getUSDCAddress(wallet.blockchain)).toBase58() === recovery.mintRecipient;
+    }
+
+    return wallet.address.toLowerCase() === recovery.recipient.toLowerCase();
+}
+
+/**
+ * Compare an attested message with the transfer a journal entry describes:
+ * its CCTP version and route, the TokenMessengers on both sides, the burned
+ * token, mint recipient, amount and destination caller, and for burns made
+ * by our own wallet, the wallet that burned.
+ *
+ * @returns {string[]} Differences found; empty when the message is the one the transfer sent
+ */
+function findMessageMismatches(entry, message) {
+    const { source, destination } = entry;
+    const cctpVersion = entry.cctpVersion || 1;
+    const decoded = decodeMessage(message);
+    const sourceAddress = bytes32 => bytes32ToAddress(source.blockchain, bytes32);
+    const destinationAddress = bytes32 => bytes32ToAddress(destination.blockchain, bytes32);
+    const mismatches = [];
+
+    const expect = (field, actual, expected, same = (a, b) => a === b) => {
+        if (!same(actual, expected)) {
+            mismatches.push(`${field} is ${actual}, expected ${expected}`);
+        }
+    };
+
+    expect('CCTP version', decoded.cctpVersion, cctpVersion);
+    expect('source domain', decoded.sourceDomain, getCCTPDomainId(source.blockchain));
+    expect('destination domain', decoded.destinationDomain, getCCTPDomainId(destination.blockchain));
+    expect('sender', sourceAddress(decoded.sender), getTokenMessengerAddress(source.blockchain, cctpVersion), sameAddress);
+    expect('recipient', destinationAddress(decoded.recipient), getTokenMessengerAddress(destination.blockchain, cctpVersion), sameAddress);
+    expect('burn token', sourceAddress(decoded.burnToken), getUSDCAddress(source.blockchain), sameAddress);
+    expect(
+        'mint recipient',
+        destinationAddress(decoded.mintRecipient),
+        destinationAddress(entry.mintRecipient || mintRecipientFor(destination.blockchain, destination.address)),
+        sameAddress
+    );
+    expect(
+        'destination caller',
+        decoded.destinationCaller === ANY_DESTINATION_CALLER ? 'anyone' : destinationAddress(decoded.destinationCaller),
+        entry.destinationCaller || 'anyone',
+        sameAddress
+    );
+
+    if (entry.amount) {
+        expect('amount', formatUsdcAmount(decoded.amount), entry.amount);
+    }
+    if (source.address) {
+        expect('message sender', sourceAddress(decoded.messageSender), source.address, sameAddress);
+    }
+
+    return mismatches;
+}
+
+// Validate the protocol options of a transfer and return the fields to journal.
+// Only CCTP V2 transfers have a speed.
+function resolveTransferMode(cctpVersion, speed) {
+    if (!CCTP_VERSIONS.includes(cctpVersion)) {
+        throw new TransferError(`Unsupported CCTP version: ${cctpVersion}`, EXIT_CODES.VALIDATION);
+    }
+
+    if (cctpVersion === 1) {
+        if (speed && speed !== 'standard') {
+            throw new TransferError("Fast Transfer requires CCTP V2.", EXIT_CODES.VALIDATION);
+        }
+        return { cctpVersion };
+    }
+
+    speed = speed || 'standard';
+    if (!FINALITY_THRESHOLDS[speed]) {
+        throw new TransferError(`Unknown transfer speed: ${speed}. Use "fast" or "standard".`, EXIT_CODES.VALIDATION);
+    }
+
+    return { cctpVersion, speed };
+}
+
+// Journal fields of a transfer's own fee spec, rejecting an invalid one
+function feeFields(fees) {
+    if (!fees) {
+        return {};
+    }
+
+    try {
+        const parsed = parseFeeSpec(fees);
+        return Object.keys(parsed).length > 0 ? { fees: parsed } : {};
+    } catch (error) {
+        throw new TransferError(`Invalid fee setting: ${error.message}`, EXIT_CODES.VALIDATION);
+    }
+}
+
+// Parse a transfer amount, rejecting anything that is not a positive USDC amount
+function resolveAmount(amount) {
+    let amountUnits;
+
+    try {
+        amountUnits = parseUsdcAmount(amount);
+    } catch (error) {
+        throw new TransferError(error.message, EXIT_CODES.VALIDATION);
+    }
+
+    if (amountUnits <= 0n) {
+        throw new TransferError("Invalid amount. Please enter a positive number.", EXIT_CODES.VALIDATION);
+    }
+
+    return amountUnits;
+}
+
+// Journal fields naming the recipient and how the mint is submitted: our own
+// wallets mint for themselves, external addresses are minted by the relayer
+// wallet or left for the recipient to claim
+function destinationFields(destinationWallet, relayerWallet) {
+    if (destinationWallet.id) {
+        return { destination: walletSnapshot(destinationWallet), mintMode: 'wallet' };
+    }
+
+    let address;
+    try {
+        address = parseAddress(destinationWallet.blockchain, destinationWallet.address);
+    } catch (error) {
+        throw new TransferError(`Invalid destination address: ${error.message}`, EXIT_CODES.VALIDATION);
+    }
+
+    const destination = { address, blockchain: destinationWallet.blockchain };
+
+    if (!relayerWallet) {
+        return { destination, mintMode: 'claim' };
+    }
+
+    if (relayerWallet.blockchain !== destinationWallet.blockchain) {
+        throw new TransferError(
+            `The relayer wallet must be on ${destinationWallet.blockchain}, not ${relayerWallet.blockchain}.`,
+            EXIT_CODES.VALIDATION
+        );
+    }
+
+    return { destination, mintMode: 'relayer', relayer: walletSnapshot(relayerWallet) };
+}
+
+/**
+ * Everything a recipient needs to mint a claim-only transfer themselves: call
+ * `receiveMessage(message, attestation)` on `messageTransmitter` on the
+ * destination chain, from any account. On Solana that is the
+ * `receive_message` instruction of the MessageTransmitter program, minting to
+ * the recipient's USDC associated token account (`mintRecipient`).
+ */
+function claimPackage(entry) {
+    const cctpVersion = entry.cctpVersion || 1;
+    const destinationBlockchain = entry.destination.blockchain;
+
+    return {
+        journalId: entry.id,
+        amount: entry.amount,
+        recipient: entry.destination.address,
+        sourceBlockchain: entry.source.blockchain,
+        destinationBlockchain,
+        cctpVersion,
+        burnTxHash: entry.burnTxHash,
+        messageTransmitter: getMessageTransmitterAddress(destinationBlockchain, cctpVersion),
+        ...(isSolanaChain(destinationBlockchain)
+            ? {
+                instruction: "receive_message",
+                mintRecipient: readMessageRoute(entry.attestation.message).mintRecipient.toBase58()
+            }
+            : { abiFunctionSignature: "receiveMessage(bytes,bytes)" }),
+        message: entry.attestation.message,
+        attestation: entry.attestation.attestation
+    };
+}
+
+// Snapshot of the wallet fields the journal needs to resume a transfer
+function walletSnapshot(wallet) {
+    return {
+        id: wallet.id,
+        address: wallet.address,
+        blockchain: wallet.blockchain
+    };
+}
+
+// Display names of the wallets paying for gas in a transfer, also used by the CLI
+const GAS_ROLES = {
+    source: 'Source',
+    destination: 'Destination',
+    relayer: 'Relayer'
+};
+
+// Describe a wallet whose native balance does not cover its steps' fees
+function describeGasShortfall(side) {
+    const unit = side.symbol || 'native tokens';
+    const steps = side.steps.map(({ step }) => step).join(' and ');
+    const verb = side.steps.length > 1 ? 'need' : 'needs';
+
+    return `${GAS_ROLES[side.role]} wallet ${side.address} on ${side.blockchain} has ${side.balance} ${unit}, ` +
+        `but the ${steps} ${verb} about ${side.required} ${unit}`;
+}
+
+/**
+ * Programmatic API for CCTP transfers between Circle developer-controlled wallets.
+ *
+ * The individual steps (`approve`, `burn`, `fetchAttestation`, `mint`) can be
+ * used on their own; `transfer()` runs all of them, records progress in the
+ * transfer journal and emits progress events:
+ *
+ * - `gasChecked` `{ sides }` (the gas pre-flight check of `transfer()`, see `checkGasBalances()`)
+ * - `transferStarted` `{ entry }`
+ * - `stepStarted` `{ entry, step }`
+ * - `transactionCreated` `{ entry, step, txId }`
+ * - `approvalSkipped` `{ entry, allowance }` (the existing allowance covers the amount)
+ * - `transactionPending` `{ step, txId }`
+ * - `transactionState` `{ step, txId, state, previousState }` (Circle states such as `QUEUED`, `SENT`, `COMPLETE`)
+ * - `transactionStuck` `{ step, txId, state, pendingMs }` (pending for longer than expected)
+ * - `transactionAccelerated` / `transactionCancelled` `{ step, txId }`
+ * - `feeQuoted` `{ entry, quote }` (CCTP V2, before the burn)
+ * - `stepCompleted` `{ entry, step, txHash }`
+ * - `claimReady` `{ entry, claim }` (claim-only transfers, instead of the mint)
+ * - `poll` `{ step, attempt, elapsedMs, deadlineMs, state }` (attestation states: `not_found`, `pending`, `rate_limited`)
+ * - `deadlineExceeded` `{ entry, step }` (the step is still pending; the entry is left `waiting`)
+ * - `burnLocated` `{ sourceBlockchain, cctpVersion, burnTxHash, status }` (recovery found the burn)
+ * - `alreadyMinted` `{ entry }` (the destination chain already received the message; nothing is
+ *   minted, and `entry.mintTxHash` is the earlier mint when the journal knows it)
+ * - `warning` `{ message }`
+ *
+ * Steps are named `approval`, `burn`, `attestation` and `mint`.
+ */
+class CctpTransferClient extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.apiKey] - Circle API key (defaults to CIRCLE_API_KEY)
+     * @param {string} [options.entitySecret] - Entity secret (defaults to CIRCLE_ENTITY_SECRET)
+     * @param {string} [options.baseUrl] - Circle API host (defaults to CIRCLE_API_BASE_URL, then api.circle.com)
+     * @param {object} [options.circleClient] - Pre-built developer-controlled wallets client
+     * @param {object} [options.contractsClient] - Pre-built smart contract platform client, used for read-only queries
+     * @param {string} [options.approvalCap] - Approve at least this much USDC so later transfers can skip
+     *   approval (defaults to CCTP_APPROVAL_CAP; by default only the transfer amount is approved)
+     * @param {boolean} [options.allowLowGas] - Only warn when a wallet seems short of native tokens for
+     *   gas instead of refusing the transfer (defaults to CCTP_ALLOW_LOW_GAS=true)
+     * @param {object} [options.fees] - Fee spec for every transaction, over the chain registry and
+     *   CCTP_FEE_LEVEL, e.g. `{ level: 'HIGH' }` or `{ mint: { gasLimit, maxFee, priorityFee } }`
+     *   (see `resolveFee`)
+     * @param {PriceClient} [options.priceClient] - Pre-built native token price client
+     * @param {object} [options.journal] - Transfer journal implementation
+     * @param {string} [options.attestationUrl] - Attestation service host override (e.g. a local mock)
+     * @param {AttestationClient} [options.attestationClient] - Pre-built attestation client
+     * @param {object} [options.solanaConnections] - Pre-built Solana connections by blockchain code
+     * @param {object} [options.polling] - Overrides of the polling settings of every chain, e.g.
+     *   `{ transactionDeadlineMs }` (see `resolvePolling`)
+     * @param {function} [options.onStuck] - Called with `{ step, txId, state, pendingMs }` when a
+     *   transaction is stuck; resolve with `accelerate`, `cancel` or `wait` (the default)
+     */
+    constructor(options = {}) {
+        super();
+        this.circle = options.circleClient || initiateDeveloperControlledWalletsClient({
+            apiKey: options.apiKey || config.apiKey,
+            entitySecret: options.entitySecret || config.entitySecret,
+            baseUrl: options.baseUrl || config.apiBase
+        });
+        this.contracts = options.contractsClient || initiateSmartContractPlatformClient({
+            apiKey: options.apiKey || config.apiKey,
+            entitySecret: options.entitySecret || config.entitySecret,
+            baseUrl: options.baseUrl || config.apiBase
+        });
+        this.approvalCap = options.approvalCap || process.env.CCTP_APPROVAL_CAP || null;
+        this.allowLowGas = options.allowLowGas ?? process.env.CCTP_ALLOW_LOW_GAS === 'true';
+        this.fees = parseFeeSpec(options.fees || {});
+        this.prices = options.priceClient || new PriceClient();
+        this.journal = options.journal || transferJournal;
+        this.attestation = options.attestationClient || new AttestationClient({ baseUrl: options.attestationUrl });
+        this.onStuck = options.onStuck || null;
+        this.polling = options.polling || {};
+        this.solanaConnections = options.solanaConnections || {};
+    }
+
+    /**
+     * Get every wallet of every wallet set, paging through Circle's lists, that
+     * matches `filters` (blockchain, state, walletSet, refId, createdAfter,
+     * createdBefore). Wallet sets that cannot be listed are reported as
+     * `warning` events and left out.
+     */
+    async listWallets(filters = {}) {
+        const { wallets, failures } = await listAllWallets(this.circle, filters);
+
+        failures.forEach(failure => {
+            this.emit('warning', { message: `Could not fetch wallets from set ${failure.walletSetName || failure.walletSetId}: ${failure.message}` });
+        });
+
+        return wallets;
+    }
+
+    // Get the token balances of a wallet
+    async getWalletBalances(walletId) {
+        const balanceResponse = await this.circle.getWalletTokenBalance({
+            id: walletId
+        });
+
+        return balanceResponse.data?.tokenBalances || [];
+    }
+
+    // Get the USDC balance of a wallet in base units
+    async getUSDCBalance(walletId) {
+        return findUSDCBalance(await this.getWalletBalances(walletId));
+    }
+
+    /**
+     * Read how much USDC the TokenMessenger of the given CCTP version may still
+     * spend from `owner`, in base units. Read-only; nothing is submitted.
+     */
+    async getAllowance({ blockchain, owner, cctpVersion = 1 }) {
+        const response = await this.contracts.queryContract({
+            blockchain,
+            address: getUSDCAddress(blockchain),
+            abiFunctionSignature: "allowance(address,address)",
+            abiParameters: [
+                owner,
+                getTokenMessengerAddress(blockchain, cctpVersion)
+            ]
+        });
+
+        const outputData = response.data?.outputData;
+        if (!/^0x[0-9a-fA-F]+$/.test(outputData || '')) {
+            throw new Error(`Unexpected allowance query result: ${JSON.stringify(response.data)}`);
+        }
+
+        return BigInt(outputData);
+    }
+
+    // Amount to approve for a transfer: the amount itself, or the approval cap when larger
+    approvalAmountFor(amount, approvalCap = this.approvalCap) {
+        const amountUnits = parseUsdcAmount(amount);
+
+        if (!approvalCap) {
+            return formatUsdcAmount(amountUnits);
+        }
+
+        let capUnits;
+        try {
+            capUnits = parseUsdcAmount(approvalCap);
+        } catch (error) {
+            throw new TransferError(`Invalid approval cap: ${error.message}`, EXIT_CODES.VALIDATION);
+        }
+
+        return formatUsdcAmount(capUnits > amountUnits ? capUnits : amountUnits);
+    }
+
+    /**
+     * Set the allowance of every TokenMessenger (one per CCTP version) on the
+     * wallet's chain back to zero. Allowances that are already zero are left alone.
+     *
+     * @returns {Promise<Array<{ cctpVersion, spender, previousAllowance, txHash }>>}
+     */
+    async revokeAllowances(wallet) {
+        const results = [];
+
+        // SPL token burns need no allowance
+        if (isSolanaChain(wallet.blockchain)) {
+            return results;
+        }
+
+        for (const cctpVersion of CCTP_VERSIONS) {
+            if (!isCctpChain(wallet.blockchain, cctpVersion)) {
+                continue;
+            }
+
+            const spender = getTokenMessengerAddress(wallet.blockchain, cctpVersion);
+            const allowance = await this.getAllowance({ blockchain: wallet.blockchain, owner: wallet.address, cctpVersion });
+            const result = { cctpVersion, spender, previousAllowance: formatUsdcAmount(allowance), txHash: null };
+
+            if (allowance > 0n) {
+                const txId = await this.approve({ walletId: wallet.id, blockchain: wallet.blockchain, amount: '0', cctpVersion });
+                this.emit('transactionCreated', { step: 'revoke', txId });
+                result.txHash = await this.waitForTransaction(txId, 'revoke', wallet.blockchain);
+            }
+
+            results.push(result);
+        }
+
+        return results;
+    }
+
+    // Token of a same-chain send: the chain's USDC contract, or the native token (no address)
+    sendToken(blockchain, token) {
+        if (token !== 'USDC' && token !== 'native') {
+            throw new TransferError(`Unknown token "${token}". Expected USDC or native.`, EXIT_CODES.VALIDATION);
+        }
+
+        return { blockchain, tokenAddress: token === 'USDC' ? getUSDCAddress(blockchain) : '' };
+    }
+
+    /**
+     * Check a same-chain send before it is submitted: the wallet must hold the
+     * amount, and its native balance must also cover the estimated network fee
+     * (on top of the amount when sending the native token), and its tags must
+     * allow it as a source (see `assertSourceAllowed`). Nothing is submitted.
+     *
+     * @param {object} send
+     * @param {object} send.wallet - Sending wallet (`id`, `blockchain`, `address`, optional `tags`)
+     * @param {string} send.destinationAddress - Recipient on the same chain
+     * @param {string} [send.token='USDC'] - `USDC` or `native`
+     * @param {string} send.amount - Decimal amount of the token
+     * @param {object} [send.fees] - Fee spec over the client's (see `feeFor`)
+     * @param {boolean} [send.allowTreasury] - Allow sending from a treasury wallet
+     * @returns {Promise<{ token, symbol, nativeSymbol, amount, balance, nativeBalance, feeSetting, fee, problems }>}
+     *   Amounts are decimal strings; `fee` is null when it could not be estimated, and
+     *   `problems` lists what would make the send fail
+     */
+    async checkSend({ wallet, destinationAddress, token = 'USDC', amount, fees, allowTreasury }) {
+        assertSourceAllowed(wallet, { allowTreasury });
+        const tokenInfo = this.sendToken(wallet.blockchain, token);
+        const balances = await this.getWalletBalances(wallet.id);
+        const native = findNativeBalance(balances);
+        const nativeSymbol = native.symbol || getChain(wallet.blockchain)?.nativeSymbol || 'native token';
+        const isUsdc = token === 'USDC';
+
+        let amountUnits;
+        try {
+            amountUnits = isUsdc ? parseUsdcAmount(amount) : parseNativeAmount(amount);
+        } catch (error) {
+            throw new TransferError(error.message, EXIT_CODES.VALIDATION);
+        }
+        if (amountUnits <= 0n) {
+            throw new TransferError("Amount must be greater than zero.", EXIT_CODES.VALIDATION);
+        }
+
+        const format = isUsdc ? formatUsdcAmount : formatNativeAmount;
+        const balanceUnits = isUsdc ? findUSDCBalance(balances) : native.amount;
+        const feeSetting = this.feeFor(wallet.blockchain, 'send', fees);
+        let fee = null;
+
+        if (!feeSetting.level) {
+            fee = maxNetworkFee(feeSetting);
+        } else {
+            try {
+                const response = await this.circle.estimateTransferFee({
+                    walletId: wallet.id,
+                    destinationAddress,
+                    amount: [format(amountUnits)],
+                    ...tokenInfo
+                });
+                const estimate = response.data?.[feeSetting.level.toLowerCase()];
+                if (!estimate?.networkFee) {
+                    throw new Error(`Unexpected fee estimate: ${JSON.stringify(response.data)}`);
+                }
+                fee = parseNativeAmount(estimate.networkFee);
+            } catch (error) {
+                this.emit('warning', { message: `Could not estimate the network fee: ${error.message}` });
+            }
+        }
+
+        const symbol = isUsdc ? 'USDC' : nativeSymbol;
+        const problems = [];
+
+        if (amountUnits > balanceUnits) {
+            problems.push(`Insufficient ${symbol} balance: ${format(balanceUnits)} available, ${format(amountUnits)} requested`);
+        } else if (fee !== null) {
+            const nativeNeeded = fee + (isUsdc ? 0n : amountUnits);
+            if (native.amount < nativeNeeded) {
+                problems.push(`Not enough ${nativeSymbol} for the network fee: ${formatNativeAmount(native.amount)} available, ` +
+                    `${formatNativeAmount(nativeNeeded)} needed${isUsdc ? '' : ' including the amount'}`);
+            }
+        }
+
+        return {
+            token,
+            symbol,
+            nativeSymbol,
+            amount: format(amountUnits),
+            balance: format(balanceUnits),
+            nativeBalance: formatNativeAmount(native.amount),
+            feeSetting,
+            fee: fee === null ? null : formatNativeAmount(fee),
+            problems
+        };
+    }
+
+    /**
+     * Send USDC or the native token to an address on the wallet's own chain
+     * with Circle's transfer API, and wait for it like the steps of a
+     * cross-chain transfer (`transactionCreated` and `transactionState`
+     * events, step `send`). A frozen wallet, or a treasury wallet without
+     * `allowTreasury`, is refused before anything is submitted. Call
+     * `checkSend` first for the balance checks.
+     *
+     * @returns {Promise<{ txId: string, txHash: string }>}
+     */
+    async send({ wallet, destinationAddress, token = 'USDC', amount, fees, allowTreasury }) {
+        assertSourceAllowed(wallet, { allowTreasury });
+
+        const response = await this.circle.createTransaction({
+            walletId: wallet.id,
+            destinationAddress,
+            amount: [String(amount)],
+            ...this.sendToken(wallet.blockchain, token),
+            fee: toCircleFee(this.feeFor(wallet.blockchain, 'send', fees))
+        });
+
+        const txId = response.data?.id;
+        if (!txId) {
+            throw new Error("Failed to create transfer transaction");
+        }
+
+        this.emit('transactionCreated', { step: 'send', txId });
+        const txHash = await this.waitForTransaction(txId, 'send', wallet.blockchain);
+
+        return { txId, txHash };
+    }
+
+    // Contract call approving the TokenMessenger of the given CCTP version to spend `amount` USDC
+    approvalCall({ blockchain, amount, cctpVersion = 1 }) {
+        return {
+            contractAddress: getUSDCAddress(blockchain),
+            abiFunctionSignature: "approve(address,uint256)",
+            abiParameters: [
+                getTokenMessengerAddress(blockchain, cctpVersion), // TokenMessenger contract address
+                parseUsdcAmount(amount).toString() // USDC has 6 decimals
+            ]
+        };
+    }
+
+    /**
+     * Fee setting of a step on a chain: the chain registry and CCTP_FEE_LEVEL,
+     * then the client's `fees`, then the transfer's own `fees` spec.
+     */
+    feeFor(blockchain, step, fees) {
+        return resolveFee(blockchain, step, this.fees, fees);
+    }
+
+    /**
+     * Approve the TokenMessenger of the given CCTP version to spend USDC from the source wallet.
+     * Resolves with the Circle transaction ID; use `waitForTransaction` for the hash.
+     * `fees` is a fee spec over the client's (see `feeFor`), as for `burn` and `mint`.
+     */
+    async approve({ walletId, blockchain, amount, cctpVersion = 1, fees }) {
+        const approvalResponse = await this.circle.createContractExecutionTransaction({
+            walletId,
+            ...this.approvalCall({ blockchain, amount, cctpVersion }),
+            fee: toCircleFee(this.feeFor(blockchain, 'approval', fees))
+        });
+
+        const approvalTx = approvalResponse.data?.id;
+        if (!approvalTx) {
+            throw new Error("Failed to create approval transaction");
+        }
+
+        return approvalTx;
+    }
+
+    // Contract call burning USDC on the source chain for minting to `recipient` (see `burn()`)
+    burnCall({ sourceBlockchain, destinationBlockchain, recipient, amount, cctpVersion = 1, speed = 'standard', maxFee = '0', destinationCaller }) {
+        // Get destination domain ID for CCTP
+        const destinationDomain = getCCTPDomainId(destinationBlockchain);
+
+        const abiParameters = [
+            parseUsdcAmount(amount).toString(), // Amount in USDC units (6 decimals)
+            destinationDomain.toString(), // Destination domain
+            mintRecipientFor(destinationBlockchain, recipient), // Recipient address as bytes32
+            getUSDCAddress(sourceBlockchain) // Source USDC contract
+        ];
+
+        if (cctpVersion === 2) {
+            abiParameters.push(
+                destinationCaller ? addressToBytes32(destinationCaller) : ANY_DESTINATION_CALLER,
+                maxFee.toString(), // Highest fee in USDC units the burn may pay
+                FINALITY_THRESHOLDS[speed].toString() // Minimum finality before attestation
+            );
+        }
+
+        return {
+            contractAddress: getTokenMessengerAddress(sourceBlockchain, cctpVersion), // TokenMessenger contract
+            abiFunctionSignature: cctpVersion === 2
+                ? "depositForBurn(uint256,uint32,bytes32,address,bytes32,uint256,uint32)"
+                : "depositForBurn(uint256,uint32,bytes32,address)",
+            abiParameters
+        };
+    }
+
+    /**
+     * Burn USDC on the source chain for minting to `recipient` on the destination chain.
+     * Resolves with the Circle transaction ID.
+     *
+     * CCTP V2 burns also take the `speed` (`fast` or `standard`), the `maxFee`
+     * in USDC base units the burn may pay, and an optional `destinationCaller`
+     * that is the only address allowed to mint (anyone when omitted).
+     */
+    async burn({ walletId, fees, ...options }) {
+        const burnResponse = await this.circle.createContractExecutionTransaction({
+            walletId,
+            ...this.burnCall(options),
+            fee: toCircleFee(this.feeFor(options.sourceBlockchain, 'burn', fees))
+        });
+
+        const burnTx = burnResponse.data?.id;
+        if (!burnTx) {
+            throw new Error("Failed to create burn transaction");
+        }
+
+        return burnTx;
+    }
+
+    /**
+     * Submit the attested message to the destination MessageTransmitter.
+     * Resolves with the Circle transaction ID.
+     */
+    async mint({ walletId, blockchain, attestation, cctpVersion = 1, fees }) {
+        const mintResponse = await this.circle.createContractExecutionTransaction({
+            walletId,
+            contractAddress: getMessageTransmitterAddress(blockchain, cctpVersion), // MessageTransmitter contract
+            abiFunctionSignature: "receiveMessage(bytes,bytes)",
+            abiParameters: [
+                attestation.message, // The original message from burn
+                attestation.attestation // Circle's attestation signature
+            ],
+            fee: toCircleFee(this.feeFor(blockchain, 'mint', fees))
+        });
+
+        const mintTx = mintResponse.data?.id;
+        if (!mintTx) {
+            throw new Error("Failed to create mint transaction");
+        }
+
+        return mintTx;
+    }
+
+    // Solana RPC connection of a chain, created on first use
+    connectionFor(blockchain) {
+        if (!this.solanaConnections[blockchain]) {
+            this.solanaConnections[blockchain] = new Connection(getRpcUrl(blockchain), 'confirmed');
+        }
+
+        return this.solanaConnections[blockchain];
+    }
+
+    /**
+     * Sign a Solana transaction made of `instructions` with a Circle wallet
+     * (which also pays its fee), add the signatures of any local `signers`,
+     * and broadcast it through the chain's RPC endpoint.
+     *
+     * @returns {Promise<{ signature: string, lastValidBlockHeight: number }>}
+     */
+    async sendSolanaTransaction({ wallet, instructions, signers = [], memo }) {
+        const connection = this.connectionFor(wallet.blockchain);
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+
+        const transaction = new Transaction({ feePayer: new PublicKey(wallet.address), blockhash, lastValidBlockHeight });
+        transaction.add(...instructions);
+
+        const signResponse = await this.circle.signTransaction({
+            walletId: wallet.id,
+            rawTransaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+            memo
+        });
+
+        const signedTransaction = signResponse.data?.signedTransaction;
+        if (!signedTransaction) {
+            throw new Error("Failed to sign Solana transaction");
+        }
+
+        const signed = Transaction.from(Buffer.from(signedTransaction, 'base64'));
+        if (signers.length > 0) {
+            signed.partialSign(...signers);
+        }
+
+        const signature = await connection.sendRawTransaction(signed.serialize());
+        return { signature, lastValidBlockHeight };
+    }
+
+    /**
+     * Burn USDC from a Solana wallet's associated token account for minting to
+     * `recipient` on the destination chain (CCTP V1).
+     *
+     * @returns {Promise<{ signature: string, lastValidBlockHeight: number }>}
+     */
+    async burnFromSolana({ wallet, destinationBlockchain, recipient, amount }) {
+        // The burn message is stored in a new account that signs the transaction alongside the wallet
+        const eventAccount = Keypair.generate();
+
+        const instruction = depositForBurnInstruction({
+            owner: wallet.address,
+            tokenMessengerMinter: getTokenMessengerAddress(wallet.blockchain),
+            messageTransmitter: getMessageTransmitterAddress(wallet.blockchain),
+            usdcMint: getUSDCAddress(wallet.blockchain),
+            destinationDomain: getCCTPDomainId(destinationBlockchain),
+            mintRecipient: mintRecipientFor(destinationBlockchain, recipient),
+            amount: parseUsdcAmount(amount),
+            eventAccount: eventAccount.publicKey
+        });
+
+        return this.sendSolanaTransaction({ wallet, instructions: [instruction], signers: [eventAccount], memo: 'CCTP burn' });
+    }
+
+    /**
+     * Mint an attested burn on Solana from `wallet`, which pays for the
+     * transaction. The recipient's USDC associated token account is created
+     * first if it does not exist yet.
+     *
+     * @returns {Promise<{ signature: string, lastValidBlockHeight: number }>}
+     */
+    async mintOnSolana({ wallet, recipient, attestation }) {
+        const usdcMint = getUSDCAddress(wallet.blockchain);
+        const instructions = [];
+
+        // Burns made by this tool mint to the recipient's associated token account
+        if (readMessageRoute(attestation.message).mintRecipient.equals(findAssociatedTokenAddress(recipient, usdcMint))) {
+            instructions.push(createAssociatedTokenAccountIdempotentInstruction(wallet.address, recipient, usdcMint));
+        }
+
+        instructions.push(receiveMessageInstruction({
+            payer: wallet.address,
+            tokenMessengerMinter: getTokenMessengerAddress(wallet.blockchain),
+            messageTransmitter: getMessageTransmitterAddress(wallet.blockchain),
+            usdcMint,
+            message: attestation.message,
+            attestation: attestation.attestation
+        }));
+
+        return this.sendSolanaTransaction({ wallet, instructions, memo: 'CCTP mint' });
+    }
+
+    /**
+     * Wait for a Solana transaction to be confirmed and resolve with its
+     * signature. A transaction that failed on chain, or whose blockhash
+     * expired before it landed, rejects with a TransactionFailedError.
+     */
+    async waitForSolanaTransaction(signature, step, blockchain, lastValidBlockHeight) {
+        const connection = this.connectionFor(blockchain);
+        const polling = resolvePolling(blockchain, this.polling);
+        const deadlineMs = polling.transactionDeadlineMs;
+        const startedAt = Date.now();
+
+        this.emit('transactionPending', { step, txId: signature });
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const { value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+                this.emit('poll', { step, attempt, elapsedMs: Date.now() - startedAt, deadlineMs, state: status?.confirmationStatus || 'pending' });
+
+                if (status?.err) {
+                    throw new TransactionFailedError(step, { id: signature, state: 'FAILED', errorReason: JSON.stringify(status.err) });
+                }
+
+                if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+                    return signature;
+                }
+
+                if (!status && lastValidBlockHeight && await connection.getBlockHeight() > lastValidBlockHeight) {
+                    throw new TransactionFailedError(step, { id: signature, state: 'EXPIRED', errorReason: 'the transaction was not included before its blockhash expired' });
+                }
+            } catch (error) {
+                if (error instanceof TransactionFailedError) {
+                    throw error;
+                }
+                this.emit('warning', { message: `Could not check ${step} transaction status: ${error.message}` });
+            }
+
+            const elapsedMs = Date.now() - startedAt;
+            if (elapsedMs >= deadlineMs) {
+                throw new DeadlineExceededError(`the ${step} transaction ${signature}`, deadlineMs);
+            }
+
+            await sleep(Math.min(backoffDelay(polling.transactionIntervalMs, attempt, polling), deadlineMs - elapsedMs));
+        }
+    }
+
+    /**
+     * Wait for a Circle transaction on `blockchain` to be confirmed and resolve
+     * with its hash. The first check happens right away; later ones back off
+     * from the chain's transaction interval (see `resolvePolling`).
+     *
+     * State changes are emitted as `transactionState` events. A FAILED, DENIED
+     * or CANCELLED transaction rejects right away with a TransactionFailedError,
+     * and one still pending at the transaction deadline with a
+     * DeadlineExceededError. A transaction pending for longer than
+     * STUCK_AFTER_MS emits `transactionStuck` and is handed to `onStuck`, which
+     * may accelerate or cancel it; polling then carries on until Circle
+     * reports the outcome.
+     */
+    async waitForTransaction(txId, step, blockchain) {
+        const polling = resolvePolling(blockchain, this.polling);
+        const deadlineMs = polling.transactionDeadlineMs;
+        const startedAt = Date.now();
+        let pendingSince = startedAt;
+        let state = null;
+
+        this.emit('transactionPending', { step, txId });
+
+        for (let attempt = 1; ; attempt++) {
+            let tx = null;
+
+            try {
+                const txResponse = await this.circle.getTransaction({
+                    id: txId
+                });
+
+                tx = txResponse.data?.transaction;
+                this.emit('poll', { step, attempt, elapsedMs: Date.now() - startedAt, deadlineMs, state: tx?.state });
+            } catch (error) {
+                this.emit('warning', { message: `Could not check ${step} transaction status: ${error.message}` });
+            }
+
+            if (tx?.state && tx.state !== state) {
+                this.emit('transactionState', { step, txId, state: tx.state, previousState: state });
+                state = tx.state;
+            }
+
+            if (SUCCESS_STATES.includes(state)) {
+                return tx.txHash;
+            }
+
+            if (FAILURE_STATES.includes(state)) {
+                throw new TransactionFailedError(step, { id: txId, ...tx });
+            }
+
+            const pendingMs = Date.now() - pendingSince;
+            if (pendingMs >= STUCK_AFTER_MS) {
+                await this.handleStuckTransaction({ step, txId, state, pendingMs });
+                pendingSince = Date.now();
+            }
+
+            const elapsedMs = Date.now() - startedAt;
+            if (elapsedMs >= deadlineMs) {
+                throw new DeadlineExceededError(`the ${step} transaction ${txId}`, deadlineMs);
+            }
+
+            // The last check happens at the deadline
+            await sleep(Math.min(backoffDelay(polling.transactionIntervalMs, attempt, polling), deadlineMs - elapsedMs));
+        }
+    }
+
+    // Wait for the transaction a step has in flight: a Circle transaction, or a
+    // transaction broadcast directly on Solana
+    waitForStepTransaction(entry, step, blockchain) {
+        const txId = entry[TX_ID_FIELDS[step]];
+
+        return isSolanaChain(blockchain)
+            ? this.waitForSolanaTransaction(txId, step, blockchain, entry[`${step}LastValidBlockHeight`])
+            : this.waitForTransaction(txId, step, blockchain);
+    }
+
+    // Report a stuck transaction and carry out what `onStuck` decides.
+    // A failed acceleration or cancellation is a warning; the wait goes on.
+    async handleStuckTransaction({ step, txId, state, pendingMs }) {
+        this.emit('transactionStuck', { step, txId, state, pendingMs });
+
+        if (!this.onStuck) {
+            return;
+        }
+
+        try {
+            const action = await this.onStuck({ step, txId, state, pendingMs });
+
+            if (action === 'accelerate') {
+                await this.accelerateTransaction(txId);
+                this.emit('transactionAccelerated', { step, txId });
+            } else if (action === 'cancel') {
+                await this.cancelTransaction(txId);
+                this.emit('transactionCancelled', { step, txId });
+            }
+        } catch (error) {
+            this.emit('warning', { message: `Could not handle stuck ${step} transaction ${txId}: ${error.message}` });
+        }
+    }
+
+    /**
+     * Ask Circle to speed up a pending transaction by resubmitting it with a
+     * higher fee. The transaction keeps its ID.
+     */
+    async accelerateTransaction(txId) {
+        const response = await this.circle.accelerateTransaction({ id: txId });
+        return response.data;
+    }
+
+    /**
+     * Ask Circle to cancel a pending transaction. It ends up CANCELLED if the
+     * cancellation lands before the original transaction is mined.
+     */
+    async cancelTransaction(txId) {
+        const response = await this.circle.cancelTransaction({ id: txId });
+        return response.data;
+    }
+
+    // Get the current state of a Circle transaction
+    async getTransaction(txId) {
+        const response = await this.circle.getTransaction({ id: txId });
+        const transaction = response.data?.transaction;
+
+        if (!transaction) {
+            throw new Error(`Transaction ${txId} not found`);
+        }
+
+        return transaction;
+    }
+
+    // Current allowance of the source wallet, or null when it cannot be read
+    // (the approval is then submitted as usual)
+    async checkAllowance(source, cctpVersion) {
+        try {
+            return await this.getAllowance({ blockchain: source.blockchain, owner: source.address, cctpVersion });
+        } catch (error) {
+            this.emit('warning', { message: `Could not read the current allowance, approving anyway: ${error.message}` });
+            return null;
+        }
+    }
+
+    // Whether the destination chain already received the entry's message, or null when
+    // it cannot be read (the mint is then submitted as usual)
+    async checkMessageReceived(entry) {
+        try {
+            return await this.isMessageReceived(entry.destination.blockchain, entry.attestation.message);
+        } catch (error) {
+            this.emit('warning', { message: `Could not check whether the message was already received, minting anyway: ${error.message}` });
+            return null;
+        }
+    }
+
+    // Hash of an earlier mint of the same burn recorded in the journal, if any
+    findRecordedMint(entry) {
+        const mints = this.journal.findByBurnTxHash ? this.journal.findByBurnTxHash(entry.burnTxHash) : [];
+        return mints.find(other => other.id !== entry.id && other.mintTxHash)?.mintTxHash || null;
+    }
+
+    // Poll Circle's attestation service until the burn is attested
+    fetchAttestation(burnTxHash, sourceBlockchain, cctpVersion = 1) {
+        return this.attestation.waitForAttestation(sourceBlockchain, burnTxHash, {
+            cctpVersion,
+            polling: this.polling,
+            onPoll: ({ attempt, elapsedMs, deadlineMs, status, url, waitMs, error }) => {
+                if (status === 'error') {
+                    this.emit('warning', { message: `Could not check attestation status: ${error.message}` });
+                } else {
+                    this.emit('poll', { step: 'attestation', attempt, elapsedMs, deadlineMs, state: status, url, waitMs });
+                }
+            }
+        });
+    }
+
+    /**
+     * Check whether the MessageTransmitter on `blockchain` already received a
+     * CCTP message (the message hex from its attestation): its nonce is marked
+     * used, so minting it again would fail. Read-only; nothing is submitted.
+     */
+    async isMessageReceived(blockchain, message) {
+        const decoded = decodeMessage(message);
+
+        if (isSolanaChain(blockchain)) {
+            const usedNonces = findUsedNoncesAddress(getMessageTransmitterAddress(blockchain), decoded.sourceDomain, decoded.nonce);
+            const account = await this.connectionFor(blockchain).getAccountInfo(usedNonces);
+            return isNonceMarkedUsed(account?.data || null, decoded.nonce);
+        }
+
+        const response = await this.contracts.queryContract({
+            blockchain,
+            address: getMessageTransmitterAddress(blockchain, decoded.cctpVersion),
+            abiFunctionSignature: "usedNonces(bytes32)",
+            abiParameters: [usedNonceKey(decoded)]
+        });
+
+        const outputData = response.data?.outputData;
+        if (!/^0x[0-9a-fA-F]+$/.test(outputData || '')) {
+            throw new Error(`Unexpected usedNonces query result: ${JSON.stringify(response.data)}`);
+        }
+
+        return BigInt(outputData) !== 0n;
+    }
+
+    /**
+     * Quote the CCTP V2 fee of a burn. `maxFee` is the fee in USDC base units
+     * for `amount`, rounded up, ready to pass to `burn()`.
+     *
+     * @returns {Promise<{ speed, finalityThreshold, minimumFeeBps, maxFee }>}
+     */
+    async quoteBurnFee({ sourceBlockchain, destinationBlockchain, amount, speed = 'standard' }) {
+        const finalityThreshold = FINALITY_THRESHOLDS[speed];
+        const fees = await this.attestation.getBurnFees(sourceBlockchain, destinationBlockchain);
+        const quote = fees.find(fee => fee.finalityThreshold === finalityThreshold);
+
+        if (!quote) {
+            throw new Error(`No ${speed} transfer fee quoted for ${sourceBlockchain} → ${destinationBlockchain}`);
+        }
+
+        // The fee is quoted in basis points with up to two decimals; round it up to whole units
+        const amountUnits = parseUsdcAmount(amount);
+        const centiBps = BigInt(Math.round(quote.minimumFee * 100));
+        const maxFee = (amountUnits * centiBps + 999999n) / 1000000n;
+
+        if (maxFee >= amountUnits) {
+            throw new Error(`The ${speed} transfer fee (${formatUsdcAmount(maxFee)} USDC) is not less than the amount`);
+        }
+
+        return {
+            speed,
+            finalityThreshold,
+            minimumFeeBps: quote.minimumFee,
+            maxFee: maxFee.toString()
+        };
+    }
+
+    /**
+     * Estimate the network fee of a contract call from a wallet with Circle's
+     * fee estimation, at the given fee level.
+     *
+     * @param {string} walletId - Wallet the call would be sent from
+     * @param {object} call - `{ contractAddress, abiFunctionSignature, abiParameters }`
+     * @param {string} [level='MEDIUM'] - `LOW`, `MEDIUM` or `HIGH`
+     * @returns {Promise<{ fee: bigint, gasLimit: string|null }>} `fee` in units of 10^-18 of the native token
+     */
+    async estimateContractFee(walletId, call, level = 'MEDIUM') {
+        const response = await this.circle.estimateContractExecutionFee({
+            ...call,
+            source: { walletId }
+        });
+
+        const estimate = response.data?.[level.toLowerCase()];
+        if (!estimate?.networkFee) {
+            throw new Error(`Unexpected fee estimate: ${JSON.stringify(response.data)}`);
+        }
+
+        return { fee: parseNativeAmount(estimate.networkFee), gasLimit: estimate.gasLimit || null };
+    }
+
+    // Fee of a step estimated from a harmless call on the same chain (the wallet
+    // approving itself for nothing), scaled to the gas the step typically uses
+    async estimateScaledFee(wallet, step, level) {
+        const probe = await this.estimateContractFee(wallet.id, {
+            contractAddress: getUSDCAddress(wallet.blockchain),
+            abiFunctionSignature: "approve(address,uint256)",
+            abiParameters: [wallet.address, '0']
+        }, level);
+
+        return scaleFee(probe.fee, probe.gasLimit, step);
+    }
+
+    // Estimated fee of one step paid by `wallet` at its fee setting, as { step, setting, fee, scaled }.
+    // Explicit gas parameters are taken at their maximum: gasLimit × maxFee.
+    async estimateStepFee(wallet, step, transfer) {
+        if (isSolanaChain(wallet.blockchain)) {
+            return { step, setting: null, fee: parseNativeAmount(SOLANA_STEP_FEES[step]), scaled: false };
+        }
+
+        const setting = this.feeFor(wallet.blockchain, step, transfer.fees);
+
+        if (!setting.level) {
+            return { step, setting, fee: maxNetworkFee(setting), scaled: false };
+        }
+
+        if (step === 'approval') {
+            const { fee } = await this.estimateContractFee(wallet.id, this.approvalCall({
+                blockchain: wallet.blockchain,
+                amount: transfer.approvalAmount,
+                cctpVersion: transfer.cctpVersion
+            }), setting.level);
+            return { step, setting, fee, scaled: false };
+        }
+
+        // The burn can only be simulated once the allowance covers it, the mint
+        // not at all before there is a message; those are scaled instead
+        if (step === 'burn' && !transfer.needsApproval) {
+            try {
+                const { fee } = await this.estimateContractFee(wallet.id, this.burnCall({
+                    ...transfer,
+                    sourceBlockchain: wallet.blockchain
+                }), setting.level);
+                return { step, setting, fee, scaled: false };
+            } catch (error) {
+                // Fall back to the scaled estimate
+            }
+        }
+
+        return { step, setting, fee: await this.estimateScaledFee(wallet, step, setting.level), scaled: true };
+    }
+
+    // USD prices of the native tokens of the given chains, or none when they cannot be fetched
+    async getNativeUsdPrices(blockchains) {
+        try {
+            return await this.prices.getNativeUsdPrices(blockchains);
+        } catch (error) {
+            this.emit('warning', { message: `Could not fetch native token prices: ${error.message}` });
+            return {};
+        }
+    }
+
+    // Native balance of a wallet against the estimated fees of the steps it pays for,
+    // with their USD value when the chain's native token has a price
+    async checkGasSide(role, wallet, steps, transfer, usdPrice) {
+        const side = {
+            role,
+            walletId: wallet.id,
+            address: wallet.address,
+            blockchain: wallet.blockchain,
+            symbol: null,
+            balance: null,
+            required: null,
+            requiredUsd: null,
+            steps: [],
+            short: false,
+            error: null
+        };
+        const usd = units => usdPrice === undefined ? null : toUsd(units, usdPrice);
+
+        try {
+            const fees = [];
+            for (const step of steps) {
+                fees.push(await this.estimateStepFee(wallet, step, transfer));
+            }
+
+            const balance = findNativeBalance(await this.getWalletBalances(wallet.id));
+            const required = fees.reduce((total, { fee }) => total + fee, 0n);
+
+            Object.assign(side, {
+                symbol: balance.symbol || getChain(wallet.blockchain)?.nativeSymbol || null,
+                balance: formatNativeAmount(balance.amount),
+                required: formatNativeAmount(required),
+                requiredUsd: usd(required),
+                steps: fees.map(({ step, setting, fee, scaled }) => ({
+                    step,
+                    feeSetting: setting && describeFeeSetting(setting),
+                    fee: formatNativeAmount(fee),
+                    feeUsd: usd(fee),
+                    scaled
+                })),
+                short: balance.amount < required
+            });
+        } catch (error) {
+            side.error = error.message;
+            this.emit('warning', { message: `Could not check the gas balance of the ${role} wallet: ${error.message}` });
+        }
+
+        return side;
+    }
+
+    /**
+     * Pre-flight check of the native tokens a transfer needs for gas. The source
+     * wallet pays for the approval (unless the allowance already covers the
+     * amount) and the burn; the destination wallet, or the relayer wallet for an
+     * external recipient, pays for the mint. Claim-only transfers have no
+     * destination side.
+     *
+     * Fees are estimated with Circle's fee estimation at the fee level of each
+     * step (see `feeFor`; `fees` is the transfer's fee spec), or taken at their
+     * maximum for explicit gas parameters. Steps that cannot be simulated before
+     * the earlier ones ran are scaled from an estimate on the same chain; Solana
+     * steps use fixed costs. A side whose balance or fees cannot be read carries
+     * an `error` and never counts as short. USD values are filled in for chains
+     * whose native token has a price (see `PriceClient`).
+     *
+     * @returns {Promise<Array<{ role, walletId, address, blockchain, symbol, balance, required, requiredUsd, steps, short, error }>>}
+     *   `role` is `source`, `destination` or `relayer`; amounts are decimal strings of the native
+     *   token and `steps` lists `{ step, feeSetting, fee, feeUsd, scaled }`
+     */
+    async checkGasBalances({ sourceWallet, destinationWallet, relayerWallet, amount, cctpVersion = 1, speed = 'standard', maxFee, destinationCaller, approvalCap, fees }) {
+        const amountText = formatUsdcAmount(resolveAmount(amount));
+        const transfer = {
+            destinationBlockchain: destinationWallet.blockchain,
+            recipient: destinationWallet.address,
+            amount: amountText,
+            approvalAmount: this.approvalAmountFor(amountText, approvalCap),
+            needsApproval: false,
+            cctpVersion,
+            speed,
+            maxFee,
+            destinationCaller,
+            fees
+        };
+
+        const sourceSteps = ['burn'];
+
+        // Solana burns need no approval
+        if (!isSolanaChain(sourceWallet.blockchain)) {
+            const allowance = await this.getAllowance({ blockchain: sourceWallet.blockchain, owner: sourceWallet.address, cctpVersion })
+                .catch(() => null);
+
+            transfer.needsApproval = allowance === null || allowance < parseUsdcAmount(amountText);
+            if (transfer.needsApproval) {
+                sourceSteps.unshift('approval');
+            }
+        }
+
+        const minter = destinationWallet.id ? destinationWallet : relayerWallet;
+        const prices = await this.getNativeUsdPrices([sourceWallet.blockchain, ...(minter ? [minter.blockchain] : [])]);
+
+        const sides = [await this.checkGasSide('source', sourceWallet, sourceSteps, transfer, prices[sourceWallet.blockchain])];
+
+        if (minter) {
+            const role = destinationWallet.id ? 'destination' : 'relayer';
+            sides.push(await this.checkGasSide(role, minter, ['mint'], transfer, prices[minter.blockchain]));
+        }
+
+        return sides;
+    }
+
+    /**
+     * Refuse to go ahead with a transfer a wallet cannot pay the gas for, as
+     * found by `checkGasBalances()`. With `allowLowGas` the shortfalls are
+     * only emitted as warnings.
+     */
+    assertGasSufficient(sides, allowLowGas = this.allowLowGas) {
+        const problems = sides.filter(side => side.short).map(describeGasShortfall);
+
+        if (problems.length === 0) {
+            return;
+        }
+
+        if (allowLowGas) {
+            problems.forEach(problem => this.emit('warning', { message: `${problem}; continuing anyway` }));
+            return;
+        }
+
+        throw new TransferError(
+            `Not enough native tokens for gas:\n• ${problems.join('\n• ')}`,
+            EXIT_CODES.INSUFFICIENT_BALANCE,
+            'preflight'
+        );
+    }
+
+    /**
+     * Transfer `amount` USDC (a decimal string such as "12.5") from `sourceWallet`
+     * to `destinationWallet` on another chain. The route is checked against the
+     * chain registry and the transfer is recorded in the journal before anything
+     * is submitted.
+     *
+     * `destinationWallet` is either one of our wallets, which mints for itself,
+     * or an external `{ address, blockchain }`. USDC for an external address is
+     * minted by `relayerWallet` (one of our wallets on the destination chain)
+     * when given; otherwise the transfer stops after the attestation and the
+     * recipient claims it with `claimPackage(entry)`.
+     *
+     * `cctpVersion` picks the protocol (1 by default). CCTP V2 transfers take a
+     * `speed` (`standard` by default, or `fast`), an optional `maxFee` from
+     * `quoteBurnFee()` (quoted right before the burn otherwise) and an optional
+     * `destinationCaller`. `approvalCap` overrides the client's approval cap.
+     *
+     * Either side may be on Solana (CCTP V1 only). Solana transactions are
+     * signed by the Circle wallet and broadcast through the chain's `rpcUrl`;
+     * the USDC is minted to the recipient's associated token account.
+     *
+     * `fees` sets the fee level or explicit gas parameters of this transfer's
+     * transactions, over the client's (see `feeFor`); it is kept in the journal
+     * so a resumed transfer pays the same way. Solana transactions ignore it.
+     *
+     * Before anything is recorded, `checkGasBalances()` makes sure the wallets
+     * paying for gas hold enough native tokens; a shortfall fails the transfer
+     * unless `allowLowGas` (default: the client's setting) is set. Pass the
+     * result of an earlier check as `gasCheck` to skip checking again.
+     */
+    async transfer({ sourceWallet, destinationWallet, relayerWallet, amount, cctpVersion = 1, speed, maxFee, destinationCaller, approvalCap, fees, allowLowGas, gasCheck }) {
+        const mode = resolveTransferMode(cctpVersion, speed);
+        const amountUnits = resolveAmount(amount);
+        const recipient = destinationFields(destinationWallet, relayerWallet);
+        const feeSpec = feeFields(fees);
+        assertRouteConsistent(sourceWallet.blockchain, destinationWallet.blockchain, cctpVersion);
+
+        let gasSides = gasCheck;
+        if (!gasSides) {
+            gasSides = await this.checkGasBalances({
+                sourceWallet, destinationWallet, relayerWallet, amount, ...mode, maxFee, destinationCaller, approvalCap, ...feeSpec
+            });
+            this.emit('gasChecked', { sides: gasSides });
+        }
+        this.assertGasSufficient(gasSides, allowLowGas);
+
+        const entry = this.journal.createEntry({
+            amount: formatUsdcAmount(amountUnits),
+            source: walletSnapshot(sourceWallet),
+            ...recipient,
+            ...mode,
+            approvalAmount: this.approvalAmountFor(formatUsdcAmount(amountUnits), approvalCap),
+            ...(maxFee !== undefined && { maxFee: maxFee.toString() }),
+            ...(destinationCaller && { destinationCaller }),
+            ...feeSpec
+        });
+
+        return this.continueTransfer(entry);
+    }
+
+    /**
+     * Find the chain and CCTP version of a burn. A Circle transaction ID names
+     * its chain; a burn transaction hash (or Solana signature) is looked up with
+     * the attestation service on every CCTP chain, unless `sourceBlockchain` and
+     * `cctpVersion` narrow the search. With an attestation host override, mainnet
+     * and testnet chains sharing a domain answer alike, so pass `sourceBlockchain`.
+     *
+     * @returns {Promise<{ sourceBlockchain, cctpVersion, burnTxHash, status, message, attestation }>}
+     *   `status` is `pending` or `complete`; complete burns carry their `message` and `attestation`
+     */
+    async locateBurn({ burnTxHash, transactionId, sourceBlockchain, cctpVersion }) {
+        if (transactionId) {
+            const transaction = await this.getTransaction(transactionId);
+
+            if (!transaction.txHash) {
+                throw new TransferError(
+                    `Circle transaction ${transactionId} has no transaction hash yet (${transaction.state})`,
+                    EXIT_CODES.VALIDATION,
+                    'attestation'
+                );
+            }
+
+            burnTxHash = transaction.txHash;
+            sourceBlockchain = sourceBlockchain || transaction.blockchain;
+        }
+
+        if (!burnTxHash) {
+            throw new TransferError("A burn transaction hash or Circle transaction ID is required", EXIT_CODES.VALIDATION);
+        }
+
+        // EVM hashes are hex, Solana signatures base58
+        const onSolana = !/^0x/i.test(burnTxHash);
+        const chains = sourceBlockchain
+            ? [requireChain(sourceBlockchain)]
+            : listChains().filter(chain => (chain.family === 'solana') === onSolana);
+        const versions = cctpVersion ? [cctpVersion] : CCTP_VERSIONS;
+        const unchecked = [];
+
+        for (const chain of chains) {
+            for (const version of versions) {
+                if (!isCctpChain(chain.code, version)) {
+                    continue;
+                }
+
+                let result;
+                try {
+                    result = await this.attestation.getMessage(chain.code, burnTxHash, version);
+                } catch (error) {
+                    unchecked.push(`${chain.code} V${version} (${error.message})`);
+                    continue;
+                }
+
+                if (result.status === 'pending' || result.status === 'complete') {
+                    const burn = {
+                        sourceBlockchain: chain.code,
+                        cctpVersion: version,
+                        burnTxHash,
+                        status: result.status,
+                        ...(result.status === 'complete' && { message: result.message, attestation: result.attestation })
+                    };
+                    this.emit('burnLocated', burn);
+                    return burn;
+                }
+
+                if (result.status === 'rate_limited') {
+                    unchecked.push(`${chain.code} V${version} (rate limited)`);
+                }
+            }
+        }
+
+        const uncheckedNote = unchecked.length > 0 ? `; could not check ${unchecked.join(', ')}` : '';
+        throw new TransferError(
+            `No CCTP burn found for ${burnTxHash}${uncheckedNote}`,
+            EXIT_CODES.ATTESTATION_FAILED,
+            'attestation',
+            { burnTxHash }
+        );
+    }
+
+    // Address the USDC of a burn goes to on its destination chain: the mint
+    // recipient itself on EVM chains, the owner of the token account on Solana
+    // (the token account itself while it does not exist)
+    async recipientOf(destinationBlockchain, mintRecipient) {
+        if (!isSolanaChain(destinationBlockchain)) {
+            return mintRecipient;
+        }
+
+        return await getTokenAccountOwner(this.connectionFor(destinationBlockchain), mintRecipient) || mintRecipient;
+    }
+
+    /**
+     * Work out how to finish a burn made outside of `transfer()`: locate it
+     * (see `locateBurn`), wait for its attestation, decode the message for the
+     * destination chain, recipient and amount, and check whether the
+     * destination MessageTransmitter already received it.
+     *
+     * @returns {Promise<{ sourceBlockchain, destinationBlockchain, cctpVersion, burnTxHash,
+     *   attestation, message, recipient, mintRecipient, destinationCaller, amount, alreadyMinted }>}
+     *   `message` is the decoded message; `destinationCaller` is null when anyone may mint
+     */
+    async prepareRecovery({ burnTxHash, transactionId, sourceBlockchain, cctpVersion }) {
+        const burn = await this.locateBurn({ burnTxHash, transactionId, sourceBlockchain, cctpVersion });
+
+        let attestation;
+        try {
+            attestation = await this.fetchAttestation(burn.burnTxHash, burn.sourceBlockchain, burn.cctpVersion);
+        } catch (error) {
+            const exitCode = error instanceof DeadlineExceededError ? EXIT_CODES.STILL_PENDING : EXIT_CODES.ATTESTATION_FAILED;
+            throw new TransferError(error.message, exitCode, 'attestation', {
+                burnTxHash: burn.burnTxHash,
+                sourceBlockchain: burn.sourceBlockchain
+            });
+        }
+
+        const message = decodeMessage(attestation.message);
+        const destinationChain = getChainByDomain(message.destinationDomain, requireChain(burn.sourceBlockchain).testnet);
+
+        if (!destinationChain) {
+            throw new TransferError(
+                `The burn mints on CCTP domain ${message.destinationDomain}, which has no chain in the registry`,
+                EXIT_CODES.CONFIGURATION,
+                'preflight',
+                { burnTxHash: burn.burnTxHash }
+            );
+        }
+
+        const destinationBlockchain = destinationChain.code;
+        const mintRecipient = bytes32ToAddress(destinationBlockchain, message.mintRecipient);
+
+        return {
+            sourceBlockchain: burn.sourceBlockchain,
+            destinationBlockchain,
+            cctpVersion: message.cctpVersion,
+            burnTxHash: burn.burnTxHash,
+            attestation,
+            message,
+            recipient: await this.recipientOf(destinationBlockchain, mintRecipient),
+            mintRecipient,
+            destinationCaller: message.destinationCaller === ANY_DESTINATION_CALLER
+                ? null
+                : bytes32ToAddress(destinationBlockchain, message.destinationCaller),
+            amount: formatUsdcAmount(message.amount),
+            alreadyMinted: await this.isMessageReceived(destinationBlockchain, attestation.message)
+        };
+    }
+
+    /**
+     * Mint a burn that happened outside of `transfer()`, from any chain, given
+     * its burn transaction hash or Circle transaction ID (see `prepareRecovery`,
+     * whose result may be passed as `recovery` instead).
+     *
+     * The USDC goes to the recipient in the burn message. `destinationWallet`,
+     * when given, must be that recipient; otherwise the recipient is treated as
+     * an external address, minted by `relayerWallet` or left to claim. As in
+     * every transfer, a message the destination chain already received is not
+     * minted again (see `continueTransfer`). `fees` sets how the mint pays, as
+     * for `transfer()`.
+     */
+    async recover({ burnTxHash, transactionId, sourceBlockchain, cctpVersion, destinationWallet, relayerWallet, recovery, fees }) {
+        if (cctpVersion !== undefined) {
+            resolveTransferMode(cctpVersion);
+        }
+        const feeSpec = feeFields(fees);
+
+        recovery = recovery || await this.prepareRecovery({ burnTxHash, transactionId, sourceBlockchain, cctpVersion });
+        const { destinationBlockchain } = recovery;
+
+        if (destinationWallet && !mintsTo(destinationWallet, recovery)) {
+            throw new TransferError(
+                `The burn mints to ${recovery.recipient} on ${destinationBlockchain}, not to ${destinationWallet.address} on ${destinationWallet.blockchain}`,
+                EXIT_CODES.VALIDATION,
+                'preflight'
+            );
+        }
+
+        const recipient = destinationFields(destinationWallet || { address: recovery.recipient, blockchain: destinationBlockchain }, relayerWallet);
+        const minter = recipient.relayer || recipient.destination;
+
+        // A burn naming a destination caller can only be minted by that address
+        if (recovery.destinationCaller && recipient.mintMode !== 'claim' && !recovery.alreadyMinted &&
+            !sameAddress(minter.address, recovery.destinationCaller)) {
+            throw new TransferError(
+                `Only ${recovery.destinationCaller} may mint this burn on ${destinationBlockchain}`,
+                EXIT_CODES.VALIDATION,
+                'preflight'
+            );
+        }
+
+        const fields = {
+            amount: recovery.amount,
+            source: { blockchain: recovery.sourceBlockchain },
+            ...recipient,
+            cctpVersion: recovery.cctpVersion,
+            burnTxHash: recovery.burnTxHash,
+            mintRecipient: recovery.message.mintRecipient,
+            attestation: recovery.attestation,
+            ...(recovery.destinationCaller && { destinationCaller: recovery.destinationCaller }),
+            ...feeSpec
+        };
+
+        return this.continueTransfer(this.journal.createEntry({ ...fields, step: 'attested' }));
+    }
+
+    /**
+     * Run the Approval → Burn → Attestation → Mint steps for a journal entry,
+     * skipping the steps it already completed. Resolves with the updated
+     * entry; rejects with a TransferError naming the step that failed and the
+     * hashes obtained before it. A step still pending at its deadline rejects
+     * with exit code STILL_PENDING and leaves the entry `waiting`, to be
+     * continued later. An attested message that differs from the transfer
+     * (see `findMessageMismatches`) fails the attestation step before the mint.
+     *
+     * Before submitting the mint, the destination MessageTransmitter's used
+     * nonces are checked. A message it already received completes the entry
+     * with `alreadyMinted` instead, and the `alreadyMinted` event.
+     */
+    async continueTransfer(entry) {
+        const { source, destination } = entry;
+        const journal = this.journal;
+        const cctpVersion = entry.cctpVersion || 1; // Entries from before V2 support are V1
+        let step = 'approval';
+
+        // The registry may have changed since the entry was recorded
+        assertRouteConsistent(source.blockchain, destination.blockchain, cctpVersion);
+
+        if (entry.status !== 'in_progress') {
+            journal.recordProgress(entry, { status: 'in_progress' });
+        }
+
+        this.emit('transferStarted', { entry });
+
+        try {
+            // Step 1: Approve USDC spending by TokenMessenger contract, unless it may already spend enough.
+            // Solana burns need no approval.
+            if (!transferJournal.isStepCompleted(entry, 'approved') && isSolanaChain(source.blockchain)) {
+                journal.recordProgress(entry, { step: 'approved' });
+            } else if (!transferJournal.isStepCompleted(entry, 'approved')) {
+                this.emit('stepStarted', { entry, step });
+
+                const allowance = entry.approvalTxId ? null : await this.checkAllowance(source, cctpVersion);
+
+                if (allowance !== null && allowance >= parseUsdcAmount(entry.amount)) {
+                    journal.recordProgress(entry, { approvalSkipped: true, step: 'approved' });
+                    this.emit('approvalSkipped', { entry, allowance });
+                } else {
+                    if (!entry.approvalTxId) {
+                        const txId = await this.approve({
+                            walletId: source.id,
+                            blockchain: source.blockchain,
+                            amount: entry.approvalAmount || entry.amount,
+                            cctpVersion,
+                            fees: entry.fees
+                        });
+                        journal.recordProgress(entry, { approvalTxId: txId });
+                        this.emit('transactionCreated', { entry, step, txId });
+                    }
+
+                    const approvalTxHash = await this.waitForStepTransaction(entry, step, source.blockchain);
+                    journal.recordProgress(entry, { approvalTxHash, step: 'approved' });
+                    this.emit('stepCompleted', { entry, step, txHash: approvalTxHash });
+                }
+            }
+
+            // Step 2: Burn USDC on source chain
+            step = 'burn';
+            if (!transferJournal.isStepCompleted(entry, 'burned')) {
+                this.emit('stepStarted', { entry, step });
+
+                if (!entry.burnTxId) {
+                    // V2 burns carry the fee they may pay; quote it just before burning
+                    if (cctpVersion === 2 && entry.maxFee === undefined) {
+                        const quote = await this.quoteBurnFee({
+                            sourceBlockchain: source.blockchain,
+                            destinationBlockchain: destination.blockchain,
+                            amount: entry.amount,
+                            speed: entry.speed
+                        });
+                        journal.recordProgress(entry, { maxFee: quote.maxFee });
+                        this.emit('feeQuoted', { entry, quote });
+                    }
+
+                    if (isSolanaChain(source.blockchain)) {
+                        const { signature, lastValidBlockHeight } = await this.burnFromSolana({
+                            wallet: source,
+                            destinationBlockchain: destination.blockchain,
+                            recipient: destination.address,
+                            amount: entry.amount
+                        });
+                        journal.recordProgress(entry, { burnTxId: signature, burnLastValidBlockHeight: lastValidBlockHeight });
+                    } else {
+                        const txId = await this.burn({
+                            walletId: source.id,
+                            sourceBlockchain: source.blockchain,
+                            destinationBlockchain: destination.blockchain,
+                            recipient: destination.address,
+                            amount: entry.amount,
+                            cctpVersion,
+                            speed: entry.speed,
+                            maxFee: entry.maxFee,
+                            destinationCaller: entry.destinationCaller,
+                            fees: entry.fees
+                        });
+                        journal.recordProgress(entry, { burnTxId: txId });
+                    }
+                    this.emit('transactionCreated', { entry, step, txId: entry.burnTxId });
+                }
+
+                const burnTxHash = await this.waitForStepTransaction(entry, step, source.blockchain);
+                journal.recordProgress(entry, { burnTxHash, step: 'burned' });
+                this.emit('stepCompleted', { entry, step, txHash: burnTxHash });
+            }
+
+            // Step 3: Get attestation from Circle
+            step = 'attestation';
+            if (!transferJournal.isStepCompleted(entry, 'attested')) {
+                this.emit('stepStarted', { entry, step });
+
+                const attestation = await this.fetchAttestation(entry.burnTxHash, source.blockchain, cctpVersion);
+                journal.recordProgress(entry, { attestation, step: 'attested' });
+                this.emit('stepCompleted', { entry, step });
+            }
+
+            // Nothing is minted or exported unless the attested message is the burn this transfer made
+            const mismatches = findMessageMismatches(entry, entry.attestation.message);
+            if (mismatches.length > 0) {
+                throw new Error(`The attested message does not match this transfer:\n• ${mismatches.join('\n• ')}`);
+            }
+
+            // Step 4: Mint USDC on destination chain, from the destination wallet itself or the relayer.
+            // Claim-only transfers end here; the recipient mints with the exported message.
+            // A message the destination chain already received is not submitted again.
+            step = 'mint';
+            const notMintedYet = !transferJournal.isStepCompleted(entry, 'minted') && !entry.mintTxId;
+
+            if (notMintedYet && await this.checkMessageReceived(entry)) {
+                journal.recordProgress(entry, { alreadyMinted: true, mintTxHash: this.findRecordedMint(entry), step: 'minted' });
+                this.emit('alreadyMinted', { entry });
+            } else if (entry.mintMode === 'claim') {
+                this.emit('claimReady', { entry, claim: claimPackage(entry) });
+            } else if (!transferJournal.isStepCompleted(entry, 'minted')) {
+                this.emit('stepStarted', { entry, step });
+
+                if (!entry.mintTxId) {
+                    const minter = entry.relayer || destination;
+
+                    if (isSolanaChain(destination.blockchain)) {
+                        const { signature, lastValidBlockHeight } = await this.mintOnSolana({
+                            wallet: minter,
+                            recipient: destination.address,
+                            attestation: entry.attestation
+                        });
+                        journal.recordProgress(entry, { mintTxId: signature, mintLastValidBlockHeight: lastValidBlockHeight });
+                    } else {
+                        const txId = await this.mint({
+                            walletId: minter.id,
+                            blockchain: destination.blockchain,
+                            attestation: entry.attestation,
+                            cctpVersion,
+                            fees: entry.fees
+                        });
+                        journal.recordProgress(entry, { mintTxId: txId });
+                    }
+                    this.emit('transactionCreated', { entry, step, txId: entry.mintTxId });
+                }
+
+                const mintTxHash = await this.waitForStepTransaction(entry, step, destination.blockchain);
+                journal.recordProgress(entry, { mintTxHash, step: 'minted' });
+                this.emit('stepCompleted', { entry, step, txHash: mintTxHash });
+            }
+        } catch (error) {
+            // A transaction that will never go through is forgotten, so resuming submits a new one
+            const forgetTx = error instanceof TransactionFailedError && TX_ID_FIELDS[step]
+                ? { [TX_ID_FIELDS[step]]: null }
+                : {};
+            // A deadline only ends the wait: the step may still go through, so the entry stays waiting
+            const stillPending = error instanceof DeadlineExceededError;
+            journal.recordProgress(entry, { status: stillPending ? 'waiting' : 'failed', error: error.message, ...forgetTx });
+
+            let exitCode = step === 'attestation' ? EXIT_CODES.ATTESTATION_FAILED : EXIT_CODES.TRANSACTION_FAILED;
+            if (stillPending) {
+                exitCode = EXIT_CODES.STILL_PENDING;
+                this.emit('deadlineExceeded', { entry, step });
+            }
+
+            throw new TransferError(error.message, exitCode, step, {
+                journalId: entry.id,
+                approvalTxHash: entry.approvalTxHash,
+                burnTxHash: entry.burnTxHash,
+                ...(error instanceof TransactionFailedError && {
+                    txId: error.txId,
+                    transactionState: error.state,
+                    errorReason: error.errorReason
+                }),
+                response: error.response?.data
+            });
+        }
+
+        journal.recordProgress(entry, { status: 'completed', error: null });
+        return entry;
+    }
+}
+
+module.exports = {
+    CctpTransferClient,
+    TransactionFailedError,
+    FINALITY_THRESHOLDS,
+    findUSDCBalance,
+    walletSnapshot,
+    claimPackage,
+    mintsTo,
+    findMessageMismatches,
+    GAS_ROLES,
+    describeGasShortfall
+};
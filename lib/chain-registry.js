@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Registry bundled with the tool; CCTP_CHAINS_FILE points at an override file
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'chains.json');
+
+// CCTP protocol versions the tool can speak
+const CCTP_VERSIONS = [1, 2];
+
+// Registry field of a CCTP contract for a protocol version ("tokenMessenger", "tokenMessengerV2")
+function contractField(field, cctpVersion = 1) {
+    return cctpVersion === 1 ? field : `${field}V${cctpVersion}`;
+}
+
+// CCTP versions the tool supports on each chain family
+const FAMILY_CCTP_VERSIONS = {
+    evm: [1, 2],
+    solana: [1]
+};
+
+// Fields a chain needs before it can take part in a CCTP transfer of the given version.
+// On Solana the contracts are the CCTP programs, and transactions go out through `rpcUrl`.
+function cctpFields(cctpVersion = 1, family = 'evm') {
+    const fields = ['domain', 'usdc', contractField('tokenMessenger', cctpVersion), contractField('messageTransmitter', cctpVersion)];
+    return family === 'solana' ? [...fields, 'rpcUrl'] : fields;
+}
+
+let chains = null;
+
+// Read the `chains` section of a JSON or YAML registry file
+function readRegistryFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const data = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+
+    if (!data || typeof data.chains !== 'object') {
+        throw new Error(`Chain registry ${filePath} has no "chains" section`);
+    }
+
+    return data.chains;
+}
+
+/**
+ * Load the bundled chain registry and merge the override file over it.
+ * An override entry replaces individual fields of a chain, adds a new chain,
+ * or removes one when set to null.
+ *
+ * @param {string} [overridePath] - JSON/YAML override file (defaults to CCTP_CHAINS_FILE)
+ */
+function loadChainRegistry(overridePath = process.env.CCTP_CHAINS_FILE) {
+    const merged = { ...readRegistryFile(DEFAULT_REGISTRY_PATH) };
+
+    if (overridePath) {
+        const overrides = readRegistryFile(path.resolve(overridePath));
+
+        for (const [code, chainOverrides] of Object.entries(overrides)) {
+            if (chainOverrides === null) {
+                delete merged[code];
+            } else {
+                merged[code] = { ...merged[code], ...chainOverrides };
+            }
+        }
+    }
+
+    chains = {};
+    for (const [code, chain] of Object.entries(merged)) {
+        chains[code] = { code, ...chain };
+    }
+
+    return chains;
+}
+
+// All chains keyed by Circle blockchain code, loaded on first use
+function getChains() {
+    return chains || loadChainRegistry();
+}
+
+// Look up a chain by its Circle blockchain code (e.g. "ETH-SEPOLIA")
+function getChain(blockchain) {
+    return getChains()[blockchain] || null;
+}
+
+// Like getChain, but throws for chains missing from the registry
+function requireChain(blockchain) {
+    const chain = getChain(blockchain);
+
+    if (!chain) {
+        throw new Error(`Unsupported blockchain: ${blockchain}`);
+    }
+
+    return chain;
+}
+
+// Read a required field of a chain entry
+function requireChainField(blockchain, field) {
+    const value = requireChain(blockchain)[field];
+
+    if (value === undefined || value === null) {
+        throw new Error(`No ${field} configured for ${blockchain}`);
+    }
+
+    return value;
+}
+
+// All chains in registry order
+function listChains() {
+    return Object.values(getChains());
+}
+
+// Check whether a chain has everything needed for CCTP transfers
+function isCctpChain(blockchain, cctpVersion = 1) {
+    const chain = getChain(blockchain);
+
+    return Boolean(chain) &&
+        (FAMILY_CCTP_VERSIONS[chain.family] || []).includes(cctpVersion) &&
+        cctpFields(cctpVersion, chain.family).every(field => chain[field] !== undefined && chain[field] !== null);
+}
+
+// Chain of a CCTP domain on mainnet or testnet (domains are the same on both)
+function getChainByDomain(domain, testnet = false) {
+    return listChains().find(chain => chain.domain === domain && Boolean(chain.testnet) === Boolean(testnet)) || null;
+}
+
+// Check whether a chain is Solana (mainnet or devnet)
+function isSolanaChain(blockchain) {
+    return getChain(blockchain)?.family === 'solana';
+}
+
+// Chains usable for CCTP transfers
+function listCctpChains(cctpVersion = 1) {
+    return listChains().filter(chain => isCctpChain(chain.code, cctpVersion));
+}
+
+// Helper function to get explorer URL
+function getExplorerUrl(blockchain, txHash) {
+    const chain = getChain(blockchain);
+
+    if (!chain?.explorerTx) {
+        return `Unknown blockchain: ${blockchain}`;
+    }
+
+    return chain.explorerTx.replace('{txHash}', txHash);
+}
+
+// Helper function to get the explorer URL of an address
+function getAddressExplorerUrl(blockchain, address) {
+    const chain = getChain(blockchain);
+
+    if (!chain?.explorerAddress) {
+        return `Unknown blockchain: ${blockchain}`;
+    }
+
+    return chain.explorerAddress.replace('{address}', address);
+}
+
+// Helper function to get CCTP domain ID
+function getCCTPDomainId(blockchain) {
+    return requireChainField(blockchain, 'domain');
+}
+
+// Helper function to get the USDC contract address
+function getUSDCAddress(blockchain) {
+    return requireChainField(blockchain, 'usdc');
+}
+
+// Helper function to get TokenMessenger contract address
+function getTokenMessengerAddress(blockchain, cctpVersion = 1) {
+    return requireChainField(blockchain, contractField('tokenMessenger', cctpVersion));
+}
+
+// Helper function to get MessageTransmitter contract address
+function getMessageTransmitterAddress(blockchain, cctpVersion = 1) {
+    return requireChainField(blockchain, contractField('messageTransmitter', cctpVersion));
+}
+
+// Helper function to get the RPC endpoint Solana transactions are sent to
+function getRpcUrl(blockchain) {
+    return requireChainField(blockchain, 'rpcUrl');
+}
+
+module.exports = {
+    CCTP_VERSIONS,
+    FAMILY_CCTP_VERSIONS,
+    contractField,
+    loadChainRegistry,
+    getChain,
+    requireChain,
+    listChains,
+    isCctpChain,
+    listCctpChains,
+    getChainByDomain,
+    isSolanaChain,
+    getExplorerUrl,
+    getAddressExplorerUrl,
+    getCCTPDomainId,
+    getUSDCAddress,
+    getTokenMessengerAddress,
+    getMessageTransmitterAddress,
+    getRpcUrl
+};
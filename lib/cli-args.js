@@ -0,0 +1,43 @@
+// Minimal command line parser for the non-interactive commands.
+//
+// Supports `<command> --flag value`, `--flag=value` and boolean switches.
+// Flags listed in `booleanFlags` never consume the following argument.
+function parseArgs(argv, booleanFlags = []) {
+    const result = {
+        command: null,
+        options: {},
+        positionals: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith('--')) {
+            const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            const name = toCamelCase(rawName);
+
+            if (inlineValue !== undefined) {
+                result.options[name] = inlineValue;
+            } else if (booleanFlags.includes(rawName)) {
+                result.options[name] = true;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                result.options[name] = argv[++i];
+            } else {
+                throw new Error(`Missing value for --${rawName}`);
+            }
+        } else if (result.command === null) {
+            result.command = arg;
+        } else {
+            result.positionals.push(arg);
+        }
+    }
+
+    return result;
+}
+
+// Helper function to turn `dest-chain` into `destChain`
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,32 @@
+// Process exit codes used by the non-interactive commands, one per failure class
+const EXIT_CODES = {
+    SUCCESS: 0,
+    UNEXPECTED: 1,
+    USAGE: 2,
+    CONFIGURATION: 3,
+    VALIDATION: 4,
+    INSUFFICIENT_BALANCE: 5,
+    TRANSACTION_FAILED: 6,
+    ATTESTATION_FAILED: 7,
+    STILL_PENDING: 8
+};
+
+// Error carrying the failure class (and the transfer step, if any) so callers
+// can map it to an exit code and a machine-readable result. `details` holds
+// whatever was already completed, e.g. the burn hash needed for recovery.
+class TransferError extends Error {
+    constructor(message, exitCode = EXIT_CODES.UNEXPECTED, step = null, details = {}) {
+        super(message);
+        this.name = 'TransferError';
+        this.exitCode = exitCode;
+        this.step = step;
+        this.details = details;
+    }
+
+    // Name of the failure class, e.g. "INSUFFICIENT_BALANCE"
+    get errorClass() {
+        return Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === this.exitCode) || 'UNEXPECTED';
+    }
+}
+
+module.exports = { EXIT_CODES, TransferError };
@@ -0,0 +1,194 @@
+const { getChain } = require('./chain-registry');
+
+// Fee levels Circle picks gas prices for
+const FEE_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Steps that submit a contract execution; `revoke` pays like an approval
+const FEE_STEPS = ['approval', 'burn', 'mint'];
+
+// Fee used when neither the chain registry nor the caller says otherwise
+const DEFAULT_FEE_SETTING = { level: 'MEDIUM' };
+
+// Fields of an explicit fee: gas units, and the max fee and priority fee per gas in gwei
+const CUSTOM_FEE_FIELDS = ['gasLimit', 'maxFee', 'priorityFee'];
+
+const POSITIVE_NUMBER = /^\d+(\.\d+)?$/;
+
+/**
+ * Parse a fee setting: a level (`"LOW"`, `"medium"`, `{ level: "HIGH" }`) or
+ * explicit gas parameters (`"gasLimit=250000,maxFee=40,priorityFee=2"` or
+ * `{ gasLimit, maxFee, priorityFee }`, fees in gwei). All three gas
+ * parameters are required together, and cannot be mixed with a level.
+ *
+ * @returns {{ level: string } | { gasLimit: string, maxFee: string, priorityFee: string }}
+ */
+function parseFeeSetting(value) {
+    let setting = value;
+
+    if (typeof value === 'string') {
+        const text = value.trim();
+        setting = text.includes('=')
+            ? Object.fromEntries(text.split(',').map(pair => pair.split('=').map(part => part.trim())))
+            : { level: text };
+    }
+
+    if (!setting || typeof setting !== 'object') {
+        throw new Error(`Invalid fee setting: ${JSON.stringify(value)}`);
+    }
+
+    const customFields = CUSTOM_FEE_FIELDS.filter(field => setting[field] !== undefined);
+    const unknownFields = Object.keys(setting).filter(field => field !== 'level' && !CUSTOM_FEE_FIELDS.includes(field));
+
+    if (unknownFields.length > 0) {
+        throw new Error(`Unknown fee field${unknownFields.length > 1 ? 's' : ''}: ${unknownFields.join(', ')}`);
+    }
+
+    if (setting.level !== undefined) {
+        if (customFields.length > 0) {
+            throw new Error("A fee level cannot be combined with gasLimit, maxFee or priorityFee");
+        }
+
+        const level = String(setting.level).toUpperCase();
+        if (!FEE_LEVELS.includes(level)) {
+            throw new Error(`Unknown fee level "${setting.level}". Use ${FEE_LEVELS.join(', ')}.`);
+        }
+
+        return { level };
+    }
+
+    if (customFields.length !== CUSTOM_FEE_FIELDS.length) {
+        throw new Error("Explicit fees need gasLimit, maxFee and priorityFee together");
+    }
+
+    const custom = {};
+    for (const field of CUSTOM_FEE_FIELDS) {
+        custom[field] = String(setting[field]).trim();
+
+        if (!POSITIVE_NUMBER.test(custom[field])) {
+            throw new Error(`Invalid ${field} "${setting[field]}"`);
+        }
+    }
+
+    if (!/^\d+$/.test(custom.gasLimit)) {
+        throw new Error(`gasLimit must be a whole number of gas units, not "${custom.gasLimit}"`);
+    }
+
+    if (Number(custom.priorityFee) > Number(custom.maxFee)) {
+        throw new Error(`priorityFee (${custom.priorityFee} gwei) cannot exceed maxFee (${custom.maxFee} gwei)`);
+    }
+
+    return custom;
+}
+
+// Setting a fee spec gives a step: the step's own entry, else the spec's top-level setting
+function stepSetting(spec, step) {
+    if (!spec) {
+        return null;
+    }
+
+    if (spec[step]) {
+        return spec[step];
+    }
+
+    const { approval, burn, mint, ...setting } = spec;
+    return Object.keys(setting).length > 0 ? setting : null;
+}
+
+// Fee level set through CCTP_FEE_LEVEL
+function feeFromEnv() {
+    return process.env.CCTP_FEE_LEVEL ? { level: process.env.CCTP_FEE_LEVEL } : null;
+}
+
+/**
+ * Fee setting of a step on the given chain: the default (MEDIUM), replaced by
+ * the chain's `fees` registry entry, then CCTP_FEE_LEVEL, then each of
+ * `overrides` in turn. A fee spec is a setting for every step (see
+ * `parseFeeSetting`) and may hold `approval`, `burn` and `mint` entries for
+ * single steps; a step entry wins over the spec's own setting.
+ *
+ * @param {string} blockchain - Chain the transaction is sent on
+ * @param {string} step - `approval`, `burn` or `mint` (`revoke` pays like `approval`; other
+ *   steps, such as a same-chain `send`, take the spec's own setting)
+ * @param {...object} overrides - Fee specs, later ones winning
+ */
+function resolveFee(blockchain, step, ...overrides) {
+    const feeStep = step === 'revoke' ? 'approval' : step;
+    const layers = [getChain(blockchain)?.fees, feeFromEnv(), ...overrides];
+    let setting = DEFAULT_FEE_SETTING;
+
+    for (const layer of layers) {
+        setting = stepSetting(layer, feeStep) || setting;
+    }
+
+    return parseFeeSetting(setting);
+}
+
+/**
+ * Check a fee spec (e.g. from the command line or a journal entry): its own
+ * setting and each step entry must parse. Returns the spec with parsed settings.
+ */
+function parseFeeSpec(spec) {
+    const parsed = {};
+
+    for (const step of FEE_STEPS) {
+        if (spec[step] !== undefined) {
+            try {
+                parsed[step] = parseFeeSetting(spec[step]);
+            } catch (error) {
+                throw new Error(`${step} fee: ${error.message}`);
+            }
+        }
+    }
+
+    const { approval, burn, mint, ...setting } = spec;
+    if (Object.keys(setting).length > 0) {
+        Object.assign(parsed, parseFeeSetting(setting));
+    }
+
+    return parsed;
+}
+
+// Circle `fee` parameter of a contract execution with the given setting
+function toCircleFee(setting) {
+    if (setting.level) {
+        return { type: "level", config: { feeLevel: setting.level } };
+    }
+
+    return {
+        type: "absolute",
+        config: {
+            gasLimit: setting.gasLimit,
+            maxFee: setting.maxFee,
+            priorityFee: setting.priorityFee
+        }
+    };
+}
+
+// Highest network fee of an explicit setting, in units of 10^-18 of the native token
+function maxNetworkFee(setting) {
+    const [whole, fraction = ''] = setting.maxFee.split('.');
+    const maxFeeWei = BigInt(whole) * 10n ** 9n + BigInt(fraction.slice(0, 9).padEnd(9, '0'));
+
+    return BigInt(setting.gasLimit) * maxFeeWei;
+}
+
+// Short description of a fee setting, e.g. "MEDIUM" or "250000 gas at up to 40 gwei (tip 2)"
+function describeFeeSetting(setting) {
+    if (setting.level) {
+        return setting.level;
+    }
+
+    return `${setting.gasLimit} gas at up to ${setting.maxFee} gwei (tip ${setting.priorityFee})`;
+}
+
+module.exports = {
+    FEE_LEVELS,
+    FEE_STEPS,
+    DEFAULT_FEE_SETTING,
+    parseFeeSetting,
+    parseFeeSpec,
+    resolveFee,
+    toCircleFee,
+    maxNetworkFee,
+    describeFeeSetting
+};
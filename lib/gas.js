@@ -0,0 +1,83 @@
+// Native token amounts and gas needs of the transfer steps. Native balances
+// and fees are decimal strings in the chain's native token (ETH, POL, SOL, ...);
+// they are compared as bigints with 18 decimals, enough for every supported chain.
+const NATIVE_DECIMALS = 18;
+const UNITS_PER_NATIVE = 10n ** BigInt(NATIVE_DECIMALS);
+
+const DECIMAL_AMOUNT = /^(\d*)(?:\.(\d*))?$/;
+
+// Gas a step typically uses on EVM chains. A step whose call cannot be
+// simulated yet (the burn before its approval, the mint before there is a
+// message) is estimated by scaling another estimate on the same chain by these.
+const TYPICAL_GAS_LIMITS = {
+    approval: 60000,
+    burn: 200000,
+    mint: 300000
+};
+
+// Fixed SOL cost of the Solana steps: transaction fees plus the rent of the
+// burn's message account, or of the recipient's USDC token account when the
+// mint has to create it
+const SOLANA_STEP_FEES = {
+    burn: '0.005',
+    mint: '0.003'
+};
+
+/**
+ * Parse a decimal native token amount into units of 10^-18. Digits beyond
+ * 18 decimals are dropped.
+ *
+ * @param {string|number} value
+ * @returns {bigint}
+ */
+function parseNativeAmount(value) {
+    const text = String(value).trim();
+    const match = DECIMAL_AMOUNT.exec(text);
+
+    if (!match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid native token amount "${text}"`);
+    }
+
+    const [, whole, fraction = ''] = match;
+
+    return BigInt(whole || '0') * UNITS_PER_NATIVE + BigInt(fraction.slice(0, NATIVE_DECIMALS).padEnd(NATIVE_DECIMALS, '0'));
+}
+
+// Format units of 10^-18 as a decimal string without trailing zeros
+function formatNativeAmount(units) {
+    units = BigInt(units);
+
+    const whole = units / UNITS_PER_NATIVE;
+    const fraction = (units % UNITS_PER_NATIVE).toString().padStart(NATIVE_DECIMALS, '0').replace(/0+$/, '');
+
+    return `${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Find the native token in token balances: its symbol and amount in units of 10^-18
+function findNativeBalance(tokenBalances) {
+    const native = tokenBalances.find(balance => balance.token?.isNative);
+
+    return {
+        symbol: native?.token?.symbol || null,
+        amount: native ? parseNativeAmount(native.amount) : 0n
+    };
+}
+
+// Scaled fees are approximations, rounded up to whole gwei
+const SCALED_FEE_PRECISION = 10n ** 9n;
+
+// Helper function to scale a fee estimated for `gasLimit` to the typical gas of `step`, rounding up
+function scaleFee(fee, gasLimit, step) {
+    const divisor = BigInt(gasLimit || TYPICAL_GAS_LIMITS.approval) * SCALED_FEE_PRECISION;
+    return (fee * BigInt(TYPICAL_GAS_LIMITS[step]) + divisor - 1n) / divisor * SCALED_FEE_PRECISION;
+}
+
+module.exports = {
+    NATIVE_DECIMALS,
+    TYPICAL_GAS_LIMITS,
+    SOLANA_STEP_FEES,
+    parseNativeAmount,
+    formatNativeAmount,
+    findNativeBalance,
+    scaleFee
+};
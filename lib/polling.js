@@ -0,0 +1,96 @@
+const { getChain } = require('./chain-registry');
+
+// Polling used when neither the chain registry nor the caller says otherwise.
+// Each wait starts at the interval and backs off by `backoffFactor` per poll,
+// up to `maxIntervalMs`, with up to ±`jitter` of random spread so concurrent
+// transfers do not poll in lockstep. A step that is still pending after its
+// deadline stops waiting.
+const DEFAULT_POLLING = {
+    transactionIntervalMs: 5000,
+    attestationIntervalMs: 10000,
+    maxIntervalMs: 60000,
+    backoffFactor: 1.5,
+    jitter: 0.2,
+    transactionDeadlineMs: 20 * 60 * 1000,
+    attestationDeadlineMs: 30 * 60 * 1000
+};
+
+// Helper function to format a deadline as "20 minutes", or in seconds below one minute
+function formatDeadline(deadlineMs) {
+    if (deadlineMs < 60000) {
+        const seconds = Number((deadlineMs / 1000).toFixed(1));
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    const minutes = Math.round(deadlineMs / 60000);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Raised when a step is still pending at its deadline. The transaction or
+// burn may well go through later, so the transfer can be continued.
+class DeadlineExceededError extends Error {
+    constructor(what, deadlineMs) {
+        super(`Still waiting for ${what} after ${formatDeadline(deadlineMs)}`);
+        this.name = 'DeadlineExceededError';
+        this.deadlineMs = deadlineMs;
+    }
+}
+
+// Helper function to read a number of minutes from the environment as milliseconds
+function minutesFromEnv(name) {
+    const minutes = Number(process.env[name]);
+    return process.env[name] && minutes > 0 ? minutes * 60 * 1000 : undefined;
+}
+
+// Deadlines set through CCTP_TRANSACTION_DEADLINE_MINUTES and CCTP_ATTESTATION_DEADLINE_MINUTES
+function pollingFromEnv() {
+    const polling = {};
+    const transactionDeadlineMs = minutesFromEnv('CCTP_TRANSACTION_DEADLINE_MINUTES');
+    const attestationDeadlineMs = minutesFromEnv('CCTP_ATTESTATION_DEADLINE_MINUTES');
+
+    if (transactionDeadlineMs) {
+        polling.transactionDeadlineMs = transactionDeadlineMs;
+    }
+    if (attestationDeadlineMs) {
+        polling.attestationDeadlineMs = attestationDeadlineMs;
+    }
+
+    return polling;
+}
+
+/**
+ * Polling settings for waits on the given chain: the defaults, overridden by
+ * the chain's `polling` registry entry, then the environment, then `overrides`.
+ *
+ * @param {string} [blockchain] - Chain the transaction or burn is on
+ * @param {object} [overrides] - Any of the DEFAULT_POLLING fields
+ */
+function resolvePolling(blockchain, overrides = {}) {
+    const chainPolling = (blockchain && getChain(blockchain)?.polling) || {};
+
+    return {
+        ...DEFAULT_POLLING,
+        ...chainPolling,
+        ...pollingFromEnv(),
+        ...overrides
+    };
+}
+
+/**
+ * Wait before poll number `attempt` (1-based) after the first one: the
+ * interval grown by `backoffFactor` per poll, capped at `maxIntervalMs`, with
+ * random jitter.
+ */
+function backoffDelay(intervalMs, attempt, polling = DEFAULT_POLLING, random = Math.random) {
+    const base = Math.min(intervalMs * polling.backoffFactor ** Math.max(0, attempt - 1), polling.maxIntervalMs);
+    const spread = base * polling.jitter * (2 * random() - 1);
+
+    return Math.max(0, Math.round(base + spread));
+}
+
+module.exports = {
+    DEFAULT_POLLING,
+    DeadlineExceededError,
+    resolvePolling,
+    backoffDelay
+};
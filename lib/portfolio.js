@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { getChain } = require('./chain-registry');
+const { formatUsdcAmount } = require('./usdc-amount');
+const { findNativeBalance, formatNativeAmount } = require('./gas');
+const { findUSDCBalance } = require('./cctp-transfer-client');
+const { csvField } = require('./batch');
+const { listAllWallets } = require('./wallet-listing');
+
+// Balance requests in flight at the same time, and how many may start per second.
+// Circle rate-limits API keys per second, so large portfolios are spread out.
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+
+// Retries of a request Circle answered with HTTP 429, and the wait before the first one
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BACKOFF_MS = 1000;
+
+// CSV columns of an exported snapshot, one row per wallet
+const EXPORT_FIELDS = [
+    'walletSetName', 'walletSetId', 'walletId', 'blockchain', 'address', 'refId',
+    'usdc', 'native', 'nativeSymbol', 'error'
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight and at
+ * most `requestsPerSecond` calls started per second. Resolves with the
+ * results in the order of `items`.
+ */
+async function mapWithRateLimit(items, { concurrency = DEFAULT_CONCURRENCY, requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND } = {}, worker) {
+    const results = new Array(items.length);
+    const spacingMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    let nextIndex = 0;
+    let nextStart = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+
+            // Reserve the next start slot before waiting, so runners never share one
+            const start = Math.max(Date.now(), nextStart);
+            nextStart = start + spacingMs;
+            await sleep(start - Date.now());
+
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runNext);
+    await Promise.all(runners);
+
+    return results;
+}
+
+// Helper function to repeat a Circle request that was rate-limited (HTTP 429)
+async function withRateLimitRetries(request, backoffMs = RATE_LIMIT_BACKOFF_MS) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error.response?.status !== 429 || attempt >= RATE_LIMIT_RETRIES) {
+                throw error;
+            }
+
+            const retryAfterSeconds = Number(error.response.headers?.['retry-after']);
+            await sleep(retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : backoffMs * 2 ** attempt);
+        }
+    }
+}
+
+// Helper function to add an amount to a subtotal kept in `totals[key]`
+function addTo(totals, key, units) {
+    totals[key] = (totals[key] || 0n) + units;
+}
+
+// Helper function to format native token subtotals kept per symbol
+function formatNativeTotals(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([symbol, units]) => [symbol, formatNativeAmount(units)]));
+}
+
+/**
+ * Summarise wallet balances: subtotals per chain, per wallet set and per
+ * kind of network (mainnet or testnet, which are never added together).
+ * Wallets whose balances could not be fetched are counted but not summed.
+ *
+ * @param {object[]} wallets - Portfolio wallets, with `usdcUnits` and `nativeUnits` as bigints
+ */
+function summarisePortfolio(wallets) {
+    const chains = new Map();
+    const walletSets = new Map();
+    const totals = new Map();
+
+    for (const wallet of wallets) {
+        const network = getChain(wallet.blockchain)?.testnet ? 'testnet' : 'mainnet';
+
+        if (!chains.has(wallet.blockchain)) {
+            chains.set(wallet.blockchain, { blockchain: wallet.blockchain, network, wallets: 0, usdc: 0n, native: 0n, nativeSymbol: wallet.nativeSymbol });
+        }
+        if (!walletSets.has(wallet.walletSetId)) {
+            walletSets.set(wallet.walletSetId, { walletSetId: wallet.walletSetId, walletSetName: wallet.walletSetName, wallets: 0, usdc: {}, native: {} });
+        }
+        if (!totals.has(network)) {
+            totals.set(network, { network, wallets: 0, usdc: 0n });
+        }
+
+        const chain = chains.get(wallet.blockchain);
+        const walletSet = walletSets.get(wallet.walletSetId);
+        const total = totals.get(network);
+        chain.wallets++;
+        walletSet.wallets++;
+        total.wallets++;
+
+        if (wallet.error) {
+            continue;
+        }
+
+        chain.usdc += wallet.usdcUnits;
+        chain.native += wallet.nativeUnits;
+        addTo(walletSet.usdc, network, wallet.usdcUnits);
+        addTo(walletSet.native, wallet.nativeSymbol, wallet.nativeUnits);
+        total.usdc += wallet.usdcUnits;
+    }
+
+    return {
+        chains: [...chains.values()]
+            .sort((a, b) => a.blockchain.localeCompare(b.blockchain))
+            .map(chain => ({ ...chain, usdc: formatUsdcAmount(chain.usdc), native: formatNativeAmount(chain.native) })),
+        walletSets: [...walletSets.values()].map(walletSet => ({
+            ...walletSet,
+            usdc: Object.fromEntries(Object.entries(walletSet.usdc).map(([network, units]) => [network, formatUsdcAmount(units)])),
+            native: formatNativeTotals(walletSet.native)
+        })),
+        totals: [...totals.values()].map(total => ({ ...total, usdc: formatUsdcAmount(total.usdc) }))
+    };
+}
+
+/**
+ * Take a snapshot of the USDC and native balances of every wallet in every
+ * wallet set. Balances are fetched concurrently within the rate limit; a
+ * wallet or wallet set that cannot be read is reported in `failures` and the
+ * rest of the snapshot is still returned.
+ *
+ * @param {object} circle - Developer-controlled wallets client
+ * @param {object} [options]
+ * @param {object} [options.filters] - Wallet filters, as for listAllWallets
+ * @param {number} [options.concurrency] - Balance requests in flight at once (default: 5)
+ * @param {number} [options.requestsPerSecond] - Balance requests started per second (default: 10)
+ * @param {number} [options.rateLimitBackoffMs] - Wait before retrying a rate-limited request
+ * @param {function} [options.onProgress] - Called with `(done, total)` after each wallet
+ * @returns {Promise<{ takenAt, wallets, chains, walletSets, totals, failures }>}
+ */
+async function takePortfolioSnapshot(circle, options = {}) {
+    const takenAt = new Date().toISOString();
+    const retry = request => withRateLimitRetries(request, options.rateLimitBackoffMs);
+
+    const { wallets: listed, failures } = await listAllWallets(circle, options.filters);
+
+    let done = 0;
+    const wallets = await mapWithRateLimit(listed, options, async wallet => {
+        const entry = {
+            walletSetId: wallet.walletSetId,
+            walletSetName: wallet.walletSetName || 'Unnamed',
+            walletId: wallet.id,
+            blockchain: wallet.blockchain,
+            address: wallet.address,
+            refId: wallet.refId || null,
+            nativeSymbol: getChain(wallet.blockchain)?.nativeSymbol || null
+        };
+
+        try {
+            const balanceResponse = await retry(() => circle.getWalletTokenBalance({ id: wallet.id }));
+            const tokenBalances = balanceResponse.data?.tokenBalances || [];
+            const native = findNativeBalance(tokenBalances);
+
+            entry.usdcUnits = findUSDCBalance(tokenBalances);
+            entry.nativeUnits = native.amount;
+            entry.nativeSymbol = native.symbol || entry.nativeSymbol;
+        } catch (error) {
+            entry.error = error.message;
+            failures.push({ walletSetId: wallet.walletSetId, walletSetName: entry.walletSetName, walletId: wallet.id, message: error.message });
+        }
+
+        options.onProgress?.(++done, listed.length);
+        return entry;
+    });
+
+    const summary = summarisePortfolio(wallets);
+
+    return {
+        takenAt,
+        wallets: wallets.map(({ usdcUnits, nativeUnits, ...wallet }) => ({
+            ...wallet,
+            usdc: wallet.error ? null : formatUsdcAmount(usdcUnits),
+            native: wallet.error ? null : formatNativeAmount(nativeUnits)
+        })),
+        ...summary,
+        failures
+    };
+}
+
+// Write a portfolio snapshot as CSV (one row per wallet) or JSON, depending on the file extension
+function writePortfolioSnapshot(filePath, snapshot) {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const lines = [
+            EXPORT_FIELDS.join(','),
+            ...snapshot.wallets.map(wallet => EXPORT_FIELDS.map(field => csvField(wallet[field])).join(','))
+        ];
+        fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    } else {
+        fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+    }
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_REQUESTS_PER_SECOND,
+    mapWithRateLimit,
+    summarisePortfolio,
+    takePortfolioSnapshot,
+    writePortfolioSnapshot
+};
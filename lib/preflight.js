@@ -0,0 +1,141 @@
+const { CCTP_VERSIONS, FAMILY_CCTP_VERSIONS, getChain, contractField } = require('./chain-registry');
+const { EXIT_CODES, TransferError } = require('./errors');
+const { isSolanaAddress } = require('./solana');
+const { resolveFee } = require('./fees');
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = /^0x0{40}$/;
+
+// The all-zero Solana public key (the System Program)
+const SOLANA_ZERO_ADDRESS = '11111111111111111111111111111111';
+
+// Check that a configured contract (or Solana program) address is usable and non-zero
+function checkContractAddress(chain, field, problems) {
+    const address = chain[field];
+
+    if (!address) {
+        problems.push(`${chain.code} has no ${field} configured`);
+    } else if (chain.family === 'solana') {
+        if (!isSolanaAddress(address)) {
+            problems.push(`${chain.code} ${field} "${address}" is not a valid Solana address`);
+        } else if (address === SOLANA_ZERO_ADDRESS) {
+            problems.push(`${chain.code} ${field} is the zero address`);
+        }
+    } else if (!EVM_ADDRESS.test(address)) {
+        problems.push(`${chain.code} ${field} "${address}" is not a valid EVM address`);
+    } else if (ZERO_ADDRESS.test(address)) {
+        problems.push(`${chain.code} ${field} is the zero address`);
+    }
+}
+
+// Check the registry entry of one side of a transfer
+function checkChain(blockchain, role, cctpVersion, problems) {
+    const chain = getChain(blockchain);
+
+    if (!chain) {
+        problems.push(`${role} blockchain ${blockchain} is not in the chain registry`);
+        return null;
+    }
+
+    if (!FAMILY_CCTP_VERSIONS[chain.family]) {
+        problems.push(`${role} blockchain ${blockchain} is not an EVM or Solana chain`);
+    } else if (!FAMILY_CCTP_VERSIONS[chain.family].includes(cctpVersion)) {
+        problems.push(`CCTP V${cctpVersion} transfers are not supported on ${blockchain}`);
+    }
+
+    if (!Number.isInteger(chain.domain) || chain.domain < 0) {
+        problems.push(`${blockchain} has no known CCTP domain`);
+    }
+
+    // Solana transactions are broadcast through the chain's RPC endpoint
+    if (chain.family === 'solana' && !chain.rpcUrl) {
+        problems.push(`${blockchain} has no rpcUrl configured`);
+    }
+
+    return chain;
+}
+
+// Check that the fee settings of the steps a chain submits (registry `fees`, CCTP_FEE_LEVEL) are valid
+function checkFees(chain, steps, problems) {
+    // Solana transactions pay a fixed fee per signature
+    if (chain.family === 'solana') {
+        return;
+    }
+
+    for (const step of steps) {
+        try {
+            resolveFee(chain.code, step);
+        } catch (error) {
+            problems.push(`${chain.code} ${step} fee: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Collect every inconsistency in the configuration of a transfer route:
+ * unknown chains or domains, missing or zero contract addresses for the
+ * CCTP version used, invalid fee settings, and mainnet/testnet mixed between
+ * source and destination.
+ *
+ * @param {number} [cctpVersion=1] - CCTP protocol version of the transfer
+ * @returns {string[]} Problems found; empty when the route is consistent
+ */
+function findRouteProblems(sourceBlockchain, destinationBlockchain, cctpVersion = 1) {
+    const problems = [];
+
+    if (!CCTP_VERSIONS.includes(cctpVersion)) {
+        problems.push(`Unsupported CCTP version: ${cctpVersion}`);
+        return problems;
+    }
+
+    const source = checkChain(sourceBlockchain, 'Source', cctpVersion, problems);
+    const destination = checkChain(destinationBlockchain, 'Destination', cctpVersion, problems);
+
+    if (source) {
+        checkContractAddress(source, 'usdc', problems);
+        checkContractAddress(source, contractField('tokenMessenger', cctpVersion), problems);
+        checkFees(source, ['approval', 'burn'], problems);
+    }
+
+    if (destination) {
+        checkContractAddress(destination, contractField('messageTransmitter', cctpVersion), problems);
+
+        // Solana mints go through the TokenMessengerMinter and to the USDC token account
+        if (destination.family === 'solana') {
+            checkContractAddress(destination, 'usdc', problems);
+            checkContractAddress(destination, 'tokenMessenger', problems);
+        }
+
+        checkFees(destination, ['mint'], problems);
+    }
+
+    if (source && destination) {
+        if (source.code === destination.code) {
+            problems.push("Source and destination must be on different blockchains");
+        } else if (source.domain === destination.domain) {
+            problems.push(`${source.code} and ${destination.code} share CCTP domain ${source.domain}`);
+        }
+
+        if (Boolean(source.testnet) !== Boolean(destination.testnet)) {
+            const network = chain => `${chain.testnet ? 'testnet' : 'mainnet'} ${chain.code}`;
+            problems.push(`Cannot transfer between ${network(source)} and ${network(destination)}`);
+        }
+    }
+
+    return problems;
+}
+
+// Refuse to go ahead with a route whose configuration is inconsistent
+function assertRouteConsistent(sourceBlockchain, destinationBlockchain, cctpVersion = 1) {
+    const problems = findRouteProblems(sourceBlockchain, destinationBlockchain, cctpVersion);
+
+    if (problems.length > 0) {
+        throw new TransferError(
+            `Pre-flight check failed for ${sourceBlockchain} → ${destinationBlockchain}:\n• ${problems.join('\n• ')}`,
+            EXIT_CODES.CONFIGURATION,
+            'preflight'
+        );
+    }
+}
+
+module.exports = { findRouteProblems, assertRouteConsistent };
@@ -0,0 +1,79 @@
+const { getChain } = require('./chain-registry');
+
+// CoinGecko's public API; CCTP_PRICE_URL points elsewhere, e.g. a local mock
+const DEFAULT_PRICE_URL = 'https://api.coingecko.com/api/v3';
+
+// How long a fetched price is reused
+const PRICE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * USD prices of native tokens, used to show what gas costs. A chain's price
+ * is looked up by the `priceId` (CoinGecko coin ID) of its registry entry;
+ * chains without one, such as testnets, have no USD price.
+ */
+class PriceClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl] - Price API host (defaults to CCTP_PRICE_URL, then CoinGecko)
+     * @param {function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || process.env.CCTP_PRICE_URL || DEFAULT_PRICE_URL;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.cache = new Map();
+    }
+
+    /**
+     * USD price of one native token of each chain, keyed by blockchain code.
+     * Chains without a `priceId` are left out.
+     *
+     * @param {string[]} blockchains
+     * @returns {Promise<object>}
+     */
+    async getNativeUsdPrices(blockchains) {
+        const priceIds = new Map();
+        for (const blockchain of blockchains) {
+            const priceId = getChain(blockchain)?.priceId;
+            if (priceId) {
+                priceIds.set(blockchain, priceId);
+            }
+        }
+
+        const missing = [...new Set(priceIds.values())].filter(priceId => {
+            const cached = this.cache.get(priceId);
+            return !cached || Date.now() - cached.fetchedAt > PRICE_TTL_MS;
+        });
+
+        if (missing.length > 0) {
+            const url = `${this.baseUrl}/simple/price?ids=${missing.map(encodeURIComponent).join(',')}&vs_currencies=usd`;
+            const response = await this.fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`Price request failed with HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            for (const priceId of missing) {
+                if (typeof data?.[priceId]?.usd === 'number') {
+                    this.cache.set(priceId, { usd: data[priceId].usd, fetchedAt: Date.now() });
+                }
+            }
+        }
+
+        const prices = {};
+        for (const [blockchain, priceId] of priceIds) {
+            if (this.cache.has(priceId)) {
+                prices[blockchain] = this.cache.get(priceId).usd;
+            }
+        }
+
+        return prices;
+    }
+}
+
+// USD value of an amount in units of 10^-18 of a native token, as a string with 2 decimals
+function toUsd(units, usdPrice) {
+    return (Number(units) / 1e18 * usdPrice).toFixed(2);
+}
+
+module.exports = { PriceClient, toUsd };
@@ -0,0 +1,254 @@
+const { PublicKey, SystemProgram, TransactionInstruction } = require('@solana/web3.js');
+const { sha256 } = require('@noble/hashes/sha256');
+const { decodeMessage } = require('./cctp-message');
+
+// SPL Token and Associated Token Account programs
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+// The MessageTransmitter program tracks used nonces in accounts of this many nonces each
+const NONCES_PER_ACCOUNT = 6400n;
+
+// A UsedNonces account holds an 8-byte discriminator, the remote domain (u32)
+// and its first nonce (u64), followed by a bitmap of u64 words, one bit per nonce
+const USED_NONCES_FIRST_NONCE = 12;
+const USED_NONCES_BITMAP = 20;
+
+// Check whether a string is a base58 Solana address (a 32-byte public key)
+function isSolanaAddress(address) {
+    const text = String(address).trim();
+
+    try {
+        return new PublicKey(text).toBase58() === text;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Validate a Solana address typed by a user and return it
+function parseSolanaAddress(address) {
+    const text = String(address).trim();
+
+    if (!isSolanaAddress(text)) {
+        throw new Error(`"${text}" is not a Solana address (a base58-encoded 32-byte public key)`);
+    }
+
+    return text;
+}
+
+// Helper function to convert a Solana address to bytes32, as CCTP carries it
+function solanaAddressToBytes32(address) {
+    return `0x${new PublicKey(address).toBuffer().toString('hex')}`;
+}
+
+// Helper function to convert bytes32 from a CCTP message back to a Solana address
+function bytes32ToSolanaAddress(bytes32) {
+    return new PublicKey(Buffer.from(bytes32.replace(/^0x/, ''), 'hex')).toBase58();
+}
+
+// Associated token account holding `mint` tokens for `owner`
+function findAssociatedTokenAddress(owner, mint) {
+    const [address] = PublicKey.findProgramAddressSync(
+        [new PublicKey(owner).toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+        ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+
+    return address;
+}
+
+// Program-derived address of `programId` for a label and further seeds
+// (strings are used as UTF-8, public keys as their 32 bytes)
+function findPda(programId, label, ...seeds) {
+    const seedBuffers = [label, ...seeds].map(seed => seed instanceof PublicKey ? seed.toBuffer() : Buffer.from(seed));
+    const [address] = PublicKey.findProgramAddressSync(seedBuffers, new PublicKey(programId));
+
+    return address;
+}
+
+// Anchor instruction data: the instruction's 8-byte discriminator followed by its arguments
+function instructionData(name, args) {
+    const discriminator = Buffer.from(sha256(`global:${name}`)).subarray(0, 8);
+    return Buffer.concat([discriminator, args]);
+}
+
+// Borsh encoding of a byte vector: u32 length, then the bytes
+function encodeBytes(bytes) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+// Helper function to turn a 0x-prefixed hex string into bytes
+function hexToBuffer(hex) {
+    return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+}
+
+// Read the fields of a CCTP V1 message a Solana mint needs: where it comes from,
+// its nonce, the burned token on the source chain and the token account to mint to
+function readMessageRoute(message) {
+    const { sourceDomain, nonce, burnToken, mintRecipient } = decodeMessage(message);
+
+    return {
+        sourceDomain,
+        nonce: BigInt(nonce),
+        burnToken: new PublicKey(hexToBuffer(burnToken)),
+        mintRecipient: new PublicKey(hexToBuffer(mintRecipient))
+    };
+}
+
+/**
+ * Account of the MessageTransmitter program that records whether `nonce`
+ * from `sourceDomain` was used. Each account covers NONCES_PER_ACCOUNT nonces;
+ * domains above 10 separate the domain and the first nonce with a dash.
+ */
+function findUsedNoncesAddress(messageTransmitter, sourceDomain, nonce) {
+    const firstNonce = ((BigInt(nonce) - 1n) / NONCES_PER_ACCOUNT) * NONCES_PER_ACCOUNT + 1n;
+    const delimiter = sourceDomain < 11 ? '' : '-';
+
+    return findPda(messageTransmitter, 'used_nonces', sourceDomain.toString(), delimiter, firstNonce.toString());
+}
+
+/**
+ * Check whether the bitmap of a UsedNonces account marks `nonce` as used.
+ * `data` is the account data, or null when the account does not exist yet
+ * (no nonce in its range has been used).
+ */
+function isNonceMarkedUsed(data, nonce) {
+    if (!data) {
+        return false;
+    }
+
+    const index = BigInt(nonce) - data.readBigUInt64LE(USED_NONCES_FIRST_NONCE);
+    if (index < 0n || index >= NONCES_PER_ACCOUNT) {
+        throw new Error(`Nonce ${nonce} is outside the range of this used-nonces account`);
+    }
+
+    const word = data.readBigUInt64LE(USED_NONCES_BITMAP + Number(index / 64n) * 8);
+    return ((word >> (index % 64n)) & 1n) === 1n;
+}
+
+// Owner of an SPL token account, or null when the account does not exist
+async function getTokenAccountOwner(connection, tokenAccount) {
+    const account = await connection.getAccountInfo(new PublicKey(tokenAccount));
+
+    // Token accounts start with the mint, followed by the owner
+    return account ? new PublicKey(account.data.subarray(32, 64)).toBase58() : null;
+}
+
+// Instruction creating `owner`'s associated token account for `mint`, unless it exists
+function createAssociatedTokenAccountIdempotentInstruction(payer, owner, mint) {
+    return new TransactionInstruction({
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        keys: [
+            { pubkey: new PublicKey(payer), isSigner: true, isWritable: true },
+            { pubkey: findAssociatedTokenAddress(owner, mint), isSigner: false, isWritable: true },
+            { pubkey: new PublicKey(owner), isSigner: false, isWritable: false },
+            { pubkey: new PublicKey(mint), isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: Buffer.from([1]) // CreateIdempotent
+    });
+}
+
+/**
+ * TokenMessengerMinter `deposit_for_burn` instruction: burns `amount` USDC
+ * base units from `owner`'s associated token account for minting to
+ * `mintRecipient` (bytes32) on `destinationDomain`. The message is stored in
+ * the new `eventAccount`, which has to sign the transaction too.
+ */
+function depositForBurnInstruction({ owner, tokenMessengerMinter, messageTransmitter, usdcMint, destinationDomain, mintRecipient, amount, eventAccount }) {
+    const ownerKey = new PublicKey(owner);
+    const mintKey = new PublicKey(usdcMint);
+    const tokenMessengerMinterId = new PublicKey(tokenMessengerMinter);
+    const messageTransmitterId = new PublicKey(messageTransmitter);
+
+    const args = Buffer.alloc(44);
+    args.writeBigUInt64LE(BigInt(amount), 0);
+    args.writeUInt32LE(destinationDomain, 8);
+    hexToBuffer(mintRecipient).copy(args, 12);
+
+    return new TransactionInstruction({
+        programId: tokenMessengerMinterId,
+        keys: [
+            { pubkey: ownerKey, isSigner: true, isWritable: false },
+            { pubkey: ownerKey, isSigner: true, isWritable: true }, // Pays the rent of the event account
+            { pubkey: findPda(tokenMessengerMinterId, 'sender_authority'), isSigner: false, isWritable: false },
+            { pubkey: findAssociatedTokenAddress(ownerKey, mintKey), isSigner: false, isWritable: true },
+            { pubkey: findPda(messageTransmitterId, 'message_transmitter'), isSigner: false, isWritable: true },
+            { pubkey: findPda(tokenMessengerMinterId, 'token_messenger'), isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, 'remote_token_messenger', destinationDomain.toString()), isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, 'token_minter'), isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, 'local_token', mintKey), isSigner: false, isWritable: true },
+            { pubkey: mintKey, isSigner: false, isWritable: true },
+            { pubkey: new PublicKey(eventAccount), isSigner: true, isWritable: true },
+            { pubkey: messageTransmitterId, isSigner: false, isWritable: false },
+            { pubkey: tokenMessengerMinterId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, '__event_authority'), isSigner: false, isWritable: false },
+            { pubkey: tokenMessengerMinterId, isSigner: false, isWritable: false }
+        ],
+        data: instructionData('deposit_for_burn', args)
+    });
+}
+
+/**
+ * MessageTransmitter `receive_message` instruction minting an attested burn.
+ * `payer` submits it and pays for the used-nonces account; the USDC goes to
+ * the token account named in the message.
+ */
+function receiveMessageInstruction({ payer, tokenMessengerMinter, messageTransmitter, usdcMint, message, attestation }) {
+    const payerKey = new PublicKey(payer);
+    const mintKey = new PublicKey(usdcMint);
+    const tokenMessengerMinterId = new PublicKey(tokenMessengerMinter);
+    const messageTransmitterId = new PublicKey(messageTransmitter);
+    const { sourceDomain, nonce, burnToken, mintRecipient } = readMessageRoute(message);
+
+    return new TransactionInstruction({
+        programId: messageTransmitterId,
+        keys: [
+            { pubkey: payerKey, isSigner: true, isWritable: true },
+            { pubkey: payerKey, isSigner: true, isWritable: false }, // Caller
+            { pubkey: findPda(messageTransmitterId, 'message_transmitter_authority', tokenMessengerMinterId), isSigner: false, isWritable: false },
+            { pubkey: findPda(messageTransmitterId, 'message_transmitter'), isSigner: false, isWritable: false },
+            { pubkey: findUsedNoncesAddress(messageTransmitterId, sourceDomain, nonce), isSigner: false, isWritable: true },
+            { pubkey: tokenMessengerMinterId, isSigner: false, isWritable: false }, // Receiver
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: findPda(messageTransmitterId, '__event_authority'), isSigner: false, isWritable: false },
+            { pubkey: messageTransmitterId, isSigner: false, isWritable: false },
+            // Accounts the TokenMessengerMinter needs to mint
+            { pubkey: findPda(tokenMessengerMinterId, 'token_messenger'), isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, 'remote_token_messenger', sourceDomain.toString()), isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, 'token_minter'), isSigner: false, isWritable: true },
+            { pubkey: findPda(tokenMessengerMinterId, 'local_token', mintKey), isSigner: false, isWritable: true },
+            { pubkey: findPda(tokenMessengerMinterId, 'token_pair', sourceDomain.toString(), burnToken), isSigner: false, isWritable: false },
+            { pubkey: mintRecipient, isSigner: false, isWritable: true },
+            { pubkey: findPda(tokenMessengerMinterId, 'custody', mintKey), isSigner: false, isWritable: true },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: findPda(tokenMessengerMinterId, '__event_authority'), isSigner: false, isWritable: false },
+            { pubkey: tokenMessengerMinterId, isSigner: false, isWritable: false }
+        ],
+        data: instructionData('receive_message', Buffer.concat([
+            encodeBytes(hexToBuffer(message)),
+            encodeBytes(hexToBuffer(attestation))
+        ]))
+    });
+}
+
+module.exports = {
+    TOKEN_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    isSolanaAddress,
+    parseSolanaAddress,
+    solanaAddressToBytes32,
+    bytes32ToSolanaAddress,
+    findAssociatedTokenAddress,
+    findUsedNoncesAddress,
+    isNonceMarkedUsed,
+    getTokenAccountOwner,
+    readMessageRoute,
+    createAssociatedTokenAccountIdempotentInstruction,
+    depositForBurnInstruction,
+    receiveMessageInstruction
+};
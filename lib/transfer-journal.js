@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Ordered transfer steps. An entry's `step` is the last one that completed;
+// the Circle transaction ID of a step in flight is stored as soon as it is
+// created so a resumed transfer waits for it instead of submitting it again.
+const STEPS = ['created', 'approved', 'burned', 'attested', 'minted'];
+
+// Location of the journal file (contains transfer data, keep it out of git)
+function getJournalPath() {
+    return process.env.CCTP_JOURNAL_FILE || path.join(process.cwd(), 'transfer-journal.json');
+}
+
+// Read all journal entries, oldest first
+function readJournal() {
+    const journalPath = getJournalPath();
+
+    if (!fs.existsSync(journalPath)) {
+        return [];
+    }
+
+    return JSON.parse(fs.readFileSync(journalPath, 'utf8')).transfers || [];
+}
+
+// Write the journal atomically so a crash never leaves a truncated file
+function writeJournal(transfers) {
+    const journalPath = getJournalPath();
+    const tempPath = `${journalPath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify({ transfers }, null, 2));
+    fs.renameSync(tempPath, journalPath);
+}
+
+// Record a new transfer and return its entry
+function createEntry(fields) {
+    const now = new Date().toISOString();
+    const entry = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        status: 'in_progress',
+        step: 'created',
+        ...fields
+    };
+
+    writeJournal([...readJournal(), entry]);
+    return entry;
+}
+
+// Apply changes to an entry (in memory and on disk)
+function recordProgress(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+
+    const transfers = readJournal();
+    const index = transfers.findIndex(transfer => transfer.id === entry.id);
+
+    if (index === -1) {
+        transfers.push(entry);
+    } else {
+        transfers[index] = entry;
+    }
+
+    writeJournal(transfers);
+    return entry;
+}
+
+// Find an entry by its journal ID
+function getEntry(id) {
+    return readJournal().find(transfer => transfer.id === id) || null;
+}
+
+// Entries of transfers whose burn is the given transaction (EVM hashes match in any case)
+function findByBurnTxHash(burnTxHash) {
+    const matches = hash => /^0x/i.test(burnTxHash)
+        ? String(hash).toLowerCase() === burnTxHash.toLowerCase()
+        : hash === burnTxHash;
+
+    return readJournal().filter(transfer => transfer.burnTxHash && matches(transfer.burnTxHash));
+}
+
+// Entries that have not reached the final step yet
+function listUnfinished() {
+    return readJournal().filter(transfer => transfer.status !== 'completed');
+}
+
+// Check whether the entry already got past the given step
+function isStepCompleted(entry, step) {
+    return STEPS.indexOf(entry.step) >= STEPS.indexOf(step);
+}
+
+module.exports = {
+    STEPS,
+    getJournalPath,
+    createEntry,
+    recordProgress,
+    getEntry,
+    findByBurnTxHash,
+    listUnfinished,
+    isStepCompleted
+};
@@ -0,0 +1,71 @@
+// Exact USDC amounts. USDC has 6 decimals on every supported chain, so amounts
+// are kept as bigint base units (1 USDC = 1000000n) and only ever converted
+// to and from decimal strings, never through floating point.
+const USDC_DECIMALS = 6;
+const UNITS_PER_USDC = 10n ** BigInt(USDC_DECIMALS);
+
+// Keyword accepted in place of an amount to transfer the whole balance
+const MAX_KEYWORD = 'max';
+
+const DECIMAL_AMOUNT = /^(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Parse a decimal USDC amount ("12.5", "0.000001", "100") into base units.
+ * Numbers are accepted as long as their string form is a plain decimal.
+ *
+ * @param {string|number} value
+ * @returns {bigint} Amount in USDC base units
+ */
+function parseUsdcAmount(value) {
+    const text = String(value).trim();
+    const match = DECIMAL_AMOUNT.exec(text);
+
+    if (!match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid USDC amount "${text}". Please enter a decimal number such as 12.5.`);
+    }
+
+    const [, whole, fraction = ''] = match;
+
+    if (fraction.length > USDC_DECIMALS) {
+        throw new Error(`Invalid USDC amount "${text}". USDC has at most ${USDC_DECIMALS} decimals.`);
+    }
+
+    return BigInt(whole || '0') * UNITS_PER_USDC + BigInt(fraction.padEnd(USDC_DECIMALS, '0'));
+}
+
+// Format base units as a decimal USDC string without trailing zeros ("12.5", "100")
+function formatUsdcAmount(units) {
+    units = BigInt(units);
+
+    const sign = units < 0n ? '-' : '';
+    const absolute = units < 0n ? -units : units;
+    const whole = absolute / UNITS_PER_USDC;
+    const fraction = (absolute % UNITS_PER_USDC).toString().padStart(USDC_DECIMALS, '0').replace(/0+$/, '');
+
+    return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Check whether the input asks for the whole balance
+function isMaxAmount(value) {
+    return String(value).trim().toLowerCase() === MAX_KEYWORD;
+}
+
+/**
+ * Parse the amount a user asked to transfer: a decimal USDC amount, or "max"
+ * for the whole `balanceUnits`.
+ *
+ * @returns {bigint} Amount in USDC base units
+ */
+function parseTransferAmount(value, balanceUnits) {
+    return isMaxAmount(value) ? BigInt(balanceUnits) : parseUsdcAmount(value);
+}
+
+module.exports = {
+    USDC_DECIMALS,
+    UNITS_PER_USDC,
+    MAX_KEYWORD,
+    parseUsdcAmount,
+    formatUsdcAmount,
+    isMaxAmount,
+    parseTransferAmount
+};
@@ -0,0 +1,180 @@
+const { getChain } = require('./chain-registry');
+const { EXIT_CODES, TransferError } = require('./errors');
+
+// Most items Circle returns in one page of a list (its default is 10)
+const MAX_PAGE_SIZE = 50;
+
+// Wallet states Circle reports
+const WALLET_STATES = ['LIVE', 'FROZEN'];
+
+// Filters accepted by listAllWallets, and the key=value names they are typed as
+const FILTER_NAMES = {
+    blockchain: 'blockchain',
+    state: 'state',
+    walletset: 'walletSet',
+    refid: 'refId',
+    createdafter: 'createdAfter',
+    createdbefore: 'createdBefore'
+};
+
+/**
+ * Fetch every page of a Circle list. `fetchPage` is called with `pageSize`
+ * (and `pageAfter`, the ID of the last item so far, after the first page)
+ * and resolves with the items of that page; paging stops at a short page.
+ */
+async function listAllPages(fetchPage) {
+    const items = [];
+    let pageAfter;
+
+    for (;;) {
+        const page = await fetchPage({ pageSize: MAX_PAGE_SIZE, ...(pageAfter && { pageAfter }) });
+        items.push(...page);
+
+        const lastId = page[page.length - 1]?.id;
+        if (page.length < MAX_PAGE_SIZE || !lastId || lastId === pageAfter) {
+            return items;
+        }
+        pageAfter = lastId;
+    }
+}
+
+// A date without a time of day, e.g. 2025-01-31
+const PLAIN_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to parse a created-date filter into an ISO timestamp. A plain
+// date as `createdBefore` includes the whole day, so it ends at the day's last millisecond.
+function parseFilterDate(name, value) {
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new TransferError(`Invalid ${name} "${value}". Please use a date such as 2025-01-31 or an ISO timestamp.`, EXIT_CODES.USAGE);
+    }
+    if (name === 'createdBefore' && PLAIN_DATE.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setTime(date.getTime() - 1);
+    }
+
+    return date.toISOString();
+}
+
+/**
+ * Check and normalise wallet filters: `blockchain` (a registry code), `state`
+ * (LIVE or FROZEN), `walletSet` (ID or name), `refId`, and `createdAfter` /
+ * `createdBefore` (dates). Empty filters are dropped.
+ *
+ * @returns {object}
+ */
+function parseWalletFilters(filters = {}) {
+    const parsed = {};
+
+    for (const [name, value] of Object.entries(filters)) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            continue;
+        }
+
+        const text = String(value).trim();
+
+        switch (name) {
+            case 'blockchain':
+                if (!getChain(text.toUpperCase())) {
+                    throw new TransferError(`Unknown blockchain "${text}" in the wallet filters.`, EXIT_CODES.USAGE);
+                }
+                parsed.blockchain = text.toUpperCase();
+                break;
+            case 'state':
+                if (!WALLET_STATES.includes(text.toUpperCase())) {
+                    throw new TransferError(`Invalid wallet state "${text}". Expected one of ${WALLET_STATES.join(', ')}.`, EXIT_CODES.USAGE);
+                }
+                parsed.state = text.toUpperCase();
+                break;
+            case 'walletSet':
+            case 'refId':
+                parsed[name] = text;
+                break;
+            case 'createdAfter':
+            case 'createdBefore':
+                parsed[name] = parseFilterDate(name, text);
+                break;
+            default:
+                throw new TransferError(`Unknown wallet filter "${name}".`, EXIT_CODES.USAGE);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Parse wallet filters typed as `key=value` pairs separated by spaces or
+ * commas, e.g. "blockchain=ETH-SEPOLIA refId=ops". Keys are case-insensitive.
+ */
+function parseWalletFilterText(text) {
+    const filters = {};
+
+    for (const pair of String(text).split(/[\s,]+/).filter(Boolean)) {
+        const separator = pair.indexOf('=');
+        const name = FILTER_NAMES[pair.slice(0, separator).toLowerCase()];
+
+        if (separator < 1 || !name) {
+            throw new TransferError(`Invalid wallet filter "${pair}". Use key=value with one of: ${Object.values(FILTER_NAMES).join(', ')}.`, EXIT_CODES.USAGE);
+        }
+        filters[name] = pair.slice(separator + 1);
+    }
+
+    return parseWalletFilters(filters);
+}
+
+/**
+ * List every wallet of every wallet set, page by page, keeping those that
+ * match `filters` (see parseWalletFilters). Each wallet gets the
+ * `walletSetName` and `walletSetId` of its set. A wallet set whose wallets
+ * cannot be listed is reported in `failures` instead of failing the listing.
+ *
+ * @param {object} circle - Developer-controlled wallets client
+ * @param {object} [filters]
+ * @returns {Promise<{ walletSets: object[], wallets: object[], failures: Array<{ walletSetId, walletSetName, message }> }>}
+ */
+async function listAllWallets(circle, filters = {}) {
+    const { blockchain, state, walletSet, refId, createdAfter, createdBefore } = parseWalletFilters(filters);
+
+    let walletSets = await listAllPages(async page => (await circle.listWalletSets(page)).data?.walletSets || []);
+    if (walletSet) {
+        walletSets = walletSets.filter(set => set.id === walletSet || set.name?.toLowerCase() === walletSet.toLowerCase());
+    }
+
+    // Filters Circle applies itself; the wallet state is checked here
+    const query = {
+        ...(blockchain && { blockchain }),
+        ...(refId && { refId }),
+        ...(createdAfter && { from: createdAfter }),
+        ...(createdBefore && { to: createdBefore })
+    };
+
+    const wallets = [];
+    const failures = [];
+
+    for (const set of walletSets) {
+        try {
+            const setWallets = await listAllPages(async page =>
+                (await circle.listWallets({ walletSetId: set.id, ...query, ...page })).data?.wallets || []);
+
+            for (const wallet of setWallets) {
+                if (!state || wallet.state === state) {
+                    wallets.push({ ...wallet, walletSetName: set.name, walletSetId: set.id });
+                }
+            }
+        } catch (error) {
+            failures.push({ walletSetId: set.id, walletSetName: set.name, message: error.message });
+        }
+    }
+
+    return { walletSets, wallets, failures };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    WALLET_STATES,
+    listAllPages,
+    parseWalletFilters,
+    parseWalletFilterText,
+    listAllWallets
+};
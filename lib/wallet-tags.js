@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, TransferError } = require('./errors');
+
+// Local wallet tags. Circle has no place for them, so they are kept in a file
+// next to the journal:
+//   frozen   - never used as a transfer source
+//   treasury - used as a source only after an explicit confirmation
+//   hot      - the wallets transfers are expected to come from
+const WALLET_TAGS = ['frozen', 'treasury', 'hot'];
+
+// Location of the tags file (keep it with the journal; share it to share tags)
+function getTagsPath() {
+    return process.env.CCTP_WALLET_TAGS_FILE || path.join(process.cwd(), 'wallet-tags.json');
+}
+
+// Read the tags of every tagged wallet, keyed by wallet ID
+function readWalletTags() {
+    const tagsPath = getTagsPath();
+
+    if (!fs.existsSync(tagsPath)) {
+        return {};
+    }
+
+    return JSON.parse(fs.readFileSync(tagsPath, 'utf8')).wallets || {};
+}
+
+// Write the tags atomically so a crash never leaves a truncated file
+function writeWalletTags(wallets) {
+    const tagsPath = getTagsPath();
+    const tempPath = `${tagsPath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify({ wallets }, null, 2));
+    fs.renameSync(tempPath, tagsPath);
+}
+
+/**
+ * Parse tags typed as a comma- or space-separated list ("treasury, frozen").
+ * "-" or "none" clears the tags.
+ *
+ * @returns {string[]} Tags in WALLET_TAGS order
+ */
+function parseWalletTags(input) {
+    const text = String(input).trim().toLowerCase();
+
+    if (text === '-' || text === 'none') {
+        return [];
+    }
+
+    const tags = [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+    const unknown = tags.filter(tag => !WALLET_TAGS.includes(tag));
+
+    if (unknown.length > 0) {
+        throw new TransferError(`Unknown wallet tag "${unknown[0]}". Expected ${WALLET_TAGS.join(', ')}.`, EXIT_CODES.USAGE);
+    }
+    if (tags.includes('treasury') && tags.includes('hot')) {
+        throw new TransferError("A wallet cannot be tagged both treasury and hot.", EXIT_CODES.USAGE);
+    }
+
+    return WALLET_TAGS.filter(tag => tags.includes(tag));
+}
+
+// Tags of one wallet (an empty list for untagged wallets)
+function getWalletTags(walletId) {
+    return readWalletTags()[walletId] || [];
+}
+
+// Replace the tags of a wallet; an empty list removes it from the file
+function setWalletTags(walletId, tags) {
+    const wallets = readWalletTags();
+    const parsed = parseWalletTags(tags.join(','));
+
+    if (parsed.length > 0) {
+        wallets[walletId] = parsed;
+    } else {
+        delete wallets[walletId];
+    }
+
+    writeWalletTags(wallets);
+    return parsed;
+}
+
+// Give each wallet its `tags` from the tags file
+function withWalletTags(wallets) {
+    const tags = readWalletTags();
+    return wallets.map(wallet => ({ ...wallet, tags: tags[wallet.id] || [] }));
+}
+
+/**
+ * Check whether a wallet may be the source of a transfer: a frozen wallet
+ * never may, a treasury wallet only with `allowTreasury`.
+ *
+ * @throws {TransferError} VALIDATION for a frozen wallet, USAGE for a treasury wallet without `allowTreasury`
+ */
+function assertSourceAllowed(wallet, { allowTreasury = false } = {}) {
+    const tags = wallet.tags || getWalletTags(wallet.id);
+
+    if (tags.includes('frozen')) {
+        throw new TransferError(`Wallet ${wallet.id} is tagged frozen and cannot be used as a transfer source.`, EXIT_CODES.VALIDATION);
+    }
+    if (tags.includes('treasury') && !allowTreasury) {
+        throw new TransferError(`Wallet ${wallet.id} is a treasury wallet. Pass --allow-treasury to transfer from it.`, EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Interactive form of assertSourceAllowed: a treasury wallet is allowed once
+ * `confirm` resolves true instead of needing `allowTreasury`.
+ *
+ * @param {object} wallet
+ * @param {function(): Promise<boolean>} confirm - Asks whether to use the treasury wallet anyway
+ * @returns {Promise<boolean>} Whether the wallet may be used as the source
+ * @throws {TransferError} VALIDATION for a frozen wallet
+ */
+async function confirmSourceAllowed(wallet, confirm) {
+    try {
+        assertSourceAllowed(wallet);
+        return true;
+    } catch (error) {
+        if (error.exitCode !== EXIT_CODES.USAGE) {
+            throw error;
+        }
+        return confirm();
+    }
+}
+
+module.exports = {
+    WALLET_TAGS,
+    getTagsPath,
+    readWalletTags,
+    parseWalletTags,
+    getWalletTags,
+    setWalletTags,
+    withWalletTags,
+    assertSourceAllowed,
+    confirmSourceAllowed
+};
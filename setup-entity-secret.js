@@ -15,7 +15,8 @@ async function setupEntitySecret() {
                 // Test the entity secret by trying to create a wallet set
                 const client = initiateDeveloperControlledWalletsClient({
                     apiKey: config.apiKey,
-                    entitySecret: config.entitySecret
+                    entitySecret: config.entitySecret,
+                    baseUrl: config.apiBase
                 });
                 
                 // Try a write operation to test the entity secret ciphertext
@@ -38,7 +39,8 @@ async function setupEntitySecret() {
                         // Try to register the existing entity secret
                         const response = await registerEntitySecretCiphertext({
                             apiKey: config.apiKey,
-                            entitySecret: config.entitySecret
+                            entitySecret: config.entitySecret,
+                            baseUrl: config.apiBase
                         });
                         
                         console.log("✅ Entity Secret registered successfully!");
@@ -48,7 +50,8 @@ async function setupEntitySecret() {
                         console.log("🧪 Testing wallet creation after registration...");
                         const client = initiateDeveloperControlledWalletsClient({
                             apiKey: config.apiKey,
-                            entitySecret: config.entitySecret
+                            entitySecret: config.entitySecret,
+                            baseUrl: config.apiBase
                         });
                         
                         const testResponse = await client.createWalletSet({
@@ -98,7 +101,8 @@ async function setupEntitySecret() {
         try {
             const response = await registerEntitySecretCiphertext({
                 apiKey: config.apiKey,
-                entitySecret: entitySecret
+                entitySecret: entitySecret,
+                baseUrl: config.apiBase
             });
             
             console.log("✅ Entity Secret registered successfully!");
@@ -114,7 +118,8 @@ async function setupEntitySecret() {
             console.log("🧪 Testing wallet creation...");
             const client = initiateDeveloperControlledWalletsClient({
                 apiKey: config.apiKey,
-                entitySecret: entitySecret
+                entitySecret: entitySecret,
+                baseUrl: config.apiBase
             });
             
             const testResponse = await client.createWalletSet({
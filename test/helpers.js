@@ -0,0 +1,168 @@
+// Shared setup of the end-to-end tests: a mock server seeded per test, and the
+// command-line tools run against it from a scratch directory
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockCircleServer } = require('./mock-server');
+
+const ROOT = path.join(__dirname, '..');
+
+// Longest a tool may run before the test gives up on it
+const RUN_TIMEOUT_MS = 30000;
+
+// Poll the simulated testnets quickly; waits are never long
+const FAST_POLLING = {
+    transactionIntervalMs: 10,
+    attestationIntervalMs: 10,
+    maxIntervalMs: 50,
+    jitter: 0
+};
+
+/**
+ * Start a mock server seeded with `walletSets`, and prepare a scratch
+ * directory with a chain registry override (fast polling, plus `polling`
+ * overrides), a journal, a wallet tags file and the environment pointing the
+ * tools at the mock.
+ *
+ * @returns {Promise<{ mock: MockCircleServer, dir: string, env: object, wallets: object[], close: function }>}
+ */
+async function setup({ walletSets = [], polling = {}, ...options } = {}) {
+    const mock = new MockCircleServer(options);
+    mock.seed({ walletSets });
+    const url = await mock.start();
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cctp-test-'));
+    const chainsFile = path.join(dir, 'chains.test.json');
+    const chainPolling = { ...FAST_POLLING, ...polling };
+    fs.writeFileSync(chainsFile, JSON.stringify({
+        chains: {
+            'ETH-SEPOLIA': { polling: chainPolling },
+            'MATIC-AMOY': { polling: chainPolling }
+        }
+    }));
+
+    // Settings of the developer's own shell must not leak into the tests
+    const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(CIRCLE|CCTP)_/.test(name)));
+    Object.assign(env, {
+        CIRCLE_API_KEY: 'TEST_API_KEY:mock:secret',
+        CIRCLE_ENTITY_SECRET: crypto.randomBytes(32).toString('hex'),
+        CIRCLE_API_BASE_URL: url,
+        CCTP_ATTESTATION_URL: url,
+        CCTP_CHAINS_FILE: chainsFile,
+        CCTP_JOURNAL_FILE: path.join(dir, 'transfer-journal.json'),
+        CCTP_WALLET_TAGS_FILE: path.join(dir, 'wallet-tags.json')
+    });
+
+    return {
+        mock,
+        dir,
+        env,
+        wallets: mock.wallets,
+        close: async () => {
+            await mock.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Helper function to start one of the tools and collect its output
+function start(script, args, { env, dir }) {
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args], { cwd: dir, env });
+    const output = { stdout: '', stderr: '' };
+
+    child.stdout.on('data', chunk => { output.stdout += chunk; });
+    child.stderr.on('data', chunk => { output.stderr += chunk; });
+
+    const done = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`${script} ${args.join(' ')} did not finish within ${RUN_TIMEOUT_MS} ms\n${output.stdout}${output.stderr}`));
+        }, RUN_TIMEOUT_MS);
+
+        child.on('error', reject);
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ code, ...output });
+        });
+    });
+
+    return { child, output, done };
+}
+
+/**
+ * Run a cross-chain-transfer.js command with --json. Resolves with the exit
+ * code, the parsed JSON result and the progress logs.
+ */
+async function runTransferTool(context, args) {
+    const { code, stdout, stderr } = await start('cross-chain-transfer.js', [...args, '--json'], context).done;
+
+    let result;
+    try {
+        result = JSON.parse(stdout);
+    } catch (error) {
+        throw new Error(`No JSON result (exit code ${code}):\n${stdout}\n${stderr}`);
+    }
+
+    return { code, result, logs: stderr };
+}
+
+/**
+ * Run an interactive tool, answering its prompts in order: each answer is
+ * `[pattern, text]` and is typed once `pattern` appears in the output after
+ * the previous answer. Resolves with the exit code and the whole output.
+ */
+async function runInteractive(context, script, answers) {
+    const run = start(script, [], context);
+    let position = 0;
+    let next = 0;
+
+    const answer = () => {
+        while (next < answers.length) {
+            const [pattern, text] = answers[next];
+            const match = run.output.stdout.slice(position).match(pattern);
+
+            if (!match) {
+                return;
+            }
+
+            position += match.index + match[0].length;
+            next++;
+            run.child.stdin.write(`${text}\n`);
+        }
+    };
+
+    run.child.stdout.on('data', answer);
+    const result = await run.done;
+
+    if (next < answers.length) {
+        throw new Error(`${script} ended before prompt ${answers[next][0]} (exit code ${result.code}):\n${result.stdout}\n${result.stderr}`);
+    }
+
+    return result;
+}
+
+// Tag wallets for the tools, as the wallet manager would: `tags` maps wallet IDs to tag lists
+function tagWallets(context, tags) {
+    fs.writeFileSync(context.env.CCTP_WALLET_TAGS_FILE, JSON.stringify({ wallets: tags }));
+}
+
+// Requests the mock received, filtered by method and path prefix
+function requestsTo(mock, method, pathPrefix) {
+    return mock.requests.filter(request => request.method === method && request.path.startsWith(pathPrefix));
+}
+
+// Contract executions submitted to the mock that call `functionName`
+function contractCalls(mock, functionName) {
+    return [...mock.transactions.values()].filter(transaction => transaction.abiFunctionSignature?.startsWith(`${functionName}(`));
+}
+
+module.exports = {
+    setup,
+    runTransferTool,
+    runInteractive,
+    tagWallets,
+    requestsTo,
+    contractCalls
+};
@@ -0,0 +1,886 @@
+// Local stand-in for the Circle APIs this tool talks to: the developer-controlled
+// wallets endpoints (wallet sets, wallets, balances, contract executions,
+// transactions), contract queries of the smart contract platform, and the
+// attestation service (Iris). State lives in memory and follows the contract
+// calls: approvals set allowances, burns take USDC and publish a CCTP message,
+// and mints check the attestation, mark the nonce used and credit the recipient.
+// Same-chain transfers move USDC or native tokens between balances.
+// Only EVM chains are simulated.
+//
+// Run it on its own to try the tools without credentials:
+//   node test/mock-server.js [--port 4010] [--scenario scenario.json]
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+    getChain,
+    getChainByDomain,
+    getCCTPDomainId,
+    getUSDCAddress,
+    getTokenMessengerAddress,
+    getMessageTransmitterAddress
+} = require('../lib/chain-registry');
+const { Keypair } = require('@solana/web3.js');
+const { addressToBytes32, bytes32ToAddress } = require('../lib/addresses');
+const { decodeMessage, usedNonceKey, MESSAGE_VERSIONS } = require('../lib/cctp-message');
+const { parseUsdcAmount, formatUsdcAmount } = require('../lib/usdc-amount');
+const { parseNativeAmount, formatNativeAmount } = require('../lib/gas');
+
+// Gas parameters returned by fee estimation (fees in gwei)
+const FEE_ESTIMATES = {
+    low: { gasLimit: '65000', baseFee: '1', priorityFee: '0.5', maxFee: '2' },
+    medium: { gasLimit: '65000', baseFee: '1', priorityFee: '1', maxFee: '3' },
+    high: { gasLimit: '65000', baseFee: '1', priorityFee: '2', maxFee: '4' }
+};
+
+// CCTP V2 fees quoted per finality threshold, in basis points
+const BURN_FEES = [
+    { finalityThreshold: 1000, minimumFee: 1 },
+    { finalityThreshold: 2000, minimumFee: 0 }
+];
+
+const ZERO_BYTES32 = `0x${'0'.repeat(64)}`;
+
+// Helper function to create random 0x-prefixed hex of the given byte length
+function randomHex(bytes) {
+    return `0x${crypto.randomBytes(bytes).toString('hex')}`;
+}
+
+// Helper function to create a random wallet address in the format of the chain
+function randomAddress(blockchain) {
+    return getChain(blockchain)?.family === 'solana' ? Keypair.generate().publicKey.toBase58() : randomHex(20);
+}
+
+// Helper function to encode an unsigned integer as a big-endian field
+function uint(value, bytes) {
+    return Buffer.from(BigInt(value).toString(16).padStart(bytes * 2, '0'), 'hex');
+}
+
+// Helper function to turn bytes32 hex into a buffer
+function bytes32(hex) {
+    return Buffer.from(hex.slice(2), 'hex');
+}
+
+/**
+ * Encode a CCTP message carrying a USDC burn, in the layout `decodeMessage` reads.
+ */
+function encodeBurnMessage({ cctpVersion, sourceDomain, destinationDomain, nonce, sender, recipient, destinationCaller,
+    burnToken, mintRecipient, amount, messageSender, maxFee = 0n, feeExecuted = 0n, minFinalityThreshold = 2000 }) {
+    const version = MESSAGE_VERSIONS[cctpVersion];
+    const header = [uint(version, 4), uint(sourceDomain, 4), uint(destinationDomain, 4)];
+    const body = [uint(version, 4), bytes32(burnToken), bytes32(mintRecipient), uint(amount, 32), bytes32(messageSender)];
+
+    if (cctpVersion === 2) {
+        header.push(bytes32(nonce), bytes32(sender), bytes32(recipient), bytes32(destinationCaller),
+            uint(minFinalityThreshold, 4), uint(minFinalityThreshold, 4));
+        body.push(uint(maxFee, 32), uint(feeExecuted, 32), uint(0, 32));
+    } else {
+        header.push(uint(nonce, 8), bytes32(sender), bytes32(recipient), bytes32(destinationCaller));
+    }
+
+    return `0x${Buffer.concat([...header, ...body]).toString('hex')}`;
+}
+
+// Error raised by a route handler, answered as a Circle error response
+class MockApiError extends Error {
+    constructor(status, message, code = status) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * In-memory Circle API and attestation service for end-to-end tests.
+ *
+ * Scenarios are scripted through its methods: `delayAttestation` keeps burns
+ * pending, `failTransaction` makes the next matching contract execution fail,
+ * and `respondWith` answers a request with a fixed status (e.g. a 404).
+ * Every request is recorded in `requests`.
+ */
+class MockCircleServer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.transactionPolls=1] - Status checks before a transaction completes
+     * @param {number} [options.attestationPolls=0] - Attestation lookups that find a burn still pending
+     */
+    constructor(options = {}) {
+        this.transactionPolls = options.transactionPolls ?? 1;
+        this.attestationPolls = options.attestationPolls ?? 0;
+        this.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        this.url = null;
+        this.reset();
+    }
+
+    // Forget all wallets, transactions, messages and scripted responses
+    reset() {
+        this.walletSets = [];
+        this.wallets = [];
+        this.balances = new Map();
+        this.allowances = new Map();
+        this.usedNonces = new Set();
+        this.transactions = new Map();
+        this.idempotencyKeys = new Map();
+        this.messages = new Map();
+        this.nonces = new Map();
+        this.failures = [];
+        this.overrides = [];
+        this.requests = [];
+    }
+
+    /**
+     * Start listening on 127.0.0.1. Resolves with the base URL, which serves
+     * both the Circle API and the attestation service.
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Create wallet sets and wallets from a scenario:
+     * `{ walletSets: [{ name, wallets: [{ blockchain, usdc, native }] }], transactionPolls, attestationPolls }`.
+     */
+    seed(scenario) {
+        this.transactionPolls = scenario.transactionPolls ?? this.transactionPolls;
+        this.attestationPolls = scenario.attestationPolls ?? this.attestationPolls;
+
+        for (const set of scenario.walletSets || []) {
+            const walletSet = this.addWalletSet(set.name);
+            for (const wallet of set.wallets || []) {
+                this.addWallet({ walletSetId: walletSet.id, ...wallet });
+            }
+        }
+    }
+
+    addWalletSet(name) {
+        const now = new Date().toISOString();
+        const walletSet = { id: crypto.randomUUID(), custodyType: 'DEVELOPER', name, createDate: now, updateDate: now };
+
+        this.walletSets.push(walletSet);
+        return walletSet;
+    }
+
+    /**
+     * Add a wallet holding `usdc` USDC and `native` native tokens (decimal strings),
+     * optionally in another `state` or with a past `createDate`.
+     */
+    addWallet({ walletSetId, blockchain, usdc = '0', native = '1', address = randomAddress(blockchain), refId, name, state = 'LIVE', createDate }) {
+        if (!getChain(blockchain)) {
+            throw new Error(`Unknown blockchain ${blockchain}`);
+        }
+
+        const now = createDate || new Date().toISOString();
+        const wallet = {
+            id: crypto.randomUUID(),
+            state,
+            walletSetId,
+            custodyType: 'DEVELOPER',
+            address: getChain(blockchain).family === 'solana' ? address : address.toLowerCase(),
+            blockchain,
+            accountType: 'EOA',
+            createDate: now,
+            updateDate: now,
+            ...(refId && { refId }),
+            ...(name && { name })
+        };
+
+        this.wallets.push(wallet);
+        this.setBalance(wallet.id, { usdc, native });
+        return wallet;
+    }
+
+    setBalance(walletId, { usdc, native }) {
+        const balance = this.balances.get(walletId) || { usdc: 0n, native: '0' };
+
+        if (usdc !== undefined) {
+            balance.usdc = parseUsdcAmount(usdc);
+        }
+        if (native !== undefined) {
+            balance.native = String(native);
+        }
+
+        this.balances.set(walletId, balance);
+    }
+
+    // USDC balance of a wallet as a decimal string
+    usdcBalance(walletId) {
+        return formatUsdcAmount(this.balances.get(walletId)?.usdc || 0n);
+    }
+
+    // Native token balance of a wallet as a decimal string
+    nativeBalance(walletId) {
+        return formatNativeAmount(parseNativeAmount(this.balances.get(walletId)?.native || '0'));
+    }
+
+    /**
+     * Keep the attestations of later burns pending for `polls` lookups.
+     * `Infinity` keeps them pending until `releaseAttestations()`.
+     */
+    delayAttestation(polls) {
+        this.attestationPolls = polls;
+    }
+
+    // Attest every burn still pending
+    releaseAttestations() {
+        for (const message of this.messages.values()) {
+            message.pendingPolls = 0;
+        }
+    }
+
+    /**
+     * Make the next contract execution calling `functionName` (e.g. `depositForBurn`),
+     * or the next same-chain transfer for `transfer`, end in `state` with
+     * `errorReason` instead of going through.
+     */
+    failTransaction(functionName, { state = 'FAILED', errorReason = 'EXECUTION_REVERTED' } = {}) {
+        this.failures.push({ functionName, state, errorReason });
+    }
+
+    /**
+     * Answer the next `times` requests matching `method` and `path` (a string
+     * prefix or a RegExp) with `status` and `body` instead of handling them.
+     */
+    respondWith(method, path, status, body = {}, { times = 1 } = {}) {
+        this.overrides.push({ method, path, status, body, times });
+    }
+
+    /**
+     * Publish a burn made outside of the mock's wallets, e.g. from an external
+     * account, as if its transaction was mined. Resolves with its hash.
+     */
+    simulateBurn({ sourceBlockchain, destinationBlockchain, recipient, amount, cctpVersion = 1, sender = randomHex(20), destinationCaller }) {
+        return this.publishBurn({
+            sourceBlockchain,
+            destinationBlockchain,
+            mintRecipient: addressToBytes32(recipient),
+            amount: parseUsdcAmount(amount),
+            cctpVersion,
+            messageSender: sender,
+            destinationCaller: destinationCaller ? addressToBytes32(destinationCaller) : ZERO_BYTES32
+        });
+    }
+
+    // Record the message of a burn for the attestation service; returns its transaction hash
+    publishBurn({ sourceBlockchain, destinationBlockchain, mintRecipient, amount, cctpVersion, messageSender,
+        destinationCaller = ZERO_BYTES32, maxFee = 0n, minFinalityThreshold = 2000, txHash = randomHex(32) }) {
+        const sourceDomain = getCCTPDomainId(sourceBlockchain);
+        let nonce;
+
+        if (cctpVersion === 2) {
+            nonce = randomHex(32);
+        } else {
+            nonce = (this.nonces.get(sourceDomain) || 1000n) + 1n;
+            this.nonces.set(sourceDomain, nonce);
+        }
+
+        const message = encodeBurnMessage({
+            cctpVersion,
+            sourceDomain,
+            destinationDomain: getCCTPDomainId(destinationBlockchain),
+            nonce,
+            sender: addressToBytes32(getTokenMessengerAddress(sourceBlockchain, cctpVersion)),
+            recipient: addressToBytes32(getTokenMessengerAddress(destinationBlockchain, cctpVersion)),
+            destinationCaller,
+            burnToken: addressToBytes32(getUSDCAddress(sourceBlockchain)),
+            mintRecipient,
+            amount,
+            messageSender: addressToBytes32(messageSender),
+            maxFee,
+            feeExecuted: minFinalityThreshold < 2000 ? maxFee : 0n,
+            minFinalityThreshold
+        });
+
+        this.messages.set(`${sourceDomain}:${txHash.toLowerCase()}`, {
+            cctpVersion,
+            message,
+            attestation: randomHex(65),
+            eventNonce: nonce.toString(),
+            pendingPolls: this.attestationPolls
+        });
+
+        return txHash;
+    }
+
+    // Route a request, recording it and applying scripted responses first
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        let body = null;
+
+        try {
+            const raw = await new Promise((resolve, reject) => {
+                const chunks = [];
+                request.on('data', chunk => chunks.push(chunk));
+                request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+                request.on('error', reject);
+            });
+            body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return this.send(response, 400, { code: 400, message: 'Malformed JSON body' });
+        }
+
+        this.requests.push({ method: request.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+        const override = this.overrides.find(candidate => candidate.times > 0 && candidate.method === request.method &&
+            (candidate.path instanceof RegExp ? candidate.path.test(url.pathname) : url.pathname.startsWith(candidate.path)));
+        if (override) {
+            override.times--;
+            return this.send(response, override.status, override.body);
+        }
+
+        try {
+            const result = this.route(request, url, body);
+            this.send(response, result.status || 200, result.body);
+        } catch (error) {
+            if (error instanceof MockApiError) {
+                return this.send(response, error.status, { code: error.code, message: error.message });
+            }
+            this.send(response, 500, { code: 500, message: error.message });
+        }
+    }
+
+    send(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    }
+
+    route(request, url, body) {
+        const { pathname, searchParams } = url;
+        const method = request.method;
+        let match;
+
+        // Attestation service
+        if (method === 'GET' && (match = pathname.match(/^\/v1\/messages\/(\d+)\/(0x[0-9a-fA-F]+)$/))) {
+            return this.getMessages(Number(match[1]), match[2], 1);
+        }
+        if (method === 'GET' && (match = pathname.match(/^\/v2\/messages\/(\d+)$/))) {
+            return this.getMessages(Number(match[1]), searchParams.get('transactionHash') || '', 2);
+        }
+        if (method === 'GET' && pathname.startsWith('/v2/burn/USDC/fees/')) {
+            return { body: BURN_FEES };
+        }
+
+        if (!/^Bearer .+/.test(request.headers.authorization || '')) {
+            throw new MockApiError(401, 'Malformed authorization. Are the credentials properly encoded?');
+        }
+
+        if (method === 'GET' && pathname === '/v1/w3s/config/entity/publicKey') {
+            return { body: { data: { publicKey: this.keys.publicKey.export({ type: 'spki', format: 'pem' }) } } };
+        }
+
+        // Wallet sets and wallets
+        if (method === 'GET' && pathname === '/v1/w3s/walletSets') {
+            const walletSets = this.walletSets.filter(walletSet => this.createdWithin(walletSet, searchParams));
+            return { body: { data: { walletSets: this.page(walletSets, searchParams) } } };
+        }
+        if (method === 'POST' && pathname === '/v1/w3s/developer/walletSets') {
+            this.checkEntitySecret(body);
+            return { status: 201, body: { data: { walletSet: this.idempotent(body, () => this.addWalletSet(body.name)) } } };
+        }
+        if (method === 'PUT' && (match = pathname.match(/^\/v1\/w3s\/developer\/walletSets\/([^/]+)$/))) {
+            const walletSet = this.walletSets.find(candidate => candidate.id === match[1]);
+            if (!walletSet) {
+                throw new MockApiError(404, 'Cannot find target wallet set', 156002);
+            }
+            Object.assign(walletSet, { name: body?.name, updateDate: new Date().toISOString() });
+            return { body: { data: { walletSet } } };
+        }
+        if (method === 'PUT' && (match = pathname.match(/^\/v1\/w3s\/wallets\/([^/]+)$/))) {
+            const wallet = this.findWallet(match[1]);
+            Object.assign(wallet, { name: body?.name, refId: body?.refId, updateDate: new Date().toISOString() });
+            return { body: { data: { wallet } } };
+        }
+        if (method === 'GET' && pathname === '/v1/w3s/wallets') {
+            const wallets = this.wallets.filter(wallet =>
+                (!searchParams.get('walletSetId') || wallet.walletSetId === searchParams.get('walletSetId')) &&
+                (!searchParams.get('blockchain') || wallet.blockchain === searchParams.get('blockchain')) &&
+                (!searchParams.get('address') || wallet.address === searchParams.get('address').toLowerCase()) &&
+                (!searchParams.get('refId') || wallet.refId === searchParams.get('refId')) &&
+                this.createdWithin(wallet, searchParams));
+            return { body: { data: { wallets: this.page(wallets, searchParams) } } };
+        }
+        if (method === 'POST' && pathname === '/v1/w3s/developer/wallets') {
+            this.checkEntitySecret(body);
+            return { status: 201, body: { data: { wallets: this.idempotent(body, () => this.createWallets(body)) } } };
+        }
+        if (method === 'GET' && (match = pathname.match(/^\/v1\/w3s\/wallets\/([^/]+)\/balances$/))) {
+            return { body: { data: { tokenBalances: this.tokenBalances(this.findWallet(match[1])) } } };
+        }
+
+        // Transactions
+        if (method === 'POST' && pathname === '/v1/w3s/transactions/contractExecution/estimateFee') {
+            this.findWallet(body?.walletId);
+            return { body: { data: this.feeEstimate() } };
+        }
+        if (method === 'POST' && pathname === '/v1/w3s/transactions/transfer/estimateFee') {
+            this.findWallet(body?.walletId);
+            return { body: { data: this.feeEstimate() } };
+        }
+        if (method === 'POST' && pathname === '/v1/w3s/developer/transactions/transfer') {
+            this.checkEntitySecret(body);
+            return { status: 201, body: { data: this.idempotent(body, () => this.transferTokens(body)) } };
+        }
+        if (method === 'POST' && pathname === '/v1/w3s/developer/transactions/contractExecution') {
+            this.checkEntitySecret(body);
+            return { status: 201, body: { data: this.idempotent(body, () => this.executeContract(body)) } };
+        }
+        if (method === 'GET' && (match = pathname.match(/^\/v1\/w3s\/transactions\/([^/]+)$/))) {
+            return { body: { data: { transaction: this.pollTransaction(match[1]) } } };
+        }
+        if (method === 'POST' && (match = pathname.match(/^\/v1\/w3s\/developer\/transactions\/([^/]+)\/(accelerate|cancel)$/))) {
+            this.checkEntitySecret(body);
+            const transaction = this.findTransaction(match[1]);
+            if (match[2] === 'cancel' && !['COMPLETE', 'CONFIRMED', 'FAILED'].includes(transaction.state)) {
+                Object.assign(transaction, { state: 'CANCELLED', outcome: null });
+            }
+            return { body: { data: { id: transaction.id, state: transaction.state } } };
+        }
+
+        // Contract queries
+        if (method === 'POST' && pathname === '/v1/w3s/contracts/query') {
+            return { body: { data: this.queryContract(body) } };
+        }
+
+        throw new MockApiError(404, `No mock route for ${method} ${pathname}`);
+    }
+
+    // Entity secret ciphertexts must decrypt with the mock's entity key
+    checkEntitySecret(body) {
+        try {
+            const secret = crypto.privateDecrypt(
+                { key: this.keys.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+                Buffer.from(body?.entitySecretCiphertext || '', 'base64')
+            );
+            if (secret.length !== 32) {
+                throw new Error('wrong length');
+            }
+        } catch (error) {
+            throw new MockApiError(400, 'Invalid entity secret ciphertext', 156016);
+        }
+    }
+
+    // Repeat the earlier result of a request with the same idempotency key
+    idempotent(body, create) {
+        if (!body.idempotencyKey) {
+            throw new MockApiError(400, 'idempotencyKey is required');
+        }
+
+        if (!this.idempotencyKeys.has(body.idempotencyKey)) {
+            this.idempotencyKeys.set(body.idempotencyKey, create());
+        }
+
+        return this.idempotencyKeys.get(body.idempotencyKey);
+    }
+
+    // One page of a list, as Circle pages it: `pageSize` items (default 10) after the `pageAfter` ID
+    page(items, searchParams) {
+        const pageSize = Math.min(Number(searchParams.get('pageSize')) || 10, 50);
+        const pageAfter = searchParams.get('pageAfter');
+        const start = pageAfter ? items.findIndex(item => item.id === pageAfter) + 1 : 0;
+
+        return items.slice(start, start + pageSize);
+    }
+
+    // Whether an item was created within the `from` and `to` dates of a list request (both inclusive)
+    createdWithin(item, searchParams) {
+        const from = searchParams.get('from');
+        const to = searchParams.get('to');
+
+        return (!from || item.createDate >= new Date(from).toISOString()) &&
+            (!to || item.createDate <= new Date(to).toISOString());
+    }
+
+    findWallet(walletId) {
+        const wallet = this.wallets.find(candidate => candidate.id === walletId);
+
+        if (!wallet) {
+            throw new MockApiError(404, 'Cannot find target wallet', 156001);
+        }
+
+        return wallet;
+    }
+
+    findTransaction(id) {
+        const transaction = this.transactions.get(id);
+
+        if (!transaction) {
+            throw new MockApiError(404, 'Cannot find target transaction', 156005);
+        }
+
+        return transaction;
+    }
+
+    createWallets({ walletSetId, blockchains = [], count = 1, metadata = [] }) {
+        if (!this.walletSets.some(set => set.id === walletSetId)) {
+            throw new MockApiError(404, 'Cannot find target wallet set', 156002);
+        }
+
+        const wallets = [];
+        for (const blockchain of blockchains) {
+            if (!getChain(blockchain)) {
+                throw new MockApiError(400, `Unsupported blockchain ${blockchain}`);
+            }
+
+            // Wallets created together share their address on every EVM chain
+            for (let index = 0; index < count; index++) {
+                const address = getChain(blockchain).family === 'evm'
+                    ? wallets.filter(wallet => getChain(wallet.blockchain).family === 'evm')[index]?.address
+                    : undefined;
+                wallets.push(this.addWallet({ walletSetId, blockchain, usdc: '0', native: '0', address, ...metadata[index] }));
+            }
+        }
+
+        return wallets;
+    }
+
+    tokenBalances(wallet) {
+        const chain = getChain(wallet.blockchain);
+        const balance = this.balances.get(wallet.id);
+        const updateDate = new Date().toISOString();
+
+        return [
+            {
+                token: { id: `${wallet.blockchain}-USDC`, blockchain: wallet.blockchain, tokenAddress: chain.usdc, name: 'USD Coin', symbol: 'USDC', decimals: 6, isNative: false },
+                amount: formatUsdcAmount(balance.usdc),
+                updateDate
+            },
+            {
+                token: { id: `${wallet.blockchain}-NATIVE`, blockchain: wallet.blockchain, symbol: chain.nativeSymbol, decimals: 18, isNative: true },
+                amount: balance.native,
+                updateDate
+            }
+        ];
+    }
+
+    feeEstimate() {
+        const estimate = {};
+
+        for (const [level, fee] of Object.entries(FEE_ESTIMATES)) {
+            const networkFeeGwei = BigInt(fee.gasLimit) * BigInt(Math.round(Number(fee.maxFee) * 1e9));
+            const whole = networkFeeGwei / 10n ** 18n;
+            const fraction = (networkFeeGwei % 10n ** 18n).toString().padStart(18, '0').replace(/0+$/, '');
+
+            estimate[level] = { ...fee, networkFee: `${whole}${fraction ? `.${fraction}` : ''}` };
+        }
+
+        return estimate;
+    }
+
+    // Create a contract execution. Its effect is worked out now and shows once it completes.
+    executeContract(body) {
+        const wallet = this.findWallet(body.walletId);
+        const functionName = (body.abiFunctionSignature || '').split('(')[0];
+        const now = new Date().toISOString();
+        const transaction = {
+            id: crypto.randomUUID(),
+            blockchain: wallet.blockchain,
+            walletId: wallet.id,
+            sourceAddress: wallet.address,
+            operation: 'CONTRACT_EXECUTION',
+            transactionType: 'OUTBOUND',
+            contractAddress: body.contractAddress,
+            abiFunctionSignature: body.abiFunctionSignature,
+            abiParameters: body.abiParameters,
+            feeLevel: body.feeLevel,
+            state: 'INITIATED',
+            txHash: null,
+            createDate: now,
+            updateDate: now,
+            polls: 0
+        };
+
+        const failureIndex = this.failures.findIndex(failure => failure.functionName === functionName);
+        if (failureIndex !== -1) {
+            const [failure] = this.failures.splice(failureIndex, 1);
+            transaction.outcome = { state: failure.state, errorReason: failure.errorReason };
+        } else {
+            try {
+                this.applyContractCall(wallet, functionName, body, transaction);
+                transaction.outcome = { state: 'COMPLETE' };
+            } catch (error) {
+                transaction.outcome = { state: 'FAILED', errorReason: error.message };
+            }
+        }
+
+        this.transactions.set(transaction.id, transaction);
+        return { id: transaction.id, state: transaction.state };
+    }
+
+    // Create a same-chain token transfer (USDC, or the native token when `tokenAddress` is
+    // empty). The recipient is credited when it is one of the mock's wallets.
+    transferTokens(body) {
+        const wallet = this.findWallet(body.walletId);
+        const native = !body.tokenAddress;
+        const now = new Date().toISOString();
+
+        if (!native && !sameAddress(body.tokenAddress, getUSDCAddress(wallet.blockchain))) {
+            throw new MockApiError(400, `Token ${body.tokenAddress} is not simulated`);
+        }
+
+        const transaction = {
+            id: crypto.randomUUID(),
+            blockchain: wallet.blockchain,
+            walletId: wallet.id,
+            sourceAddress: wallet.address,
+            destinationAddress: body.destinationAddress,
+            operation: 'TRANSFER',
+            transactionType: 'OUTBOUND',
+            tokenAddress: body.tokenAddress || '',
+            amounts: body.amounts,
+            feeLevel: body.feeLevel,
+            state: 'INITIATED',
+            txHash: null,
+            createDate: now,
+            updateDate: now,
+            polls: 0
+        };
+
+        const failureIndex = this.failures.findIndex(failure => failure.functionName === 'transfer');
+        if (failureIndex !== -1) {
+            const [failure] = this.failures.splice(failureIndex, 1);
+            transaction.outcome = { state: failure.state, errorReason: failure.errorReason };
+        } else {
+            // USDC balances are kept in base units, native ones as decimal strings
+            const field = native ? 'native' : 'usdc';
+            const balanceOf = walletId => native ? parseNativeAmount(this.balances.get(walletId).native) : this.balances.get(walletId).usdc;
+            const format = native ? formatNativeAmount : formatUsdcAmount;
+            const amount = native ? parseNativeAmount(body.amounts[0]) : parseUsdcAmount(body.amounts[0]);
+            const balance = balanceOf(wallet.id);
+
+            if (amount > balance) {
+                transaction.outcome = { state: 'FAILED', errorReason: native ? 'INSUFFICIENT_NATIVE_TOKEN' : 'INSUFFICIENT_TOKEN' };
+            } else {
+                this.setBalance(wallet.id, { [field]: format(balance - amount) });
+
+                const recipient = this.wallets.find(candidate => candidate.blockchain === wallet.blockchain &&
+                    sameAddress(candidate.address, body.destinationAddress));
+                if (recipient) {
+                    this.setBalance(recipient.id, { [field]: format(balanceOf(recipient.id) + amount) });
+                }
+
+                transaction.txHash = randomHex(32);
+                transaction.outcome = { state: 'COMPLETE' };
+            }
+        }
+
+        this.transactions.set(transaction.id, transaction);
+        return { id: transaction.id, state: transaction.state };
+    }
+
+    // Update the simulated chains with a successful contract call, or throw the revert reason
+    applyContractCall(wallet, functionName, { contractAddress, abiParameters = [] }, transaction) {
+        const blockchain = wallet.blockchain;
+        const balance = this.balances.get(wallet.id);
+        transaction.txHash = randomHex(32);
+
+        if (functionName === 'approve') {
+            if (!sameAddress(contractAddress, getUSDCAddress(blockchain))) {
+                throw new Error('EXECUTION_REVERTED: not the USDC contract');
+            }
+            this.allowances.set(allowanceKey(blockchain, wallet.address, abiParameters[0]), BigInt(abiParameters[1]));
+            return;
+        }
+
+        if (functionName === 'depositForBurn') {
+            const cctpVersion = sameAddress(contractAddress, getTokenMessengerAddress(blockchain, 2)) ? 2 : 1;
+            if (!sameAddress(contractAddress, getTokenMessengerAddress(blockchain, cctpVersion))) {
+                throw new Error('EXECUTION_REVERTED: not a TokenMessenger');
+            }
+
+            const [amountText, destinationDomain, mintRecipient, burnToken, destinationCaller, maxFee, minFinalityThreshold] = abiParameters;
+            const amount = BigInt(amountText);
+            const key = allowanceKey(blockchain, wallet.address, contractAddress);
+            const allowance = this.allowances.get(key) || 0n;
+            const destinationChain = getChainByDomain(Number(destinationDomain), getChain(blockchain).testnet);
+
+            if (!sameAddress(burnToken, getUSDCAddress(blockchain)) || !destinationChain) {
+                throw new Error('EXECUTION_REVERTED: invalid burn token or destination domain');
+            }
+            if (allowance < amount) {
+                throw new Error('EXECUTION_REVERTED: ERC20: transfer amount exceeds allowance');
+            }
+            if (balance.usdc < amount) {
+                throw new Error('EXECUTION_REVERTED: ERC20: transfer amount exceeds balance');
+            }
+
+            this.allowances.set(key, allowance - amount);
+            balance.usdc -= amount;
+            this.publishBurn({
+                sourceBlockchain: blockchain,
+                destinationBlockchain: destinationChain.code,
+                mintRecipient,
+                amount,
+                cctpVersion,
+                messageSender: wallet.address,
+                destinationCaller: destinationCaller || ZERO_BYTES32,
+                maxFee: BigInt(maxFee || 0),
+                minFinalityThreshold: Number(minFinalityThreshold || 2000),
+                txHash: transaction.txHash
+            });
+            return;
+        }
+
+        if (functionName === 'receiveMessage') {
+            const [message, attestation] = abiParameters;
+            const decoded = decodeMessage(message);
+            const published = [...this.messages.values()].find(candidate => candidate.message === message);
+
+            if (!sameAddress(contractAddress, getMessageTransmitterAddress(blockchain, decoded.cctpVersion))) {
+                throw new Error('EXECUTION_REVERTED: not the MessageTransmitter');
+            }
+            if (decoded.destinationDomain !== getCCTPDomainId(blockchain)) {
+                throw new Error('EXECUTION_REVERTED: Invalid destination domain');
+            }
+            if (!published || published.attestation !== attestation) {
+                throw new Error('EXECUTION_REVERTED: Invalid attestation');
+            }
+            if (decoded.destinationCaller !== ZERO_BYTES32 && !sameAddress(bytes32ToAddress(blockchain, decoded.destinationCaller), wallet.address)) {
+                throw new Error('EXECUTION_REVERTED: Invalid caller for message');
+            }
+
+            const nonceKey = `${blockchain}:${usedNonceKey(decoded)}`;
+            if (this.usedNonces.has(nonceKey)) {
+                throw new Error('EXECUTION_REVERTED: Nonce already used');
+            }
+            this.usedNonces.add(nonceKey);
+
+            const recipient = bytes32ToAddress(blockchain, decoded.mintRecipient);
+            const recipientWallet = this.wallets.find(candidate => candidate.blockchain === blockchain && sameAddress(candidate.address, recipient));
+            if (recipientWallet) {
+                this.balances.get(recipientWallet.id).usdc += decoded.amount - (decoded.feeExecuted || 0n);
+            }
+            return;
+        }
+
+        throw new Error(`EXECUTION_REVERTED: ${functionName} is not simulated`);
+    }
+
+    // Each status check moves a transaction closer to its outcome
+    pollTransaction(id) {
+        const transaction = this.findTransaction(id);
+
+        if (transaction.outcome && !['COMPLETE', 'FAILED', 'CANCELLED', 'DENIED'].includes(transaction.state)) {
+            transaction.polls++;
+            if (transaction.polls >= this.transactionPolls) {
+                transaction.state = transaction.outcome.state;
+                if (transaction.outcome.errorReason) {
+                    transaction.errorReason = transaction.outcome.errorReason;
+                }
+            } else {
+                transaction.state = 'SENT';
+            }
+            transaction.updateDate = new Date().toISOString();
+        }
+
+        const { polls, outcome, ...visible } = transaction;
+        return visible;
+    }
+
+    queryContract({ blockchain, address, abiFunctionSignature, abiParameters = [] }) {
+        const functionName = (abiFunctionSignature || '').split('(')[0];
+        let value;
+
+        if (functionName === 'allowance' && sameAddress(address, getUSDCAddress(blockchain))) {
+            value = this.allowances.get(allowanceKey(blockchain, abiParameters[0], abiParameters[1])) || 0n;
+        } else if (functionName === 'usedNonces') {
+            value = this.usedNonces.has(`${blockchain}:${abiParameters[0]}`) ? 1n : 0n;
+        } else {
+            throw new MockApiError(400, `${abiFunctionSignature} on ${address} is not simulated`);
+        }
+
+        return { outputValues: [value.toString()], outputData: `0x${value.toString(16).padStart(64, '0')}` };
+    }
+
+    getMessages(sourceDomain, txHash, cctpVersion) {
+        const published = this.messages.get(`${sourceDomain}:${txHash.toLowerCase()}`);
+
+        if (!published || published.cctpVersion !== cctpVersion) {
+            return { status: 404, body: { error: 'Message hash not found' } };
+        }
+
+        const pending = published.pendingPolls > 0;
+        if (pending) {
+            published.pendingPolls--;
+        }
+
+        const message = {
+            message: published.message,
+            attestation: pending ? 'PENDING' : published.attestation,
+            eventNonce: published.eventNonce
+        };
+        if (cctpVersion === 2) {
+            Object.assign(message, { cctpVersion: 2, status: pending ? 'pending_confirmations' : 'complete' });
+        }
+
+        return { body: { messages: [message] } };
+    }
+}
+
+// Helper function to compare addresses ignoring case
+function sameAddress(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Helper function to key an allowance by chain, owner and spender
+function allowanceKey(blockchain, owner, spender) {
+    return `${blockchain}:${owner.toLowerCase()}:${spender.toLowerCase()}`;
+}
+
+// Wallets of the standalone mock when no scenario is given
+const DEFAULT_SCENARIO = {
+    walletSets: [{
+        name: 'Mock Wallet Set',
+        wallets: [
+            { blockchain: 'ETH-SEPOLIA', usdc: '100', native: '1' },
+            { blockchain: 'MATIC-AMOY', usdc: '0', native: '5' }
+        ]
+    }]
+};
+
+// Run the mock on its own: node test/mock-server.js [--port 4010] [--scenario file.json]
+async function main() {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+    const scenarioFile = option('--scenario');
+
+    const mock = new MockCircleServer();
+    mock.seed(scenarioFile ? JSON.parse(fs.readFileSync(scenarioFile, 'utf8')) : DEFAULT_SCENARIO);
+    const url = await mock.start(Number(option('--port') || 4010));
+
+    console.log(`🧪 Mock Circle API and attestation service listening on ${url}\n`);
+    console.log("Point the tools at it with:");
+    console.log(`   CIRCLE_API_BASE_URL=${url}`);
+    console.log(`   CCTP_ATTESTATION_URL=${url}`);
+    console.log("   CIRCLE_API_KEY=<anything> CIRCLE_ENTITY_SECRET=<any 64 hex characters>\n");
+    console.log("Wallets:");
+    for (const wallet of mock.wallets) {
+        console.log(`   ${wallet.id}  ${wallet.blockchain.padEnd(12)} ${wallet.address}  ${mock.usdcBalance(wallet.id)} USDC`);
+    }
+
+    process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error("❌ Could not start the mock server:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockCircleServer, encodeBurnMessage };
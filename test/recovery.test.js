@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setup, runTransferTool, contractCalls } = require('./helpers');
+
+const EXTERNAL_RECIPIENT = '0x1111111111111111111111111111111111111111';
+
+let context;
+let source;
+let destination;
+
+beforeEach(async () => {
+    context = await setup({
+        walletSets: [{
+            name: 'Operations',
+            wallets: [
+                { blockchain: 'ETH-SEPOLIA', usdc: '50', native: '1' },
+                { blockchain: 'MATIC-AMOY', usdc: '0', native: '5' }
+            ]
+        }]
+    });
+    [source, destination] = context.wallets;
+});
+
+afterEach(() => context.close());
+
+test('mints a burn made elsewhere to one of our wallets', async () => {
+    const burnTxHash = context.mock.simulateBurn({
+        sourceBlockchain: 'ETH-SEPOLIA',
+        destinationBlockchain: 'MATIC-AMOY',
+        recipient: destination.address,
+        amount: '7.5'
+    });
+
+    const { code, result } = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.amount, '7.5');
+    assert.equal(result.destination.walletId, destination.id);
+    assert.match(result.mintTxHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(context.mock.usdcBalance(destination.id), '7.5');
+});
+
+test('does not mint a burn a second time', async () => {
+    const burnTxHash = context.mock.simulateBurn({
+        sourceBlockchain: 'ETH-SEPOLIA',
+        destinationBlockchain: 'MATIC-AMOY',
+        recipient: destination.address,
+        amount: '3'
+    });
+
+    const first = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--yes']);
+    const second = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--yes']);
+
+    assert.equal(first.code, 0);
+    assert.equal(second.code, 0);
+    assert.equal(second.result.alreadyMinted, true);
+    assert.equal(second.result.mintTxHash, first.result.mintTxHash);
+    assert.equal(contractCalls(context.mock, 'receiveMessage').length, 1);
+    assert.equal(context.mock.usdcBalance(destination.id), '3');
+});
+
+test('finishes a transfer whose mint failed from its Circle burn transaction', async () => {
+    context.mock.failTransaction('receiveMessage');
+
+    const failed = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '20', '--yes']);
+
+    assert.equal(failed.code, 6);
+    assert.equal(failed.result.step, 'mint');
+
+    const [burn] = contractCalls(context.mock, 'depositForBurn');
+    const { code, result } = await runTransferTool(context, ['recover', '--tx', burn.id, '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.burnTxHash, burn.txHash);
+    assert.equal(context.mock.usdcBalance(destination.id), '20');
+});
+
+test('mints a CCTP V2 burn that names our wallet as destination caller', async () => {
+    const burnTxHash = context.mock.simulateBurn({
+        sourceBlockchain: 'ETH-SEPOLIA',
+        destinationBlockchain: 'MATIC-AMOY',
+        recipient: destination.address,
+        amount: '4',
+        cctpVersion: 2,
+        destinationCaller: destination.address
+    });
+
+    const { code, result } = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.cctpVersion, 2);
+    assert.equal(contractCalls(context.mock, 'receiveMessage').length, 1);
+    assert.equal(context.mock.usdcBalance(destination.id), '4');
+});
+
+test('exports a claim for an external recipient', async () => {
+    const burnTxHash = context.mock.simulateBurn({
+        sourceBlockchain: 'ETH-SEPOLIA',
+        destinationBlockchain: 'MATIC-AMOY',
+        recipient: EXTERNAL_RECIPIENT,
+        amount: '1'
+    });
+
+    const refused = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--yes']);
+
+    assert.equal(refused.code, 2);
+    assert.match(refused.result.message, /is not one of your wallets/);
+
+    const { code, result } = await runTransferTool(context, ['recover', '--burn-tx', burnTxHash, '--source', 'ETH-SEPOLIA', '--claim-only', '--yes']);
+    const claim = JSON.parse(fs.readFileSync(path.join(context.dir, result.claimFile), 'utf8'));
+
+    assert.equal(code, 0);
+    assert.equal(result.mintMode, 'claim');
+    assert.match(claim.message, /^0x[0-9a-f]+$/);
+    assert.match(claim.attestation, /^0x[0-9a-f]+$/);
+    assert.equal(contractCalls(context.mock, 'receiveMessage').length, 0);
+});
+
+test('reports a burn the attestation service does not know', async () => {
+    const { code, result } = await runTransferTool(context, ['recover', '--burn-tx', `0x${'ab'.repeat(32)}`, '--source', 'ETH-SEPOLIA', '--yes']);
+
+    assert.equal(code, 7);
+    assert.match(result.message, /No CCTP burn found/);
+});
+
+test('reports an unknown Circle transaction', async () => {
+    context.mock.respondWith('GET', '/v1/w3s/transactions/', 404, { code: 156005, message: 'Cannot find target transaction' });
+
+    const { code, result } = await runTransferTool(context, ['recover', '--tx', 'no-such-transaction', '--yes']);
+
+    assert.equal(code, 1);
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /404/);
+});
@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, runTransferTool, tagWallets, requestsTo, contractCalls } = require('./helpers');
+const { parseUsdcAmount, formatUsdcAmount } = require('../lib/usdc-amount');
+
+const WALLET_SETS = [{
+    name: 'Treasury',
+    wallets: [
+        { blockchain: 'ETH-SEPOLIA', usdc: '100', native: '1' },
+        { blockchain: 'MATIC-AMOY', usdc: '0', native: '5' }
+    ]
+}];
+
+let context;
+let source;
+let destination;
+
+beforeEach(async () => {
+    context = await setup({ walletSets: WALLET_SETS });
+    [source, destination] = context.wallets;
+});
+
+afterEach(() => context.close());
+
+test('transfers USDC between two wallets', async () => {
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '25', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.status, 'success');
+    assert.equal(result.amount, '25');
+    assert.match(result.approvalTxHash, /^0x[0-9a-f]{64}$/);
+    assert.match(result.burnTxHash, /^0x[0-9a-f]{64}$/);
+    assert.match(result.mintTxHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(context.mock.usdcBalance(source.id), '75');
+    assert.equal(context.mock.usdcBalance(destination.id), '25');
+});
+
+test('skips the approval while an approval cap covers the amount', async () => {
+    const first = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '10', '--approval-cap', '50', '--yes']);
+    const second = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '10', '--yes']);
+
+    assert.equal(first.code, 0);
+    assert.equal(second.code, 0);
+    assert.equal(second.result.approvalSkipped, true);
+    assert.equal(contractCalls(context.mock, 'approve').length, 1);
+    assert.equal(context.mock.usdcBalance(destination.id), '20');
+});
+
+test('runs a CCTP V2 Fast Transfer', async () => {
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '10', '--fast', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.cctpVersion, 2);
+    assert.equal(result.speed, 'fast');
+    assert.equal(requestsTo(context.mock, 'GET', '/v2/messages/').length > 0, true);
+    assert.equal(context.mock.usdcBalance(destination.id), formatUsdcAmount(parseUsdcAmount('10') - BigInt(result.maxFee)));
+});
+
+test('keeps polling while the attestation is delayed', async () => {
+    context.mock.delayAttestation(3);
+
+    const { code } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(requestsTo(context.mock, 'GET', '/v1/messages/').length, 4);
+    assert.equal(context.mock.usdcBalance(destination.id), '5');
+});
+
+test('reports a failed burn and submits a new one on resume', async () => {
+    context.mock.failTransaction('depositForBurn', { errorReason: 'INSUFFICIENT_NATIVE_TOKEN' });
+
+    const failed = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--yes']);
+
+    assert.equal(failed.code, 6);
+    assert.equal(failed.result.status, 'error');
+    assert.equal(failed.result.step, 'burn');
+    assert.match(failed.result.message, /INSUFFICIENT_NATIVE_TOKEN/);
+    assert.equal(context.mock.usdcBalance(source.id), '100');
+
+    const resumed = await runTransferTool(context, ['resume', '--id', failed.result.journalId]);
+
+    assert.equal(resumed.code, 0);
+    assert.equal(contractCalls(context.mock, 'depositForBurn').length, 2);
+    assert.equal(contractCalls(context.mock, 'approve').length, 1);
+    assert.equal(context.mock.usdcBalance(destination.id), '5');
+});
+
+test('pauses at the attestation deadline and finishes on resume', async () => {
+    await context.close();
+    context = await setup({ walletSets: WALLET_SETS, polling: { attestationDeadlineMs: 300 } });
+    [source, destination] = context.wallets;
+    context.mock.delayAttestation(Infinity);
+
+    const paused = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--yes']);
+
+    assert.equal(paused.code, 8);
+    assert.equal(paused.result.step, 'attestation');
+    assert.match(paused.result.message, /after 0\.3 seconds/);
+    assert.equal(context.mock.usdcBalance(destination.id), '0');
+
+    context.mock.releaseAttestations();
+    const resumed = await runTransferTool(context, ['resume', '--waiting']);
+
+    assert.equal(resumed.code, 0);
+    assert.equal(contractCalls(context.mock, 'depositForBurn').length, 1);
+    assert.equal(context.mock.usdcBalance(destination.id), '5');
+});
+
+test('refuses a transfer larger than the balance before submitting anything', async () => {
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '150', '--yes']);
+
+    assert.equal(code, 5);
+    assert.equal(result.errorClass, 'INSUFFICIENT_BALANCE');
+    assert.equal(context.mock.transactions.size, 0);
+});
+
+test('refuses a wallet without native tokens for gas', async () => {
+    context.mock.setBalance(destination.id, { native: '0' });
+
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--yes']);
+
+    assert.equal(code, 5);
+    assert.match(result.message, /Not enough native tokens for gas/);
+    assert.equal(context.mock.transactions.size, 0);
+});
+
+test('refuses a source wallet tagged frozen', async () => {
+    tagWallets(context, { [source.id]: ['frozen'] });
+
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--allow-treasury', '--yes']);
+
+    assert.equal(code, 4);
+    assert.match(result.message, /tagged frozen/);
+    assert.equal(context.mock.transactions.size, 0);
+});
+
+test('transfers from a treasury wallet only with --allow-treasury', async () => {
+    tagWallets(context, { [source.id]: ['treasury'] });
+
+    const refused = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--yes']);
+    const allowed = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '5', '--allow-treasury', '--yes']);
+
+    assert.equal(refused.code, 2);
+    assert.match(refused.result.message, /treasury wallet/);
+    assert.equal(allowed.code, 0);
+    assert.match(allowed.logs, /Transferring from treasury wallet/);
+    assert.equal(context.mock.usdcBalance(destination.id), '5');
+});
+
+test('reports an unknown wallet', async () => {
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', 'no-such-wallet', '--to', destination.id, '--amount', '5', '--yes']);
+
+    assert.equal(code, 4);
+    assert.equal(result.status, 'error');
+});
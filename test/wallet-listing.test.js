@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, runTransferTool, requestsTo } = require('./helpers');
+
+// More wallets than fit in one page of Circle's wallet list
+const BULK_WALLETS = 60;
+
+let context;
+
+beforeEach(async () => {
+    context = await setup({
+        walletSets: [
+            {
+                name: 'Treasury',
+                wallets: [
+                    { blockchain: 'ETH-SEPOLIA', usdc: '10', refId: 'ops', createDate: '2025-01-10T00:00:00.000Z' },
+                    { blockchain: 'MATIC-AMOY', state: 'FROZEN', refId: 'ops', createDate: '2025-03-10T15:30:00.000Z' },
+                    { blockchain: 'ETH-SEPOLIA', createDate: '2025-06-10T00:00:00.000Z' }
+                ]
+            },
+            {
+                name: 'Bulk',
+                wallets: Array.from({ length: BULK_WALLETS }, () => ({ blockchain: 'MATIC-AMOY', usdc: '0', native: '1' }))
+            }
+        ]
+    });
+});
+
+afterEach(() => context.close());
+
+// Wallet IDs of a `wallets` command result
+const ids = result => result.wallets.map(wallet => wallet.id).sort();
+
+test('pages through every wallet of a large wallet set', async () => {
+    const source = context.wallets[0];
+    const destination = context.wallets[context.wallets.length - 1];
+
+    const { code, result } = await runTransferTool(context, ['transfer', '--from', source.id, '--to', destination.id, '--amount', '1', '--yes']);
+
+    assert.equal(code, 0);
+    assert.equal(result.destination.walletId, destination.id);
+    assert.ok(requestsTo(context.mock, 'GET', '/v1/w3s/wallets').some(request => request.query.pageAfter));
+    assert.equal(context.mock.usdcBalance(destination.id), '1');
+});
+
+test('lists every wallet without filters', async () => {
+    const { code, result } = await runTransferTool(context, ['wallets']);
+
+    assert.equal(code, 0);
+    assert.equal(result.wallets.length, 3 + BULK_WALLETS);
+    assert.deepEqual(result.failures, []);
+});
+
+test('filters wallets by blockchain, state, wallet set, refId and created date', async () => {
+    const [first, frozen, latest] = context.wallets;
+
+    const byChain = await runTransferTool(context, ['wallets', '--blockchain', 'ETH-SEPOLIA']);
+    const byState = await runTransferTool(context, ['wallets', '--state', 'frozen']);
+    const bySet = await runTransferTool(context, ['wallets', '--wallet-set', 'Treasury', '--ref-id', 'ops']);
+    const byDate = await runTransferTool(context, ['wallets', '--wallet-set', 'Treasury', '--created-after', '2025-02-01', '--created-before', '2025-04-01']);
+
+    assert.deepEqual(ids(byChain.result), [first.id, latest.id].sort());
+    assert.deepEqual(ids(byState.result), [frozen.id]);
+    assert.deepEqual(ids(bySet.result), [first.id, frozen.id].sort());
+    assert.deepEqual(ids(byDate.result), [frozen.id]);
+});
+
+test('includes the whole day of a plain created-before date', async () => {
+    const [first, frozen] = context.wallets;
+
+    const byDay = await runTransferTool(context, ['wallets', '--wallet-set', 'Treasury', '--created-before', '2025-03-10']);
+    const byTime = await runTransferTool(context, ['wallets', '--wallet-set', 'Treasury', '--created-before', '2025-03-10T12:00:00Z']);
+
+    assert.deepEqual(ids(byDay.result), [first.id, frozen.id].sort());
+    assert.deepEqual(ids(byTime.result), [first.id]);
+    assert.ok(requestsTo(context.mock, 'GET', '/v1/w3s/wallets').some(request => request.query.to === '2025-03-10T23:59:59.999Z'));
+});
+
+test('rejects an invalid filter', async () => {
+    const { code, result } = await runTransferTool(context, ['wallets', '--state', 'ASLEEP']);
+
+    assert.equal(code, 2);
+    assert.match(result.message, /Invalid wallet state "ASLEEP"/);
+});
+
+test('reports a wallet set whose wallets cannot be listed', async () => {
+    context.mock.respondWith('GET', '/v1/w3s/wallets', 500, { code: -1, message: 'Internal error' });
+
+    const { code, result } = await runTransferTool(context, ['wallets']);
+
+    assert.equal(code, 1);
+    assert.equal(result.status, 'error');
+    assert.equal(result.failures.length, 1);
+    assert.equal(result.failures[0].walletSetName, 'Treasury');
+    assert.equal(result.wallets.length, BULK_WALLETS);
+});
@@ -0,0 +1,458 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setup, runInteractive, tagWallets } = require('./helpers');
+const { listChains, listCctpChains } = require('../lib/chain-registry');
+const { CctpTransferClient } = require('../lib/cctp-transfer-client');
+
+const MENU = /Select an option \(1-7\): /;
+const CONTINUE = /Press Enter to continue\.\.\./;
+const NETWORKS = /Select networks \(e\.g\. 1 or 1,3\).*: /;
+const FILTERS = /or press Enter for all: /;
+const EXPORT = /Export the snapshot to a \.csv or \.json file \(press Enter to skip\): /;
+const REF_ID = /Reference ID shared by the matching wallets on each network \(optional\): /;
+
+// Menu number of a network in the wallet manager, which lists the registry in order
+function networkChoice(blockchain) {
+    return String(listChains().findIndex(chain => chain.code === blockchain) + 1);
+}
+
+let context;
+
+beforeEach(async () => {
+    context = await setup({
+        walletSets: [
+            {
+                name: 'Treasury',
+                wallets: [
+                    { blockchain: 'ETH-SEPOLIA', usdc: '100.5', native: '0.25' },
+                    { blockchain: 'MATIC-AMOY', usdc: '20', native: '3' }
+                ]
+            },
+            { name: 'Empty Set', wallets: [] },
+            { name: 'Operations', wallets: [{ blockchain: 'ETH-SEPOLIA', usdc: '0.000001', native: '0.5' }] }
+        ]
+    });
+});
+
+afterEach(() => context.close());
+
+test('lists wallet sets and their wallets', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '1'],
+        [FILTERS, ''],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Found 3 wallet set\(s\)/);
+    assert.match(stdout, /Name: Treasury/);
+    for (const wallet of context.wallets) {
+        assert.ok(stdout.includes(`Address: ${wallet.address}`), `${wallet.address} is listed`);
+    }
+    assert.match(stdout, /No wallets in this set/);
+});
+
+test('lists only the wallets matching the filters', async () => {
+    const [treasuryEth, treasuryAmoy, operationsEth] = context.wallets;
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '1'],
+        [FILTERS, 'blockchain=eth-sepolia walletSet=treasury'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Found 1 wallet set\(s\) and 1 matching wallet\(s\)/);
+    assert.ok(stdout.includes(`Address: ${treasuryEth.address}`));
+    assert.ok(!stdout.includes(`Address: ${treasuryAmoy.address}`));
+    assert.ok(!stdout.includes(`Address: ${operationsEth.address}`));
+});
+
+test('rejects an unknown wallet filter', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '1'],
+        [FILTERS, 'colour=blue'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Invalid wallet filter "colour=blue"/);
+    assert.doesNotMatch(stdout, /Found \d+ wallet set/);
+});
+
+test('creates a wallet set', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '2'],
+        [/Enter a name for the new wallet set: /, 'Payroll'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Wallet set created successfully/);
+    assert.ok(context.mock.walletSets.some(set => set.name === 'Payroll'));
+});
+
+test('creates wallets in a wallet set', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '3'],
+        [/Select a wallet set \(1-3\): /, '2'],
+        [NETWORKS, networkChoice('MATIC-AMOY')],
+        [/How many wallets per network\? \(default: 1\): /, '2'],
+        [REF_ID, ''],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const created = context.mock.wallets.filter(wallet => wallet.walletSetId === context.mock.walletSets[1].id);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Successfully created 2 wallet\(s\)/);
+    assert.equal(created.length, 2);
+    assert.ok(created.every(wallet => wallet.blockchain === 'MATIC-AMOY'));
+});
+
+test('creates matching wallets on several networks with a shared refId', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '3'],
+        [/Select a wallet set \(1-3\): /, '2'],
+        [NETWORKS, ['ETH-SEPOLIA', 'AVAX-FUJI', 'MATIC-AMOY'].map(networkChoice).join(',')],
+        [/How many wallets per network\? \(default: 1\): /, ''],
+        [REF_ID, 'ops-hot'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const created = context.mock.wallets.filter(wallet => wallet.walletSetId === context.mock.walletSets[1].id);
+
+    assert.equal(code, 0);
+    assert.deepEqual(created.map(wallet => wallet.blockchain).sort(), ['AVAX-FUJI', 'ETH-SEPOLIA', 'MATIC-AMOY']);
+    assert.ok(created.every(wallet => wallet.refId === 'ops-hot'));
+    for (const wallet of created) {
+        assert.match(stdout, new RegExp(`${wallet.blockchain} +${wallet.address} +${wallet.id} +ops-hot`));
+    }
+});
+
+test('creates a wallet on every testnet CCTP network', async () => {
+    const { code } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '3'],
+        [/Select a wallet set \(1-3\): /, '2'],
+        [NETWORKS, 'testnet'],
+        [/How many wallets per network\? \(default: 1\): /, '2'],
+        [REF_ID, 'desk'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const created = context.mock.wallets.filter(wallet => wallet.walletSetId === context.mock.walletSets[1].id);
+    const testnets = listCctpChains().filter(chain => chain.testnet).map(chain => chain.code);
+
+    assert.equal(code, 0);
+    assert.equal(created.length, testnets.length * 2);
+    assert.deepEqual([...new Set(created.map(wallet => wallet.blockchain))].sort(), [...testnets].sort());
+    assert.deepEqual([...new Set(created.map(wallet => wallet.refId))].sort(), ['desk-1', 'desk-2']);
+});
+
+test('refuses to mix mainnet and testnet networks', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '3'],
+        [/Select a wallet set \(1-3\): /, '1'],
+        [NETWORKS, ['ETH', 'ETH-SEPOLIA'].map(networkChoice).join(',')],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /either mainnet or testnet networks, not both/);
+    assert.equal(context.mock.wallets.length, 3);
+});
+
+test('reports wallets that cannot be listed', async () => {
+    context.mock.respondWith('GET', '/v1/w3s/wallets', 404, { code: 156002, message: 'Cannot find target wallet set' });
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '1'],
+        [FILTERS, ''],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Error fetching wallets: Request failed with status code 404/);
+    assert.match(stdout, /The wallets of 1 wallet set\(s\) could not be listed/);
+    assert.ok(!stdout.includes(`Address: ${context.wallets[0].address}`));
+});
+
+test('rejects an empty wallet set name', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '2'],
+        [/Enter a name for the new wallet set: /, ''],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Wallet set name cannot be empty/);
+    assert.equal(context.mock.walletSets.length, 3);
+});
+
+test('shows portfolio balances with subtotals and exports them as CSV', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '4'],
+        [FILTERS, ''],
+        [EXPORT, 'portfolio.csv'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const [treasuryEth, treasuryAmoy, operationsEth] = context.wallets;
+    const [header, ...rows] = fs.readFileSync(path.join(context.dir, 'portfolio.csv'), 'utf8').trim().split('\n');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Portfolio of 3 wallet\(s\)/);
+    assert.ok(stdout.includes(`${treasuryEth.address}  100.5`));
+    assert.match(stdout, /Subtotal: 120\.5 USDC \(testnet\); native: 0\.25 ETH, 3 POL/);
+    assert.match(stdout, /ETH-SEPOLIA +2 +100\.500001 +0\.75 ETH/);
+    assert.match(stdout, /Total testnet: 120\.500001 USDC across 3 wallet\(s\)/);
+    assert.equal(header, 'walletSetName,walletSetId,walletId,blockchain,address,refId,usdc,native,nativeSymbol,error');
+    assert.equal(rows.length, 3);
+    assert.ok(rows.includes(`Treasury,${treasuryAmoy.walletSetId},${treasuryAmoy.id},MATIC-AMOY,${treasuryAmoy.address},,20,3,POL,`));
+    assert.ok(rows.includes(`Operations,${operationsEth.walletSetId},${operationsEth.id},ETH-SEPOLIA,${operationsEth.address},,0.000001,0.5,ETH,`));
+});
+
+test('exports free-text fields starting like a formula as text', async () => {
+    const [, , operationsEth] = context.wallets;
+    context.mock.walletSets[2].name = '=HYPERLINK("http://example.com")';
+    operationsEth.refId = '@ops';
+
+    const { code } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '4'],
+        [FILTERS, ''],
+        [EXPORT, 'portfolio.csv'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const rows = fs.readFileSync(path.join(context.dir, 'portfolio.csv'), 'utf8').trim().split('\n');
+
+    assert.equal(code, 0);
+    assert.ok(rows.includes(`"'=HYPERLINK(""http://example.com"")",${operationsEth.walletSetId},${operationsEth.id},ETH-SEPOLIA,${operationsEth.address},'@ops,0.000001,0.5,ETH,`));
+});
+
+test('retries rate-limited balance requests and reports wallets it cannot read', async () => {
+    const [treasuryEth, treasuryAmoy] = context.wallets;
+    context.mock.respondWith('GET', `/v1/w3s/wallets/${treasuryEth.id}/balances`, 429, { code: -1, message: 'Too many requests' });
+    context.mock.respondWith('GET', `/v1/w3s/wallets/${treasuryAmoy.id}/balances`, 500, { code: -1, message: 'Internal error' }, { times: Infinity });
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '4'],
+        [FILTERS, ''],
+        [EXPORT, 'portfolio.json'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(context.dir, 'portfolio.json'), 'utf8'));
+
+    assert.equal(code, 0);
+    assert.match(stdout, /1 request\(s\) failed/);
+    assert.equal(snapshot.wallets.find(wallet => wallet.walletId === treasuryEth.id).usdc, '100.5');
+    assert.equal(snapshot.wallets.find(wallet => wallet.walletId === treasuryAmoy.id).usdc, null);
+    assert.deepEqual(snapshot.failures.map(failure => failure.walletId), [treasuryAmoy.id]);
+    assert.deepEqual(snapshot.walletSets.find(walletSet => walletSet.walletSetName === 'Treasury').usdc, { testnet: '100.5' });
+    assert.deepEqual(snapshot.totals, [{ network: 'testnet', wallets: 3, usdc: '100.500001' }]);
+});
+
+test('renames a wallet set', async () => {
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '5'],
+        [/Select a wallet set \(1-3\): /, '3'],
+        [/Select an option \(1-2\): /, '1'],
+        [/New name for "Operations": /, 'Ops Europe'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Wallet set renamed to "Ops Europe"/);
+    assert.equal(context.mock.walletSets[2].name, 'Ops Europe');
+});
+
+test('updates the metadata and tags of a wallet and shows them', async () => {
+    const [treasuryEth] = context.wallets;
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '5'],
+        [/Select a wallet set \(1-3\): /, '1'],
+        [/Select an option \(1-2\): /, '2'],
+        [/Select a wallet \(1-2\): /, '1'],
+        [/Name \(Enter to keep none, "-" to clear\): /, 'Main reserve'],
+        [/Reference ID \(Enter to keep none, "-" to clear\): /, 'reserve-eth'],
+        [/Tags: frozen, treasury, hot, comma-separated/, 'Treasury'],
+        [CONTINUE, ''],
+        [MENU, '1'],
+        [FILTERS, 'refId=reserve-eth'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const tags = JSON.parse(fs.readFileSync(context.env.CCTP_WALLET_TAGS_FILE, 'utf8'));
+
+    assert.equal(code, 0);
+    assert.equal(treasuryEth.name, 'Main reserve');
+    assert.equal(treasuryEth.refId, 'reserve-eth');
+    assert.deepEqual(tags.wallets, { [treasuryEth.id]: ['treasury'] });
+    assert.match(stdout, /Name: Main reserve\n.*\n.*\n\s+Ref ID: reserve-eth\n\s+Tags: treasury/);
+});
+
+test('clears the tags of a wallet and rejects unknown tags', async () => {
+    const [, treasuryAmoy] = context.wallets;
+    tagWallets(context, { [treasuryAmoy.id]: ['frozen', 'hot'] });
+
+    const steps = tags => [
+        [MENU, '5'],
+        [/Select a wallet set \(1-3\): /, '1'],
+        [/Select an option \(1-2\): /, '2'],
+        [/Select a wallet \(1-2\): /, '2'],
+        [/Name \(.*\): /, ''],
+        [/Reference ID \(.*\): /, ''],
+        [/Enter to keep frozen, hot/, tags],
+        [CONTINUE, '']
+    ];
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        ...steps('cold'),
+        ...steps('-'),
+        [MENU, '7']
+    ]);
+
+    const tags = JSON.parse(fs.readFileSync(context.env.CCTP_WALLET_TAGS_FILE, 'utf8'));
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Unknown wallet tag "cold"/);
+    assert.deepEqual(tags.wallets, {});
+    assert.ok(!context.mock.requests.some(request => request.method === 'PUT'));
+});
+
+// Transfer requests the wallet manager submitted through Circle's transfer API
+function transferRequests() {
+    return context.mock.requests.filter(request => request.method === 'POST' && request.path === '/v1/w3s/developer/transactions/transfer');
+}
+
+test('sends USDC to another wallet on the same network', async () => {
+    const [treasuryEth, , operationsEth] = context.wallets;
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '6'],
+        [/Select the sending wallet \(1-3\): /, '1'],
+        [/Select the token \(1-2\): /, '1'],
+        [/Select the recipient \(1-2\): /, '1'],
+        [/Amount of USDC to send \(or "max"\): /, '25'],
+        [/Proceed with the send\? \(yes\/no\): /, 'yes'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const [request] = transferRequests();
+
+    assert.equal(code, 0);
+    assert.match(stdout, /1\. USDC \(100\.5 USDC\)\n\s+2\. ETH \(0\.25 ETH\)/);
+    assert.match(stdout, /Network fee: ~0\.000195 ETH \(MEDIUM; 0\.25 ETH available\)/);
+    assert.match(stdout, new RegExp(`Sent 25 USDC to ${operationsEth.address}`));
+    assert.equal(request.body.destinationAddress, operationsEth.address);
+    assert.equal(request.body.feeLevel, 'MEDIUM');
+    assert.equal(context.mock.usdcBalance(treasuryEth.id), '75.5');
+    assert.equal(context.mock.usdcBalance(operationsEth.id), '25.000001');
+});
+
+test('sends the native token to an entered address', async () => {
+    const [, treasuryAmoy] = context.wallets;
+    const recipient = '0x' + '42'.repeat(20);
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '6'],
+        [/Select the sending wallet \(1-3\): /, '2'],
+        [/Select the token \(1-2\): /, '2'],
+        [/1\. Enter an address\n.*Select the recipient \(1-1\): /, '1'],
+        [/Recipient address: /, recipient],
+        [/Amount of POL to send: /, '1.5'],
+        [/Proceed with the send\? \(yes\/no\): /, 'yes'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    const [request] = transferRequests();
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Sent 1\.5 POL/);
+    assert.equal(request.body.tokenAddress, '');
+    assert.deepEqual(request.body.amounts, ['1.5']);
+    assert.equal(context.mock.nativeBalance(treasuryAmoy.id), '1.5');
+});
+
+test('refuses sends from a frozen wallet or beyond the balance', async () => {
+    const [treasuryEth, , operationsEth] = context.wallets;
+    tagWallets(context, { [treasuryEth.id]: ['frozen'] });
+
+    const { code, stdout } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '6'],
+        [/Select the sending wallet \(1-3\): /, '1'],
+        [CONTINUE, ''],
+        [MENU, '6'],
+        [/Select the sending wallet \(1-3\): /, '3'],
+        [/Select the token \(1-2\): /, '1'],
+        [/Select the recipient \(1-2\): /, '1'],
+        [/Amount of USDC to send \(or "max"\): /, '5'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /is tagged frozen and cannot be used as a transfer source/);
+    assert.match(stdout, /Insufficient USDC balance: 0\.000001 available, 5 requested/);
+    assert.equal(transferRequests().length, 0);
+    assert.equal(context.mock.usdcBalance(operationsEth.id), '0.000001');
+});
+
+test('reports a transfer that fails on chain', async () => {
+    const [treasuryEth] = context.wallets;
+    context.mock.failTransaction('transfer');
+
+    const { code, stdout, stderr } = await runInteractive(context, 'wallet-manager.js', [
+        [MENU, '6'],
+        [/Select the sending wallet \(1-3\): /, '1'],
+        [/Select the token \(1-2\): /, '1'],
+        [/Select the recipient \(1-2\): /, '1'],
+        [/Amount of USDC to send \(or "max"\): /, 'max'],
+        [/Proceed with the send\? \(yes\/no\): /, 'yes'],
+        [CONTINUE, ''],
+        [MENU, '7']
+    ]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Amount: 100\.5 USDC/);
+    assert.match(stdout, /Transaction FAILED/);
+    assert.match(stderr, /Send failed: send transaction .* failed: EXECUTION_REVERTED/);
+    assert.equal(context.mock.usdcBalance(treasuryEth.id), '100.5');
+});
+
+test('refuses library sends from frozen wallets and unconfirmed treasury wallets', async () => {
+    const [treasuryEth, , operationsEth] = context.wallets;
+    const client = new CctpTransferClient({
+        apiKey: context.env.CIRCLE_API_KEY,
+        entitySecret: context.env.CIRCLE_ENTITY_SECRET,
+        baseUrl: context.env.CIRCLE_API_BASE_URL
+    });
+    const send = tags => ({ wallet: { ...treasuryEth, tags }, destinationAddress: operationsEth.address, amount: '1' });
+
+    await assert.rejects(client.send(send(['frozen'])), { exitCode: 4, message: /tagged frozen/ });
+    await assert.rejects(client.checkSend(send(['treasury'])), { exitCode: 2, message: /treasury wallet/ });
+    await assert.rejects(client.send({ ...send(['frozen']), allowTreasury: true }), { exitCode: 4 });
+    assert.equal(transferRequests().length, 0);
+    assert.equal(context.mock.usdcBalance(treasuryEth.id), '100.5');
+});
@@ -2,6 +2,16 @@ require('dotenv').config();
 const { initiateDeveloperControlledWalletsClient } = require('@circle-fin/developer-controlled-wallets');
 const config = require('./config');
 const readline = require('readline');
+const { listChains, listCctpChains, getChain, getAddressExplorerUrl, getExplorerUrl } = require('./lib/chain-registry');
+const { CctpTransferClient, TransactionFailedError, findUSDCBalance } = require('./lib/cctp-transfer-client');
+const { DeadlineExceededError } = require('./lib/polling');
+const { parseAddress, sameAddress } = require('./lib/addresses');
+const { describeFeeSetting } = require('./lib/fees');
+const { findNativeBalance, formatNativeAmount } = require('./lib/gas');
+const { formatUsdcAmount } = require('./lib/usdc-amount');
+const { takePortfolioSnapshot, writePortfolioSnapshot } = require('./lib/portfolio');
+const { listAllPages, listAllWallets, parseWalletFilterText } = require('./lib/wallet-listing');
+const { WALLET_TAGS, getWalletTags, setWalletTags, parseWalletTags, withWalletTags, confirmSourceAllowed } = require('./lib/wallet-tags');
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -9,17 +19,16 @@ const rl = readline.createInterface({
     output: process.stdout
 });
 
-// Available blockchain networks
-const NETWORKS = {
-    '1': { name: 'Polygon Amoy (Testnet)', code: 'MATIC-AMOY' },
-    '2': { name: 'Ethereum Sepolia (Testnet)', code: 'ETH-SEPOLIA' },
-    '3': { name: 'Ethereum Mainnet', code: 'ETH' },
-    '4': { name: 'Polygon Mainnet', code: 'MATIC' },
-    '5': { name: 'Solana Devnet (Testnet)', code: 'SOL-DEVNET' },
-    '6': { name: 'Solana Mainnet', code: 'SOL' }
-};
+// Available blockchain networks, numbered for the menu in registry order
+const NETWORKS = Object.fromEntries(
+    listChains().map((chain, index) => [String(index + 1), { name: chain.name, code: chain.code, testnet: Boolean(chain.testnet) }])
+);
+
+// Most wallets per network Circle creates in one request
+const MAX_WALLETS_PER_NETWORK = 200;
 
 let client;
+let transferClient;
 
 // Helper function to prompt user input
 function askQuestion(question) {
@@ -30,18 +39,95 @@ function askQuestion(question) {
     });
 }
 
+// Helper function to turn a network selection into networks: menu numbers separated
+// by commas ("1,3"), or "mainnet"/"testnet" for every CCTP chain of that kind.
+// Returns null for an invalid selection.
+function parseNetworkSelection(input) {
+    const text = input.trim().toLowerCase();
+
+    if (text === 'mainnet' || text === 'testnet') {
+        return listCctpChains()
+            .filter(chain => Boolean(chain.testnet) === (text === 'testnet'))
+            .map(chain => ({ name: chain.name, code: chain.code, testnet: Boolean(chain.testnet) }));
+    }
+
+    const keys = [...new Set(text.split(',').map(key => key.trim()).filter(Boolean))];
+    if (keys.length === 0 || keys.some(key => !NETWORKS[key])) {
+        return null;
+    }
+
+    return keys.map(key => NETWORKS[key]);
+}
+
+// Helper function to print created wallets as a table, grouped by network
+function printWalletTable(wallets) {
+    printTable([
+        ['Network', wallet => wallet.blockchain],
+        ['Address', wallet => wallet.address],
+        ['Wallet ID', wallet => wallet.id],
+        ['Ref ID', wallet => wallet.refId || '-']
+    ], [...wallets].sort((a, b) => a.blockchain.localeCompare(b.blockchain)));
+}
+
+// Helper function to print rows as a table with aligned columns; `columns` are [title, value] pairs
+function printTable(columns, rows) {
+    const widths = columns.map(([title, value]) => Math.max(title.length, ...rows.map(item => String(value(item)).length)));
+    const row = cells => ('   ' + cells.map((cell, index) => String(cell).padEnd(widths[index])).join('  ')).trimEnd();
+
+    console.log(row(columns.map(([title]) => title)));
+    console.log(row(widths.map(width => '─'.repeat(width))));
+    rows.forEach(item => console.log(row(columns.map(([, value]) => value(item)))));
+}
+
+// Helper function to format native token subtotals kept per symbol ("0.5 ETH, 2 POL")
+function formatNativeTotals(native) {
+    const entries = Object.entries(native);
+    return entries.length > 0 ? entries.map(([symbol, amount]) => `${amount} ${symbol}`).join(', ') : '-';
+}
+
 // Helper function to pause and wait for user
 function waitForUser() {
     return askQuestion('\nPress Enter to continue...');
 }
 
+// Print the progress of a same-chain send
+function attachSendLogging(emitter) {
+    emitter.on('transactionState', ({ state }) => {
+        switch (state) {
+            case 'QUEUED':
+                console.log("📥 Transaction queued by Circle");
+                break;
+            case 'SENT':
+                console.log("📡 Transaction broadcast, waiting for confirmation...");
+                break;
+            case 'FAILED':
+            case 'DENIED':
+            case 'CANCELLED':
+                console.log(`❌ Transaction ${state}`);
+                break;
+        }
+    });
+
+    emitter.on('transactionStuck', ({ txId, state, pendingMs }) => {
+        console.log(`🐢 Transaction ${txId} has been ${state || 'pending'} for ${Math.round(pendingMs / 60000)} minutes.`);
+    });
+
+    emitter.on('warning', ({ message }) => {
+        console.log(`⚠️  Warning: ${message}`);
+    });
+}
+
 // Initialize Circle client
 async function initializeClient() {
     try {
         client = initiateDeveloperControlledWalletsClient({
             apiKey: config.apiKey,
-            entitySecret: config.entitySecret
+            entitySecret: config.entitySecret,
+            baseUrl: config.apiBase
         });
+        // Same-chain sends reuse the transfer client's balance checks and transaction polling
+        transferClient = new CctpTransferClient({ circleClient: client, baseUrl: config.apiBase });
+        attachSendLogging(transferClient);
         console.log("✅ Circle SDK initialized successfully\n");
         return true;
     } catch (error) {
@@ -50,20 +136,42 @@ async function initializeClient() {
     }
 }
 
+// Helper function to ask for optional wallet filters; returns null when they are invalid
+async function askWalletFilters() {
+    const input = await askQuestion(
+        "Filter wallets by blockchain, state, walletSet, refId, createdAfter or createdBefore\n" +
+        "(e.g. blockchain=ETH-SEPOLIA refId=ops), or press Enter for all: "
+    );
+
+    try {
+        return parseWalletFilterText(input);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        return null;
+    }
+}
+
 // Option 1: List wallet sets and wallets
 async function listWalletsAndSets() {
     try {
         console.log("\n🔍 Listing all your wallet sets and wallets...\n");
-        
-        const walletSetsResponse = await client.listWalletSets();
-        const walletSets = walletSetsResponse.data?.walletSets || [];
+
+        const filters = await askWalletFilters();
+        if (!filters) {
+            return;
+        }
+
+        const filtered = Object.keys(filters).length > 0;
+        const listing = await listAllWallets(client, filters);
+        const { walletSets, failures } = listing;
+        const allWallets = withWalletTags(listing.wallets);
 
         if (walletSets.length === 0) {
-            console.log("❌ No wallet sets found.");
+            console.log(filters.walletSet ? `❌ No wallet set matches "${filters.walletSet}".` : "❌ No wallet sets found.");
             return;
         }
 
-        console.log(`✅ Found ${walletSets.length} wallet set(s)\n`);
+        console.log(`\n✅ Found ${walletSets.length} wallet set(s)${filtered ? ` and ${allWallets.length} matching wallet(s)` : ''}\n`);
 
         for (let i = 0; i < walletSets.length; i++) {
             const walletSet = walletSets[i];
@@ -72,34 +180,41 @@ async function listWalletsAndSets() {
             console.log(`   ID: ${walletSet.id}`);
             console.log(`   Created: ${new Date(walletSet.createDate).toLocaleString()}`);
 
-            try {
-                const walletsResponse = await client.listWallets({
-                    walletSetId: walletSet.id
+            const failure = failures.find(candidate => candidate.walletSetId === walletSet.id);
+            const wallets = allWallets.filter(wallet => wallet.walletSetId === walletSet.id);
+
+            if (failure) {
+                console.log(`   ❌ Error fetching wallets: ${failure.message}\n`);
+            } else if (wallets.length === 0) {
+                console.log(`   💰 No ${filtered ? 'matching ' : ''}wallets in this set\n`);
+            } else {
+                console.log(`   💰 Wallets (${wallets.length}):`);
+
+                wallets.forEach((wallet, index) => {
+                    console.log(`      ${index + 1}. Address: ${wallet.address}`);
+                    if (wallet.name) {
+                        console.log(`         Name: ${wallet.name}`);
+                    }
+                    console.log(`         Network: ${wallet.blockchain}`);
+                    console.log(`         State: ${wallet.state}`);
+                    if (wallet.refId) {
+                        console.log(`         Ref ID: ${wallet.refId}`);
+                    }
+                    if (wallet.tags.length > 0) {
+                        console.log(`         Tags: ${wallet.tags.join(', ')}`);
+                    }
+                    console.log('');
                 });
-                
-                const wallets = walletsResponse.data?.wallets || [];
-                
-                if (wallets.length === 0) {
-                    console.log(`   💰 No wallets in this set\n`);
-                } else {
-                    console.log(`   💰 Wallets (${wallets.length}):`);
-                    
-                    wallets.forEach((wallet, index) => {
-                        console.log(`      ${index + 1}. Address: ${wallet.address}`);
-                        console.log(`         Network: ${wallet.blockchain}`);
-                        console.log(`         State: ${wallet.state}`);
-                        console.log('');
-                    });
-                }
-                
-            } catch (error) {
-                console.log(`   ❌ Error fetching wallets: ${error.message}\n`);
             }
-            
+
             console.log('─'.repeat(60));
             console.log('');
         }
 
+        if (failures.length > 0) {
+            console.log(`⚠️  The wallets of ${failures.length} wallet set(s) could not be listed; the list above is incomplete.`);
+        }
+
     } catch (error) {
         console.error("❌ Error listing wallets:", error.message);
     }
@@ -136,14 +251,13 @@ async function createWalletSet() {
     }
 }
 
-// Option 3: Create a new wallet within a set
+// Option 3: Create wallets within a set, on one or more networks
 async function createWallet() {
     try {
-        console.log("\n💰 Creating a new wallet...\n");
+        console.log("\n💰 Creating new wallets...\n");
         
         // First, list available wallet sets
-        const walletSetsResponse = await client.listWalletSets();
-        const walletSets = walletSetsResponse.data?.walletSets || [];
+        const walletSets = await listAllPages(async page => (await client.listWalletSets(page)).data?.walletSets || []);
 
         if (walletSets.length === 0) {
             console.log("❌ No wallet sets found. Please create a wallet set first.");
@@ -158,7 +272,7 @@ async function createWallet() {
         const setChoice = await askQuestion(`\nSelect a wallet set (1-${walletSets.length}): `);
         const setIndex = parseInt(setChoice) - 1;
 
-        if (setIndex < 0 || setIndex >= walletSets.length) {
+        if (isNaN(setIndex) || setIndex < 0 || setIndex >= walletSets.length) {
             console.log("❌ Invalid wallet set selection.");
             return;
         }
@@ -172,64 +286,417 @@ async function createWallet() {
             console.log(`   ${key}. ${network.name} (${network.code})`);
         });
 
-        const networkChoice = await askQuestion(`\nSelect a network (1-${Object.keys(NETWORKS).length}): `);
-        
-        if (!NETWORKS[networkChoice]) {
+        const networkChoice = await askQuestion(
+            `\nSelect networks (e.g. 1 or 1,3), or "testnet"/"mainnet" for every CCTP network of that kind: `
+        );
+        const selectedNetworks = parseNetworkSelection(networkChoice);
+
+        if (!selectedNetworks || selectedNetworks.length === 0) {
             console.log("❌ Invalid network selection.");
             return;
         }
 
-        const selectedNetwork = NETWORKS[networkChoice];
-        console.log(`\n✅ Selected: ${selectedNetwork.name}`);
+        // An API key works with either mainnet or testnet networks
+        if (new Set(selectedNetworks.map(network => network.testnet)).size > 1) {
+            console.log("❌ Please select either mainnet or testnet networks, not both.");
+            return;
+        }
+
+        console.log(`\n✅ Selected: ${selectedNetworks.map(network => network.name).join(', ')}`);
 
         // Ask for number of wallets
-        const countInput = await askQuestion("\nHow many wallets to create? (default: 1): ");
-        const count = parseInt(countInput) || 1;
+        const countInput = await askQuestion("\nHow many wallets per network? (default: 1): ");
+        const count = countInput ? Number(countInput) : 1;
 
-        if (count < 1 || count > 10) {
-            console.log("❌ Please enter a number between 1 and 10.");
+        if (!Number.isInteger(count) || count < 1 || count > MAX_WALLETS_PER_NETWORK) {
+            console.log(`❌ Please enter a number between 1 and ${MAX_WALLETS_PER_NETWORK}.`);
             return;
         }
 
-        console.log(`\n🔄 Creating ${count} wallet(s) on ${selectedNetwork.name}...`);
+        // The wallets created together on every network share their refId
+        const refId = await askQuestion("Reference ID shared by the matching wallets on each network (optional): ");
+        const metadata = refId
+            ? Array.from({ length: count }, (_, index) => ({ refId: count > 1 ? `${refId}-${index + 1}` : refId }))
+            : undefined;
+
+        const networkCodes = selectedNetworks.map(network => network.code);
+        console.log(`\n🔄 Creating ${count} wallet(s) on each of ${networkCodes.join(', ')}...`);
 
         const walletsResponse = await client.createWallets({
             walletSetId: selectedWalletSet.id,
-            blockchains: [selectedNetwork.code],
-            count: count
+            blockchains: networkCodes,
+            count: count,
+            metadata
         });
 
         const wallets = walletsResponse.data?.wallets || [];
         
-        console.log(`\n✅ Successfully created ${wallets.length} wallet(s)!`);
-        
-        wallets.forEach((wallet, index) => {
-            console.log(`\n   Wallet ${index + 1}:`);
-            console.log(`      Address: ${wallet.address}`);
-            console.log(`      ID: ${wallet.id}`);
-            console.log(`      Network: ${wallet.blockchain}`);
-            console.log(`      State: ${wallet.state}`);
+        console.log(`\n✅ Successfully created ${wallets.length} wallet(s) in ${selectedWalletSet.name}!\n`);
+        printWalletTable(wallets);
+
+        if (wallets.length === 1) {
+            console.log(`\n   Explorer: ${getAddressExplorerUrl(wallets[0].blockchain, wallets[0].address)}`);
+        }
+
+    } catch (error) {
+        console.error("❌ Error creating wallets:", error.message);
+        if (error.response?.data) {
+            console.error("Details:", JSON.stringify(error.response.data, null, 2));
+        }
+    }
+}
+
+// Option 4: Show the balances of every wallet, with subtotals, and optionally export them
+async function showPortfolio() {
+    try {
+        console.log("\n📊 Portfolio balances\n");
+
+        const filters = await askWalletFilters();
+        if (!filters) {
+            return;
+        }
+
+        console.log("\n🔍 Fetching the balances of your wallets...");
+        const snapshot = await takePortfolioSnapshot(client, {
+            filters,
+            onProgress: (done, total) => {
+                if (done % 25 === 0 || done === total) {
+                    console.log(`   ${done}/${total} wallet(s) checked`);
+                }
+            }
+        });
+
+        if (snapshot.wallets.length === 0 && snapshot.failures.length === 0) {
+            console.log("❌ No wallets found.");
+            return;
+        }
+
+        console.log(`\n✅ Portfolio of ${snapshot.wallets.length} wallet(s) at ${new Date(snapshot.takenAt).toLocaleString()}`);
+
+        for (const walletSet of snapshot.walletSets) {
+            const wallets = snapshot.wallets.filter(wallet => wallet.walletSetId === walletSet.walletSetId);
+
+            console.log(`\n📁 ${walletSet.walletSetName} (${walletSet.wallets} wallet(s))\n`);
+            printTable([
+                ['Network', wallet => wallet.blockchain],
+                ['Address', wallet => wallet.address],
+                ['USDC', wallet => wallet.error ? 'error' : wallet.usdc],
+                ['Native', wallet => wallet.error ? 'error' : `${wallet.native} ${wallet.nativeSymbol || ''}`.trim()]
+            ], wallets);
+
+            const usdc = Object.entries(walletSet.usdc).map(([network, amount]) => `${amount} USDC (${network})`).join(', ') || '-';
+            console.log(`   Subtotal: ${usdc}; native: ${formatNativeTotals(walletSet.native)}`);
+        }
+
+        console.log("\n🌐 Subtotals per network\n");
+        printTable([
+            ['Network', chain => chain.blockchain],
+            ['Wallets', chain => chain.wallets],
+            ['USDC', chain => chain.usdc],
+            ['Native', chain => `${chain.native} ${chain.nativeSymbol || ''}`.trim()]
+        ], snapshot.chains);
+
+        console.log('');
+        snapshot.totals.forEach(total => {
+            console.log(`💰 Total ${total.network}: ${total.usdc} USDC across ${total.wallets} wallet(s)`);
         });
 
-        // Show blockchain explorer link
-        if (selectedNetwork.code === 'MATIC-AMOY') {
-            console.log(`\n💡 View on Polygon Amoy Explorer: https://amoy.polygonscan.com/`);
-        } else if (selectedNetwork.code === 'ETH-SEPOLIA') {
-            console.log(`\n💡 View on Ethereum Sepolia Explorer: https://sepolia.etherscan.io/`);
-        } else if (selectedNetwork.code === 'ETH') {
-            console.log(`\n💡 View on Ethereum Explorer: https://etherscan.io/`);
-        } else if (selectedNetwork.code === 'MATIC') {
-            console.log(`\n💡 View on Polygon Explorer: https://polygonscan.com/`);
+        if (snapshot.failures.length > 0) {
+            console.log(`\n⚠️  ${snapshot.failures.length} request(s) failed; those balances are left out of the subtotals:`);
+            snapshot.failures.forEach(failure => {
+                console.log(`   - ${failure.walletId ? `Wallet ${failure.walletId}` : `Wallet set ${failure.walletSetName || failure.walletSetId}`}: ${failure.message}`);
+            });
+        }
+
+        const exportPath = await askQuestion("\nExport the snapshot to a .csv or .json file (press Enter to skip): ");
+        if (exportPath) {
+            writePortfolioSnapshot(exportPath, snapshot);
+            console.log(`✅ Snapshot saved to ${exportPath}`);
         }
 
     } catch (error) {
-        console.error("❌ Error creating wallet:", error.message);
+        console.error("❌ Error fetching the portfolio:", error.message);
+    }
+}
+
+// Helper function to ask for a new value, keeping the current one on Enter; "-" clears it
+async function askUpdatedValue(label, current) {
+    const answer = await askQuestion(`${label} (Enter to keep ${current ? `"${current}"` : 'none'}, "-" to clear): `);
+
+    if (!answer) {
+        return current || '';
+    }
+
+    return answer === '-' ? '' : answer;
+}
+
+// Option 5: Rename a wallet set, or update a wallet's name, refId and local tags
+async function updateWalletOrSet() {
+    try {
+        console.log("\n✏️  Updating a wallet set or wallet...\n");
+
+        const walletSets = await listAllPages(async page => (await client.listWalletSets(page)).data?.walletSets || []);
+
+        if (walletSets.length === 0) {
+            console.log("❌ No wallet sets found.");
+            return;
+        }
+
+        console.log("Available wallet sets:");
+        walletSets.forEach((set, index) => {
+            console.log(`   ${index + 1}. ${set.name || 'Unnamed'} (${set.id})`);
+        });
+
+        const setIndex = parseInt(await askQuestion(`\nSelect a wallet set (1-${walletSets.length}): `)) - 1;
+
+        if (isNaN(setIndex) || setIndex < 0 || setIndex >= walletSets.length) {
+            console.log("❌ Invalid wallet set selection.");
+            return;
+        }
+
+        const walletSet = walletSets[setIndex];
+
+        console.log("\n1. Rename the wallet set");
+        console.log("2. Update a wallet in this set (name, reference ID, tags)");
+        const action = await askQuestion("Select an option (1-2): ");
+
+        if (action === '1') {
+            const name = await askQuestion(`New name for "${walletSet.name || 'Unnamed'}": `);
+
+            if (!name) {
+                console.log("❌ Wallet set name cannot be empty.");
+                return;
+            }
+
+            await client.updateWalletSet({ id: walletSet.id, name });
+            console.log(`✅ Wallet set renamed to "${name}"`);
+            return;
+        }
+
+        if (action !== '2') {
+            console.log("❌ Invalid option.");
+            return;
+        }
+
+        const { wallets, failures } = await listAllWallets(client, { walletSet: walletSet.id });
+
+        if (failures.length > 0) {
+            console.log(`❌ Error fetching wallets: ${failures[0].message}`);
+            return;
+        }
+        if (wallets.length === 0) {
+            console.log("❌ No wallets in this set.");
+            return;
+        }
+
+        console.log('');
+        withWalletTags(wallets).forEach((wallet, index) => {
+            const details = [wallet.name, wallet.refId && `ref ${wallet.refId}`, ...wallet.tags].filter(Boolean);
+            console.log(`   ${index + 1}. ${wallet.blockchain} ${wallet.address}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+        });
+
+        const walletIndex = parseInt(await askQuestion(`\nSelect a wallet (1-${wallets.length}): `)) - 1;
+
+        if (isNaN(walletIndex) || walletIndex < 0 || walletIndex >= wallets.length) {
+            console.log("❌ Invalid wallet selection.");
+            return;
+        }
+
+        const wallet = wallets[walletIndex];
+        const name = await askUpdatedValue("Name", wallet.name);
+        const refId = await askUpdatedValue("Reference ID", wallet.refId);
+        const currentTags = getWalletTags(wallet.id);
+        const tagsInput = await askQuestion(
+            `Tags: ${WALLET_TAGS.join(', ')}, comma-separated (Enter to keep ${currentTags.length > 0 ? currentTags.join(', ') : 'none'}, "-" to clear): `
+        );
+
+        let tags = currentTags;
+        if (tagsInput) {
+            try {
+                tags = parseWalletTags(tagsInput);
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+                return;
+            }
+        }
+
+        if (name !== (wallet.name || '') || refId !== (wallet.refId || '')) {
+            await client.updateWallet({ id: wallet.id, name, refId });
+            console.log(`✅ Wallet metadata updated (name: ${name || 'none'}, reference ID: ${refId || 'none'})`);
+        }
+
+        setWalletTags(wallet.id, tags);
+        console.log(`✅ Tags of ${wallet.address}: ${tags.length > 0 ? tags.join(', ') : 'none'}`);
+
+    } catch (error) {
+        console.error("❌ Error updating:", error.message);
         if (error.response?.data) {
             console.error("Details:", JSON.stringify(error.response.data, null, 2));
         }
     }
 }
 
+// Helper function to pick one of a numbered list; returns null for an invalid choice
+async function askChoice(question, count) {
+    const index = parseInt(await askQuestion(`${question} (1-${count}): `)) - 1;
+    return isNaN(index) || index < 0 || index >= count ? null : index;
+}
+
+// Option 6: Send USDC or the native token to an address on the same network
+async function sendTokens() {
+    try {
+        console.log("\n💸 Sending tokens on the same network...\n");
+
+        const listing = await listAllWallets(client, { state: 'LIVE' });
+        const wallets = withWalletTags(listing.wallets);
+
+        if (listing.failures.length > 0) {
+            console.log(`⚠️  The wallets of ${listing.failures.length} wallet set(s) could not be listed.`);
+        }
+        if (wallets.length === 0) {
+            console.log("❌ No wallets found. Create a wallet first.");
+            return;
+        }
+
+        console.log("Sending wallet:");
+        wallets.forEach((wallet, index) => {
+            const tags = wallet.tags.length > 0 ? ` [${wallet.tags.join(', ')}]` : '';
+            console.log(`   ${index + 1}. ${wallet.blockchain} ${wallet.address} (${wallet.walletSetName || 'Unnamed'})${tags}`);
+        });
+
+        const sourceIndex = await askChoice("\nSelect the sending wallet", wallets.length);
+        if (sourceIndex === null) {
+            console.log("❌ Invalid wallet selection.");
+            return;
+        }
+
+        const wallet = wallets[sourceIndex];
+        let sourceAllowed;
+
+        try {
+            sourceAllowed = await confirmSourceAllowed(wallet, async () => {
+                const answer = await askQuestion("⚠️  This is a treasury wallet. Send from it anyway? (yes/no): ");
+                return answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y';
+            });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+
+        if (!sourceAllowed) {
+            console.log("❌ Send cancelled.");
+            return;
+        }
+
+        const balances = await transferClient.getWalletBalances(wallet.id);
+        const native = findNativeBalance(balances);
+        const nativeSymbol = native.symbol || getChain(wallet.blockchain)?.nativeSymbol || 'native token';
+
+        console.log(`\nToken (balances of ${wallet.address}):`);
+        console.log(`   1. USDC (${formatUsdcAmount(findUSDCBalance(balances))} USDC)`);
+        console.log(`   2. ${nativeSymbol} (${formatNativeAmount(native.amount)} ${nativeSymbol})`);
+
+        const tokenIndex = await askChoice("Select the token", 2);
+        if (tokenIndex === null) {
+            console.log("❌ Invalid token selection.");
+            return;
+        }
+
+        const token = tokenIndex === 0 ? 'USDC' : 'native';
+        const symbol = tokenIndex === 0 ? 'USDC' : nativeSymbol;
+        const recipients = wallets.filter(other => other.blockchain === wallet.blockchain && other.id !== wallet.id);
+
+        console.log(`\nRecipient on ${getChain(wallet.blockchain)?.name || wallet.blockchain}:`);
+        recipients.forEach((other, index) => {
+            console.log(`   ${index + 1}. ${other.address} (${other.walletSetName || 'Unnamed'})`);
+        });
+        console.log(`   ${recipients.length + 1}. Enter an address`);
+
+        const recipientIndex = await askChoice("Select the recipient", recipients.length + 1);
+        if (recipientIndex === null) {
+            console.log("❌ Invalid recipient selection.");
+            return;
+        }
+
+        let destinationAddress;
+        if (recipientIndex < recipients.length) {
+            destinationAddress = recipients[recipientIndex].address;
+        } else {
+            try {
+                destinationAddress = parseAddress(wallet.blockchain, await askQuestion("Recipient address: "));
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+                return;
+            }
+        }
+
+        if (sameAddress(destinationAddress, wallet.address)) {
+            console.log("❌ The recipient is the sending wallet itself.");
+            return;
+        }
+
+        const amountInput = await askQuestion(`Amount of ${symbol} to send${token === 'USDC' ? ' (or "max")' : ''}: `);
+        const amount = token === 'USDC' && amountInput.toLowerCase() === 'max'
+            ? formatUsdcAmount(findUSDCBalance(balances))
+            : amountInput;
+
+        // A treasury wallet was confirmed above, so the client need not refuse it
+        let check;
+        try {
+            check = await transferClient.checkSend({ wallet, destinationAddress, token, amount, allowTreasury: true });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+
+        console.log("\n" + "=".repeat(60));
+        console.log("💸 SEND CONFIRMATION");
+        console.log("=".repeat(60));
+        console.log(`📤 FROM: ${wallet.address}`);
+        console.log(`📥 TO: ${destinationAddress}`);
+        console.log(`   Network: ${getChain(wallet.blockchain)?.name || wallet.blockchain}`);
+        console.log(`💰 Amount: ${check.amount} ${check.symbol}`);
+        console.log(`💳 Balance: ${check.balance} ${check.symbol}`);
+        console.log(`⛽ Network fee: ${check.fee === null ? 'unknown' : `~${check.fee} ${check.nativeSymbol}`} (${describeFeeSetting(check.feeSetting)}; ${check.nativeBalance} ${check.nativeSymbol} available)`);
+        console.log("=".repeat(60));
+
+        if (check.problems.length > 0) {
+            check.problems.forEach(problem => console.log(`❌ ${problem}`));
+            console.log("❌ Send cancelled.");
+            return;
+        }
+
+        const confirm = await askQuestion("\nProceed with the send? (yes/no): ");
+        if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+            console.log("❌ Send cancelled.");
+            return;
+        }
+
+        console.log("\n🚀 Submitting the transfer...");
+        const { txId, txHash } = await transferClient.send({ wallet, destinationAddress, token, amount: check.amount, allowTreasury: true });
+
+        console.log(`\n🎉 Sent ${check.amount} ${check.symbol} to ${destinationAddress}`);
+        console.log(`📋 Transaction ID: ${txId}`);
+        console.log(`🔗 TX Hash: ${txHash}`);
+        const explorerUrl = getExplorerUrl(wallet.blockchain, txHash);
+        if (explorerUrl) {
+            console.log(`🔍 View on explorer: ${explorerUrl}`);
+        }
+
+    } catch (error) {
+        if (error instanceof TransactionFailedError) {
+            console.error(`❌ Send failed: ${error.message}`);
+        } else if (error instanceof DeadlineExceededError) {
+            console.error(`⏰ ${error.message}. Check the transaction in the Circle console before sending again.`);
+        } else {
+            console.error("❌ Error sending:", error.message);
+            if (error.response?.data) {
+                console.error("Details:", JSON.stringify(error.response.data, null, 2));
+            }
+        }
+    }
+}
+
 // Main menu
 async function showMenu() {
     console.log("\n" + "=".repeat(50));
@@ -237,11 +704,14 @@ async function showMenu() {
     console.log("=".repeat(50));
     console.log("1. List wallet sets and wallets");
     console.log("2. Create a new wallet set");
-    console.log("3. Create a new wallet");
-    console.log("4. Exit");
+    console.log("3. Create new wallets (one or more networks)");
+    console.log("4. Show portfolio balances");
+    console.log("5. Rename or tag a wallet set or wallet");
+    console.log("6. Send USDC or native tokens on the same network");
+    console.log("7. Exit");
     console.log("=".repeat(50));
     
-    const choice = await askQuestion("Select an option (1-4): ");
+    const choice = await askQuestion("Select an option (1-7): ");
     
     switch (choice) {
         case '1':
@@ -257,10 +727,22 @@ async function showMenu() {
             await waitForUser();
             return true;
         case '4':
+            await showPortfolio();
+            await waitForUser();
+            return true;
+        case '5':
+            await updateWalletOrSet();
+            await waitForUser();
+            return true;
+        case '6':
+            await sendTokens();
+            await waitForUser();
+            return true;
+        case '7':
             console.log("\n👋 Goodbye!");
             return false;
         default:
-            console.log("\n❌ Invalid option. Please select 1-4.");
+            console.log("\n❌ Invalid option. Please select 1-7.");
             await waitForUser();
             return true;
     }